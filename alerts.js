@@ -0,0 +1,144 @@
+const { notifierFor } = require('./notifiers');
+const { formatBDT } = require('./schedule');
+const { createLogger, redact } = require('./logger');
+
+// Admin alerts. Problems that are otherwise only visible in the logs are
+// posted to a separate destination, e.g. a private Discord channel:
+//
+//   "alerts": {
+//     "destination": { "type": "discord", "urlEnv": "ALERT_WEBHOOK_URL" },
+//     "fetchFailures": 3,    a source failed this many fetches in a row
+//     "notFound": 1,         a webhook answered 404 (deleted) this many times in a row
+//     "syncFailures": 2      this many GitHub syncs in a row failed
+//   }
+//
+// The destination takes the same settings as a webhook (any type). Without
+// one, ALERT_WEBHOOK_URL is used as a Discord webhook if set. Each problem is
+// alerted once, when it reaches its threshold, and a recovery notice follows
+// once it clears. Failure counts are kept in memory, like status.js. Alerts
+// don't go through the delivery queue; one that can't be sent is only logged.
+
+const log = createLogger('alerts');
+
+const DEFAULT_THRESHOLDS = {
+    fetchFailures: 3,
+    notFound: 1,
+    syncFailures: 2
+};
+
+// Validate the thresholds in the config's "alerts"
+function resolveAlertThresholds(raw = {}, where = 'alerts') {
+    const thresholds = { ...DEFAULT_THRESHOLDS };
+    for (const name of Object.keys(DEFAULT_THRESHOLDS)) {
+        if (raw[name] === undefined) continue;
+        if (!Number.isInteger(raw[name]) || raw[name] < 1) {
+            throw new Error(`${where}.${name} must be a whole number of at least 1`);
+        }
+        thresholds[name] = raw[name];
+    }
+    return thresholds;
+}
+
+// Tracks consecutive failures per problem and sends alerts and recovery
+// notices to destination (nothing is sent without one)
+function createAlerter({ destination = null, thresholds = DEFAULT_THRESHOLDS } = {}) {
+    // problem key -> { count, since, alerted }
+    const problems = new Map();
+    const sending = new Set();
+
+    function send(alert) {
+        if (!destination) return;
+        alert = { ...alert, title: redact(alert.title), text: redact(alert.text), time: new Date().toISOString() };
+        const notifier = notifierFor(destination);
+        if (!notifier.sendAlert) {
+            log.error(`❌ ${destination.type} destinations can't receive admin alerts`);
+            return;
+        }
+        const pending = notifier.sendAlert(alert)
+            .then(() => log.info(`📣 Sent admin ${alert.level === 'recovery' ? 'recovery notice' : 'alert'} to ${destination.name}: ${alert.title}`))
+            .catch(error => log.error(`❌ Could not send admin alert "${alert.title}" to ${destination.name}: ${error.message}`, { error }))
+            .finally(() => sending.delete(pending));
+        sending.add(pending);
+    }
+
+    // Count a failure; alert when the count reaches the threshold
+    function failed(key, threshold, describe) {
+        const problem = problems.get(key) || { count: 0, since: Date.now(), alerted: false };
+        problem.count++;
+        problems.set(key, problem);
+        if (!problem.alerted && problem.count >= threshold) {
+            problem.alerted = true;
+            send({ level: 'alert', ...describe(problem) });
+        }
+    }
+
+    // Clear a problem; send a recovery notice if it was alerted
+    function recovered(key, describe) {
+        const problem = problems.get(key);
+        problems.delete(key);
+        if (problem && problem.alerted) {
+            send({ level: 'recovery', ...describe(problem) });
+        }
+    }
+
+    return {
+        // After each fetch of a source; error is null when it worked
+        fetchResult(sourceName, error = null) {
+            const key = `fetch:${sourceName}`;
+            if (!error) {
+                recovered(key, ({ count, since }) => ({
+                    title: `Source "${sourceName}" is fetching again`,
+                    text: `The feed works again after ${count} failed fetch(es) since ${formatBDT(since)}.`
+                }));
+                return;
+            }
+            failed(key, thresholds.fetchFailures, ({ count, since }) => ({
+                title: `Source "${sourceName}" is failing`,
+                text: `${count} fetches in a row have failed since ${formatBDT(since)}. Last error: ${error.message}`
+            }));
+        },
+
+        // After each delivery attempt (see drainQueue's onResult)
+        deliveryResult(destinationName, result) {
+            const key = `notFound:${destinationName}`;
+            if (result.success) {
+                recovered(key, ({ count }) => ({
+                    title: `Webhook "${destinationName}" is delivering again`,
+                    text: `Delivered after ${count} delivery(ies) were rejected with 404.`
+                }));
+                return;
+            }
+            if (result.status !== 404) return;
+            failed(key, thresholds.notFound, ({ count, since }) => ({
+                title: `Webhook "${destinationName}" returns 404`,
+                text: `The webhook was probably deleted. ${count} delivery(ies) since ${formatBDT(since)} were rejected with 404 and moved to dead letters; ` +
+                    `update its URL, then replay them with "node delivery-queue.js replay --destination ${destinationName}".`
+            }));
+        },
+
+        // After each GitHub sync ({ ok, error } from the storage)
+        syncResult(result) {
+            if (result.ok) {
+                recovered('sync', ({ count }) => ({
+                    title: 'GitHub sync works again',
+                    text: `The database was synced to GitHub after ${count} failed attempt(s).`
+                }));
+                return;
+            }
+            failed('sync', thresholds.syncFailures, ({ count, since }) => ({
+                title: 'GitHub sync is failing',
+                text: `${count} syncs in a row have failed since ${formatBDT(since)}; the GitHub copy of the database is out of date. ` +
+                    `Last error: ${result.error ? result.error.message : 'unknown'}`
+            }));
+        },
+
+        // Wait for alerts still being sent
+        flush: () => Promise.all([...sending])
+    };
+}
+
+module.exports = {
+    DEFAULT_THRESHOLDS,
+    resolveAlertThresholds,
+    createAlerter
+};
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const { Octokit } = require('@octokit/rest');
+const { REST, Routes } = require('discord.js');
+const { loadConfig, CONFIG_FILE } = require('./config');
+const { verifyDestination } = require('./notifiers');
+const { buildMessage } = require('./notifiers/discord');
+const { renderDigest } = require('./templates');
+const { storageOptionsFromEnv } = require('./storage');
+const { createAnnouncementBot } = require('./notice-embed');
+const { redact } = require('./logger');
+
+// Command line for operating the bot without starting the service:
+//
+//   node cli.js check [--dry-run] [--json] [--source <name>]
+//       run one check; --dry-run only prints what would be posted
+//   node cli.js backfill --since <date> --to <webhook> [--source <name>] [--ping]
+//       post stored announcements since a date to a (newly added) webhook
+//   node cli.js resend <id> [--source <name>] [--to <webhook>] [--ping]
+//       post one stored announcement again
+//   node cli.js mark-seen [--source <name>]
+//       record everything in the feeds as seen without posting it
+//   node cli.js validate [--offline]
+//       check the config, WEBHOOK_URLS / WEBHOOK_NAMES, the alert
+//       destination and the tokens
+//
+// Backfilled and re-sent announcements don't ping anyone unless --ping is
+// given. Don't run backfill or resend while the service is delivering from
+// the same queue file.
+
+const USAGE = `Usage:
+  node cli.js check [--dry-run] [--json] [--source <name>]
+  node cli.js backfill --since <date> --to <webhook> [--source <name>] [--ping]
+  node cli.js resend <id> [--source <name>] [--to <webhook>] [--ping]
+  node cli.js mark-seen [--source <name>]
+  node cli.js validate [--offline]`;
+
+const FLAGS = ['dry-run', 'json', 'ping', 'offline'];
+
+// "--name value" options, "--flag" switches and positional arguments
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const name = arg.substring(2);
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`--${name} needs a value`);
+        }
+    }
+    return { options, positional };
+}
+
+function describeJob(job, destination) {
+    if (job.kind === 'digest') {
+        return `🗞️ Would post a digest of ${job.announcement.items.length} announcement(s) to ${job.destination}`;
+    }
+    const verb = job.kind === 'send' ? '📤 Would post' : '✏️ Would update';
+    const lines = [`${verb} "${job.announcement.title}" to ${job.destination} [source: ${job.source}, ID: ${job.announcementId}]`];
+    if (job.announcement.urgent) lines.push('   🚨 urgent');
+    if (destination && destination.type === 'discord' && job.kind === 'send') {
+        const { content } = buildMessage(destination, job.announcement);
+        if (content) lines.push(`   🔔 pings: ${content}`);
+    }
+    if (job.changes) lines.push(`   changes:\n${job.changes.split('\n').map(l => `     ${l}`).join('\n')}`);
+    return lines.join('\n');
+}
+
+async function check(options) {
+    const bot = createAnnouncementBot();
+    await bot.hydrate();
+    if (!options['dry-run']) {
+        await bot.check();
+        return;
+    }
+
+    const jobs = await bot.previewCheck({ sourceName: options.source });
+    const destinationOf = (job) => bot.config.webhooks.find(w => w.name === job.destination);
+    if (options.json) {
+        console.log(JSON.stringify(jobs.map(job => {
+            const destination = destinationOf(job);
+            return {
+                kind: job.kind,
+                destination: job.destination,
+                source: job.source,
+                announcementId: job.announcementId,
+                message: !destination || destination.type !== 'discord' ? job.announcement :
+                    job.kind === 'digest' ? renderDigest(job.announcement, { locale: destination.locale }) :
+                    buildMessage(destination, job.announcement, { changes: job.changes })
+            };
+        }), null, 2));
+        return;
+    }
+    console.log(`\n🧪 Dry run: ${jobs.length} message(s) would be sent`);
+    for (const job of jobs) {
+        console.log(describeJob(job, destinationOf(job)));
+    }
+}
+
+async function backfill(options) {
+    if (!options.since || !options.to) {
+        throw new Error('backfill needs --since <date> and --to <webhook>');
+    }
+    const bot = createAnnouncementBot();
+    await bot.hydrate();
+    const result = await bot.backfill({ to: options.to, since: options.since, sourceName: options.source, ping: options.ping });
+    console.log(`✅ Backfill done: ${result.delivered} delivered, ${result.failed} failed, ${result.dead} dead-lettered`);
+}
+
+async function resend(options, [id]) {
+    if (!id) {
+        throw new Error('resend needs an announcement ID');
+    }
+    const bot = createAnnouncementBot();
+    await bot.hydrate();
+    const result = await bot.resend({ id, sourceName: options.source, to: options.to, ping: options.ping });
+    console.log(`✅ Resend done: ${result.delivered} delivered, ${result.failed} failed, ${result.dead} dead-lettered`);
+}
+
+async function markSeen(options) {
+    const bot = createAnnouncementBot();
+    await bot.hydrate();
+    const marked = await bot.markSeen({ sourceName: options.source });
+    console.log(`✅ ${marked} announcement(s) marked as seen`);
+}
+
+// WEBHOOK_URLS and WEBHOOK_NAMES are parallel lists; a mismatch usually
+// means a missing comma
+function envWebhookProblems(env = process.env) {
+    const problems = [];
+    const urls = (env.WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+    const names = env.WEBHOOK_NAMES ? env.WEBHOOK_NAMES.split(',').map(n => n.trim()) : [];
+    if (urls.length === 0) {
+        problems.push('WEBHOOK_URLS is empty, nothing would be posted');
+    }
+    if (names.length > 0 && names.length !== urls.length) {
+        problems.push(`WEBHOOK_NAMES has ${names.length} name(s) for ${urls.length} URL(s)`);
+    }
+    if (names.some(n => !n)) {
+        problems.push('WEBHOOK_NAMES has an empty name');
+    }
+    return problems;
+}
+
+async function validate(options) {
+    let problems = 0;
+    const fail = (message) => {
+        problems++;
+        console.log(`❌ ${message}`);
+    };
+
+    if (!fs.existsSync(CONFIG_FILE)) {
+        envWebhookProblems().forEach(fail);
+    }
+
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        fail(`Config: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const destinations = config.alerts.destination ? [...config.webhooks, config.alerts.destination] : config.webhooks;
+    for (const destination of destinations) {
+        const label = `${destination.name} (${destination.type}${destination.url ? `, ${redact(destination.url)}` : ''})`;
+        if (options.offline) {
+            console.log(`✅ ${label}: config OK`);
+            continue;
+        }
+        try {
+            const found = await verifyDestination(destination);
+            console.log(found ? `✅ ${label}: ${found}` : `➖ ${label}: config OK (can't be checked without posting)`);
+        } catch (error) {
+            fail(`${label}: ${redact(error.message)}`);
+        }
+    }
+
+    if (!options.offline && process.env.DISCORD_BOT_TOKEN) {
+        try {
+            const user = await new REST({ version: '10' }).setToken(process.env.DISCORD_BOT_TOKEN).get(Routes.user());
+            console.log(`✅ DISCORD_BOT_TOKEN: logs in as ${user.username}`);
+        } catch (error) {
+            fail(`DISCORD_BOT_TOKEN: ${error.message}`);
+        }
+    }
+
+    const { github } = storageOptionsFromEnv();
+    if (!options.offline && github.token) {
+        try {
+            const { data } = await new Octokit({ auth: github.token, ...(github.apiUrl ? { baseUrl: github.apiUrl } : {}) }).repos.get({ owner: github.owner, repo: github.repo });
+            if (data.permissions && data.permissions.push) {
+                console.log(`✅ GITHUB_TOKEN: can push to ${data.full_name}`);
+            } else {
+                fail(`GITHUB_TOKEN: no push access to ${data.full_name}`);
+            }
+        } catch (error) {
+            fail(`GITHUB_TOKEN: ${github.owner}/${github.repo}: ${error.message}`);
+        }
+    }
+
+    console.log(problems === 0 ? '\n✅ Everything looks good' : `\n❌ ${problems} problem(s) found`);
+    if (problems > 0) process.exitCode = 1;
+}
+
+const COMMANDS = {
+    check,
+    backfill,
+    resend,
+    'mark-seen': markSeen,
+    validate
+};
+
+async function run(argv = process.argv.slice(2)) {
+    const [command, ...rest] = argv;
+    if (!COMMANDS[command]) {
+        console.log(USAGE);
+        process.exitCode = command && command !== 'help' && command !== '--help' ? 1 : 0;
+        return;
+    }
+    try {
+        const { options, positional } = parseArgs(rest);
+        await COMMANDS[command](options, positional);
+    } catch (error) {
+        console.error(`❌ ${redact(error.message)}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = {
+    run,
+    parseArgs,
+    envWebhookProblems
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const YAML = require('yaml');
+const { compileFilter, compileUrgency } = require('./filters');
+const { compileMentionRules } = require('./mentions');
+const { parseDigestSchedule } = require('./schedule');
+const { resolvePollSchedule } = require('./scheduler');
+const { resolveAlertThresholds } = require('./alerts');
+const { validateDestination } = require('./notifiers');
+const { resolveLocale, resolveTemplate } = require('./templates');
+const { createLogger } = require('./logger');
+
+// Bot configuration: named feed sources, each with its own polling interval
+// and the set of webhooks it is routed to. Without a config file the bot
+// behaves as before: one BRACU source posting to every webhook in WEBHOOK_URLS.
+//
+// The file is JSON, or YAML when its name ends in .yml or .yaml. Without
+// CONFIG_FILE the bot reads bot-config.json, else bot-config.yml or
+// bot-config.yaml, whichever exists.
+
+const log = createLogger('config');
+
+const CONFIG_FILE = process.env.CONFIG_FILE ||
+    ['bot-config.json', 'bot-config.yml', 'bot-config.yaml'].find(file => fs.existsSync(file)) ||
+    'bot-config.json';
+
+const isYaml = (file) => /\.ya?ml$/i.test(file);
+
+const DEFAULT_SOURCE_NAME = 'bracu';
+const DEFAULT_FEED_URL = 'https://www.bracu.ac.bd/rss.xml';
+const DEFAULT_INTERVAL_MS = parseInt(process.env.CHECK_INTERVAL_MS) || 30 * 60 * 1000; // Default: 30 minutes
+
+// Webhooks from WEBHOOK_URLS / WEBHOOK_NAMES
+function webhooksFromEnv(env = process.env) {
+    const urls = env.WEBHOOK_URLS ?
+        env.WEBHOOK_URLS.split(',').map(u => u.trim()).filter(Boolean) :
+        [];
+    const names = env.WEBHOOK_NAMES ?
+        env.WEBHOOK_NAMES.split(',').map(n => n.trim()) :
+        [];
+
+    // LOCALE picks the language for every webhook ("en" or "bn")
+    const locale = resolveLocale(env.LOCALE, 'LOCALE');
+
+    // Make sure we have names for all webhooks
+    return urls.map((url, index) => ({
+        type: 'discord',
+        name: names[index] || `Server ${index + 1}`,
+        url,
+        filter: null,
+        locale,
+        template: resolveTemplate(null, { locale })
+    }));
+}
+
+// A config webhook (destination) may give its URL inline or name an env var
+// holding it, so webhook tokens don't have to be committed with the config
+// file. "type" picks the notifier: discord (default), telegram, slack, email
+// or webhook; see notifiers/ for the settings each one takes.
+function resolveWebhook(entry, index, env) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`webhooks[${index}] must be an object`);
+    }
+    const name = entry.name || `Server ${index + 1}`;
+    const url = entry.url || (entry.urlEnv ? env[entry.urlEnv] : undefined);
+    const type = entry.type || 'discord';
+    const locale = resolveLocale(entry.locale !== undefined ? entry.locale : env.LOCALE, `Webhook "${name}"`);
+    if (entry.template !== undefined && type !== 'discord') {
+        throw new Error(`Webhook "${name}": templates are only supported for Discord destinations`);
+    }
+    if (entry.mentions !== undefined && type !== 'discord') {
+        throw new Error(`Webhook "${name}": mentions are only supported for Discord destinations`);
+    }
+    if (entry.digest !== undefined && type !== 'discord') {
+        throw new Error(`Webhook "${name}": digests are only supported for Discord destinations`);
+    }
+    const destination = {
+        ...entry,
+        type,
+        name,
+        url,
+        // Include/exclude rules for this destination (null accepts everything)
+        filter: compileFilter(entry.filter, `Webhook "${name}" filter`),
+        locale,
+        // Embed layout with the locale's defaults filled in (see templates.js)
+        template: type === 'discord' ? resolveTemplate(entry.template, { locale, where: `Webhook "${name}" template` }) : undefined,
+        // Who to ping for which announcements (see mentions.js)
+        mentions: compileMentionRules(entry.mentions, `Webhook "${name}" mentions`),
+        // Post a daily or weekly digest instead of a message per notice (see digest.js)
+        digest: entry.digest !== undefined ? parseDigestSchedule(entry.digest, `Webhook "${name}" digest`) : null
+    };
+    validateDestination(destination);
+    return destination;
+}
+
+// Where admin alerts go and when (see alerts.js). ALERT_WEBHOOK_URL is a
+// Discord webhook used when the config file names no destination.
+function resolveAlerts(raw, env, webhookNames) {
+    const spec = raw || {};
+    if (typeof spec !== 'object') {
+        throw new Error('alerts must be an object');
+    }
+    const entry = spec.destination || (env.ALERT_WEBHOOK_URL ? { type: 'discord', url: env.ALERT_WEBHOOK_URL } : null);
+    if (entry !== null && (typeof entry !== 'object' || Array.isArray(entry))) {
+        throw new Error('alerts.destination must be an object');
+    }
+    const destination = entry ? resolveWebhook({ name: 'Admin alerts', ...entry }, 'alerts', env) : null;
+    if (destination && webhookNames.includes(destination.name)) {
+        throw new Error(`alerts.destination is named "${destination.name}" like a webhook; give it another name`);
+    }
+    return { destination, thresholds: resolveAlertThresholds(spec) };
+}
+
+function resolveSource(entry, index, webhookNames) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`sources[${index}] must be an object`);
+    }
+    if (!entry.name) {
+        throw new Error(`sources[${index}] is missing a name`);
+    }
+    if (!entry.url) {
+        throw new Error(`Source "${entry.name}" is missing a url`);
+    }
+
+    const intervalMs = entry.intervalMinutes !== undefined ?
+        Number(entry.intervalMinutes) * 60 * 1000 :
+        DEFAULT_INTERVAL_MS;
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+        throw new Error(`Source "${entry.name}" has an invalid intervalMinutes`);
+    }
+
+    // "webhooks" omitted or "*" means every webhook
+    let webhooks = entry.webhooks;
+    if (webhooks === undefined || webhooks === '*' || (Array.isArray(webhooks) && webhooks.includes('*'))) {
+        webhooks = [...webhookNames];
+    }
+    if (!Array.isArray(webhooks)) {
+        throw new Error(`Source "${entry.name}" webhooks must be an array of webhook names`);
+    }
+    const unknown = webhooks.filter(w => !webhookNames.includes(w));
+    if (unknown.length > 0) {
+        throw new Error(`Source "${entry.name}" routes to unknown webhook(s): ${unknown.join(', ')}`);
+    }
+
+    return {
+        name: entry.name,
+        url: entry.url,
+        // rss2json is only a fallback; "fallbackUrl": null disables it
+        fallbackUrl: entry.fallbackUrl,
+        intervalMs,
+        webhooks
+    };
+}
+
+// Build the resolved config from a parsed config object (or null for defaults)
+function resolveConfig(raw, env = process.env) {
+    const rawConfig = raw || {};
+
+    const webhooks = Array.isArray(rawConfig.webhooks) ?
+        rawConfig.webhooks.map((w, i) => resolveWebhook(w, i, env)) :
+        webhooksFromEnv(env);
+
+    const webhookNames = webhooks.map(w => w.name);
+    const duplicateWebhook = webhookNames.find((n, i) => webhookNames.indexOf(n) !== i);
+    if (duplicateWebhook) {
+        throw new Error(`Duplicate webhook name: ${duplicateWebhook}`);
+    }
+
+    const rawSources = Array.isArray(rawConfig.sources) && rawConfig.sources.length > 0 ?
+        rawConfig.sources :
+        [{
+            name: DEFAULT_SOURCE_NAME,
+            url: env.RSS_FEED_URL || DEFAULT_FEED_URL,
+            // RSS_JSON_URL=off disables the rss2json fallback for the default source
+            fallbackUrl: env.RSS_JSON_URL === 'off' ? null : env.RSS_JSON_URL
+        }];
+
+    const sources = rawSources.map((s, i) => resolveSource(s, i, webhookNames));
+
+    const sourceNames = sources.map(s => s.name);
+    const duplicateSource = sourceNames.find((n, i) => sourceNames.indexOf(n) !== i);
+    if (duplicateSource) {
+        throw new Error(`Duplicate source name: ${duplicateSource}`);
+    }
+
+    // Which announcements are urgent and where else they go (see filters.js)
+    const urgent = compileUrgency(rawConfig.urgent, webhookNames);
+
+    // When checks run (see scheduler.js); by default as often as the most
+    // frequently polled source, each source only fetched once its own interval
+    // has elapsed
+    const schedule = resolvePollSchedule(rawConfig.schedule, {
+        env,
+        defaultIntervalMs: Math.min(...sources.map(s => s.intervalMs))
+    });
+
+    // Admin alerts for failing sources, deleted webhooks and sync errors
+    const alerts = resolveAlerts(rawConfig.alerts, env, webhookNames);
+
+    return { webhooks, sources, urgent, schedule, alerts };
+}
+
+function loadConfig(file = CONFIG_FILE) {
+    if (!fs.existsSync(file)) {
+        log.info(`⚙️ No config file at ${file}, using environment defaults`);
+        return resolveConfig(null);
+    }
+
+    let raw;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        raw = isYaml(file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Could not parse config file ${file} as ${isYaml(file) ? 'YAML' : 'JSON'}: ${error.message}`);
+    }
+    const config = resolveConfig(raw);
+    log.info(`⚙️ Loaded config from ${file}: ${config.sources.length} source(s), ${config.webhooks.length} webhook(s)`);
+    return config;
+}
+
+module.exports = {
+    CONFIG_FILE,
+    DEFAULT_SOURCE_NAME,
+    DEFAULT_INTERVAL_MS,
+    loadConfig,
+    resolveConfig,
+    webhooksFromEnv
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { stripHtml } = require('./filters');
+const { decodeEntities } = require('./rss-parser');
+
+// Content fingerprinting and diffs for notices that are edited after
+// publishing (same GUID, different title or body).
+
+// Keep the stored snapshot small; the ledger is synced to GitHub
+const MAX_SNAPSHOT_LENGTH = 4000;
+
+// Text without tags, entities or extra whitespace. The XML feed and the
+// rss2json fallback don't agree on description markup, so only the text
+// counts.
+const normalizeText = (html) => decodeEntities(stripHtml(html)).replace(/\s+/g, ' ').trim();
+
+// The parts of an announcement whose change counts as an update
+function contentSnapshot(announcement) {
+    return {
+        title: (announcement.title || '').trim(),
+        link: (announcement.link || '').trim(),
+        text: normalizeText(announcement.description).substring(0, MAX_SNAPSHOT_LENGTH)
+    };
+}
+
+// Hash of a snapshot; older snapshots kept entities, so text is normalized again
+function snapshotHash({ title = '', link = '', text = '' }) {
+    const normalized = [title.trim(), link.trim(), normalizeText(text).substring(0, MAX_SNAPSHOT_LENGTH)].join('\n');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+const contentHash = (announcement) => snapshotHash(contentSnapshot(announcement));
+
+// Split text into sentence-ish lines so a diff of a paragraph stays readable
+const toLines = (text) => (text || '')
+    .split(/(?<=[.!?।])\s+|\n+/)
+    .map(l => l.trim())
+    .filter(Boolean);
+
+// Line diff via longest common subsequence; returns [{ op: ' '|'-'|'+', line }]
+function diffLines(before, after) {
+    const a = toLines(before);
+    const b = toLines(after);
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ op: ' ', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ op: '-', line: a[i++] });
+        } else {
+            ops.push({ op: '+', line: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ op: '-', line: a[i++] });
+    while (j < b.length) ops.push({ op: '+', line: b[j++] });
+    return ops;
+}
+
+// Human readable summary of what changed between two snapshots, sized to fit
+// in a Discord embed field (1024 characters)
+function describeChanges(previous, current, maxLength = 1000) {
+    const parts = [];
+    if (previous.title !== current.title) {
+        parts.push(`**Title:** ~~${previous.title}~~ → ${current.title}`);
+    }
+    if (previous.link !== current.link) {
+        parts.push(`**Link:** ${current.link}`);
+    }
+    if (previous.text !== current.text) {
+        const changed = diffLines(previous.text, current.text).filter(d => d.op !== ' ');
+        if (changed.length > 0) {
+            const header = parts.join('\n');
+            // Room left for the diff block after the header and code fences
+            const budget = maxLength - header.length - 20;
+            let body = '';
+            for (const { op, line } of changed) {
+                const next = `${op} ${line}\n`;
+                if (body.length + next.length > budget) {
+                    body += '…\n';
+                    break;
+                }
+                body += next;
+            }
+            parts.push('```diff\n' + body + '```');
+        }
+    }
+    const summary = parts.join('\n') || 'Minor formatting changes';
+    return summary.length > maxLength ? summary.substring(0, maxLength - 1) + '…' : summary;
+}
+
+module.exports = {
+    contentSnapshot,
+    contentHash,
+    snapshotHash,
+    diffLines,
+    describeChanges
+};
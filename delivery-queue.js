@@ -0,0 +1,278 @@
+const fs = require('fs');
+const { notifierFor } = require('./notifiers');
+const { createLogger } = require('./logger');
+
+// Persistent outbound delivery queue.
+//
+// Every (announcement, destination) send, every edit notification and every
+// digest (see digest.js) is a job in QUEUE_FILE, so pending deliveries survive restarts. drainQueue() runs one
+// worker per destination: destinations send concurrently, each destination's
+// jobs go out one at a time. Rate limits (429 with retry_after, or Discord's
+// bucket headers, handled in the notifier) reschedule a job without counting
+// it as a failed attempt. Other failures back off exponentially; permanent
+// errors (e.g. 404 for a deleted webhook) and jobs that run out of attempts
+// are moved to the dead-letter list, which can be replayed:
+//
+//   node delivery-queue.js list
+//   node delivery-queue.js replay [--destination <name>] [--id <announcement id>]
+
+const log = createLogger('queue');
+
+const QUEUE_FILE = process.env.QUEUE_FILE || 'delivery-queue.json';
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 8;
+
+// Rate-limit and backoff waits up to these lengths happen within the current
+// drain; longer ones leave the job for a later cycle
+const MAX_INLINE_RATE_LIMIT_WAIT_MS = 60 * 1000;
+const MAX_INLINE_BACKOFF_MS = 8000;
+// A destination that keeps answering 429 gets this many inline waits per job
+// in one drain; after that the job waits for the next cycle
+const MAX_INLINE_RATE_LIMIT_RETRIES = 3;
+// A retry_after of 0 would otherwise retry straight away
+const MIN_RATE_LIMIT_WAIT_MS = 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const emptyQueue = () => ({ jobs: [], deadLetters: [] });
+
+function loadQueue(file = QUEUE_FILE) {
+    if (!fs.existsSync(file)) return emptyQueue();
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return {
+            jobs: Array.isArray(data.jobs) ? data.jobs : [],
+            deadLetters: Array.isArray(data.deadLetters) ? data.deadLetters : []
+        };
+    } catch (error) {
+        const backup = `${file}.corrupt-${Date.now()}`;
+        log.error(`❌ Error reading delivery queue: ${error.message}. Moving it to ${backup}`);
+        fs.renameSync(file, backup);
+        return emptyQueue();
+    }
+}
+
+// Write atomically so a crash mid-write can't lose queued jobs
+function saveQueue(queue, file = QUEUE_FILE) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(queue, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+const jobKey = (job) => `${job.kind}\u0000${job.destination}\u0000${job.source}\u0000${job.announcementId}`;
+
+// Add a job unless the same send is already queued or dead-lettered. A newer
+// update replaces a queued one for the same message.
+// job: { kind: 'send' | 'update' | 'digest', destination, source, announcement, messageId?, changes? }
+// A digest job's announcement is the digest, with the announcements it covers as items.
+function enqueue(queue, job) {
+    const key = jobKey({ ...job, announcementId: job.announcement.id });
+    const exists = (j) => jobKey(j) === key;
+    const queued = queue.jobs.find(exists);
+    if (queued) {
+        if (job.kind === 'update') {
+            queued.announcement = job.announcement;
+            queued.changes = job.changes || null;
+        }
+        return false;
+    }
+    if (job.kind === 'send' && queue.deadLetters.some(exists)) return false;
+
+    const now = new Date().toISOString();
+    queue.jobs.push({
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+        kind: job.kind,
+        destination: job.destination,
+        source: job.source,
+        announcementId: job.announcement.id,
+        announcement: job.announcement,
+        messageId: job.messageId || null,
+        changes: job.changes || null,
+        attempts: 0,
+        createdAt: now,
+        nextAttemptAt: now,
+        lastError: null
+    });
+    return true;
+}
+
+// Is a send of this announcement to this destination queued or dead-lettered?
+function hasSendJob(queue, destination, source, announcementId) {
+    const key = jobKey({ kind: 'send', destination, source, announcementId });
+    return queue.jobs.some(j => jobKey(j) === key) || queue.deadLetters.some(j => jobKey(j) === key);
+}
+
+// Is this announcement in a digest queued or dead-lettered for the destination?
+function hasDigestItem(queue, destination, source, announcementId) {
+    const inDigest = (j) => j.kind === 'digest' && j.destination === destination &&
+        j.announcement.items.some(item => item.source === source && item.id === announcementId);
+    return queue.jobs.some(inDigest) || queue.deadLetters.some(inDigest);
+}
+
+// A notice was edited while still queued: send the new version instead
+function refreshQueuedAnnouncement(queue, source, announcement) {
+    for (const job of queue.jobs) {
+        if (job.kind === 'send' && job.source === source && job.announcementId === announcement.id) {
+            job.announcement = announcement;
+        }
+    }
+}
+
+const backoffMs = (attempts) => Math.min(2000 * Math.pow(2, attempts - 1), MAX_BACKOFF_MS); // 2s, 4s, 8s...
+
+// Client errors other than timeouts and rate limits won't succeed on retry
+const isPermanent = (error) => error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+
+function nextDueJob(queue, destinationName, { now = Date.now(), hold = () => false } = {}) {
+    return queue.jobs
+        .filter(j => j.destination === destinationName && Date.parse(j.nextAttemptAt) <= now && !hold(j))
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))[0];
+}
+
+// Send every due job. onResult(job, result) is called after each attempt with
+// { success, attempts, messageId, mode, error, status, dead } so the caller
+// can keep the delivery ledger in step. Jobs for which hold(job) is true stay
+// queued for a later drain (quiet hours). Returns counts for the drain.
+async function drainQueue(queue, { destinations, onResult = () => {}, save = () => saveQueue(queue), hold = () => false }) {
+    const stats = { delivered: 0, failed: 0, dead: 0, rateLimited: 0, held: queue.jobs.filter(hold).length };
+
+    const names = [...new Set(queue.jobs.map(j => j.destination))];
+    const unknown = names.filter(name => !destinations.some(d => d.name === name));
+    if (unknown.length > 0) {
+        log.warn(`⚠️ Queued jobs for destinations no longer in the config: ${unknown.join(', ')}`);
+    }
+
+    async function worker(destination) {
+        // Inline rate-limit waits per job in this drain
+        const rateLimitWaits = new Map();
+        let job;
+        while ((job = nextDueJob(queue, destination.name, { hold }))) {
+            const notifier = notifierFor(destination);
+            try {
+                const value = job.kind === 'update' ? await notifier.update(job.announcement, job.messageId, job.changes) :
+                    job.kind === 'digest' ? await notifier.sendDigest(job.announcement) :
+                    await notifier.send(job.announcement);
+
+                queue.jobs = queue.jobs.filter(j => j !== job);
+                save();
+                stats.delivered++;
+                log.info(`✅ ${job.kind === 'update' ? 'Update for' : 'Delivered'} "${job.announcement.title}" ${job.kind === 'update' ? 'sent to' : 'to'} ${destination.name}`, { destination: destination.name, kind: job.kind, announcementId: job.announcementId });
+                onResult(job, { success: true, attempts: 1, messageId: value && value.messageId, mode: value && value.mode });
+            } catch (error) {
+                if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+                    // Rate limited: wait as asked, without counting an attempt
+                    const waitMs = Math.max(error.retryAfterMs, MIN_RATE_LIMIT_WAIT_MS);
+                    const waits = (rateLimitWaits.get(job) || 0) + 1;
+                    rateLimitWaits.set(job, waits);
+                    stats.rateLimited++;
+                    job.nextAttemptAt = new Date(Date.now() + waitMs).toISOString();
+                    job.lastError = error.message;
+                    save();
+                    log.warn(`⏳ ${destination.name} rate limited, retrying in ${(waitMs/1000).toFixed(1)}s`, { destination: destination.name, retryAfterMs: error.retryAfterMs });
+                    if (waitMs > MAX_INLINE_RATE_LIMIT_WAIT_MS) break;
+                    if (waits > MAX_INLINE_RATE_LIMIT_RETRIES) {
+                        log.warn(`⏳ ${destination.name} is still rate limited after ${MAX_INLINE_RATE_LIMIT_RETRIES} retries, leaving its jobs for the next cycle`, { destination: destination.name });
+                        break;
+                    }
+                    await sleep(waitMs);
+                    continue;
+                }
+
+                job.attempts++;
+                job.lastError = error.message;
+                log.error(`❌ [Attempt ${job.attempts}/${QUEUE_MAX_ATTEMPTS}] Error delivering "${job.announcement.title}" to ${destination.name}: ${error.message}`, { destination: destination.name, kind: job.kind, announcementId: job.announcementId, attempt: job.attempts, error });
+
+                if (isPermanent(error) || job.attempts >= QUEUE_MAX_ATTEMPTS) {
+                    queue.jobs = queue.jobs.filter(j => j !== job);
+                    queue.deadLetters.push({ ...job, deadAt: new Date().toISOString() });
+                    save();
+                    stats.dead++;
+                    log.error(`☠️ Moved "${job.announcement.title}" for ${destination.name} to dead letters (${isPermanent(error) ? `permanent error ${error.status}` : 'out of attempts'})`, { destination: destination.name, announcementId: job.announcementId });
+                    onResult(job, { success: false, attempts: 1, error: error.message, status: error.status, dead: true });
+                    continue;
+                }
+
+                const delay = backoffMs(job.attempts);
+                job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                save();
+                stats.failed++;
+                onResult(job, { success: false, attempts: 1, error: error.message, status: error.status });
+                log.info(`⏱️ Retrying ${destination.name} in ${delay/1000} seconds...`);
+                if (delay <= MAX_INLINE_BACKOFF_MS) {
+                    await sleep(delay);
+                }
+            }
+        }
+    }
+
+    const active = destinations.filter(d => queue.jobs.some(j => j.destination === d.name));
+    if (active.length > 0) {
+        log.info(`📤 Draining delivery queue: ${queue.jobs.length} job(s) across ${active.length} destination(s)`);
+        await Promise.all(active.map(worker));
+        log.info(`📊 Delivery summary: ${stats.delivered} delivered, ${stats.failed} failed (will retry), ${stats.dead} dead-lettered, ${queue.jobs.length} still queued`, { ...stats, queued: queue.jobs.length });
+    }
+
+    return stats;
+}
+
+// Move dead letters back into the queue. Returns how many were replayed.
+function replayDeadLetters(queue, { destination, announcementId } = {}) {
+    const matches = (j) =>
+        (!destination || j.destination === destination) &&
+        (!announcementId || j.announcementId === announcementId);
+
+    const replay = queue.deadLetters.filter(matches);
+    queue.deadLetters = queue.deadLetters.filter(j => !matches(j));
+    const now = new Date().toISOString();
+    for (const job of replay) {
+        const { deadAt, ...rest } = job;
+        queue.jobs.push({ ...rest, attempts: 0, nextAttemptAt: now, replayedAt: now });
+    }
+    return replay.length;
+}
+
+function printQueue(queue) {
+    console.log(`📬 ${queue.jobs.length} queued job(s), ${queue.deadLetters.length} dead letter(s)`);
+    for (const job of queue.jobs) {
+        console.log(`  ⏳ [${job.kind}] ${job.destination}: "${job.announcement.title}" (attempts: ${job.attempts}, next: ${job.nextAttemptAt}${job.lastError ? `, last error: ${job.lastError}` : ''})`);
+    }
+    for (const job of queue.deadLetters) {
+        console.log(`  ☠️ [${job.kind}] ${job.destination}: "${job.announcement.title}" [ID: ${job.announcementId}] (dead since ${job.deadAt}: ${job.lastError})`);
+    }
+}
+
+// Command line: list / replay dead letters
+if (require.main === module) {
+    require('dotenv').config();
+    const [command, ...args] = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+
+    const queue = loadQueue();
+    if (command === 'list') {
+        printQueue(queue);
+    } else if (command === 'replay') {
+        const count = replayDeadLetters(queue, { destination: option('destination'), announcementId: option('id') });
+        saveQueue(queue);
+        console.log(`🔁 Moved ${count} dead letter(s) back into the queue; they will be sent on the next check`);
+    } else {
+        console.log('Usage: node delivery-queue.js list | replay [--destination <name>] [--id <announcement id>]');
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    QUEUE_FILE,
+    QUEUE_MAX_ATTEMPTS,
+    loadQueue,
+    saveQueue,
+    enqueue,
+    hasSendJob,
+    hasDigestItem,
+    refreshQueuedAnnouncement,
+    drainQueue,
+    replayDeadLetters,
+    printQueue
+};
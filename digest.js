@@ -0,0 +1,87 @@
+const fs = require('fs');
+const { previousRun, nextRun } = require('./schedule');
+const { recordAnnouncement } = require('./ledger');
+const { createLogger } = require('./logger');
+
+// Digest delivery. A webhook with a "digest" schedule (see schedule.js) gets
+// no message per notice: its deliveries wait in the ledger with status
+// "digest" until the window closes, then one digest job carrying all of them
+// goes through the delivery queue and is rendered as grouped link lists (see
+// templates.js renderDigest). Urgent notices are still posted right away.
+//
+// The ledger holds what is waiting, so only the time each destination's last
+// window closed is kept here, in DIGEST_STATE_FILE:
+//
+//   { "destinations": { "<webhook name>": { "lastDigestAt": "<ISO time>" } } }
+
+const log = createLogger('digest');
+
+const DIGEST_STATE_FILE = process.env.DIGEST_STATE_FILE || 'digest-state.json';
+
+function loadDigestState(file = DIGEST_STATE_FILE) {
+    if (!fs.existsSync(file)) return { destinations: {} };
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return { destinations: (data && data.destinations) || {} };
+    } catch (error) {
+        log.error(`❌ Error reading digest state: ${error.message}. Starting over`);
+        return { destinations: {} };
+    }
+}
+
+// Write atomically, like the delivery queue
+function saveDigestState(state, file = DIGEST_STATE_FILE) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+// Digest windows that have closed since each destination's last digest:
+// [{ destination, from, to }]. A destination seen for the first time starts
+// with the window that is open now, so enabling digests doesn't send one
+// straight away. Marks the windows as handled in state; the caller saves it.
+function closedWindows(destinations, state, now = new Date()) {
+    const windows = [];
+    for (const destination of destinations.filter(d => d.digest)) {
+        const closedAt = previousRun(destination.digest, now);
+        const entry = state.destinations[destination.name];
+        if (!entry) {
+            state.destinations[destination.name] = { lastDigestAt: closedAt.toISOString() };
+            continue;
+        }
+        if (Date.parse(entry.lastDigestAt) >= closedAt.getTime()) continue;
+        windows.push({ destination, from: new Date(entry.lastDigestAt), to: closedAt });
+        entry.lastDigestAt = closedAt.toISOString();
+    }
+    return windows;
+}
+
+// When each digest destination's current window closes
+function nextDigests(destinations, now = new Date()) {
+    return destinations
+        .filter(d => d.digest)
+        .map(d => ({ name: d.name, at: nextRun(d.digest, now) }));
+}
+
+// The delivery job's "announcement" for a digest: the records it covers,
+// oldest first, as announcements plus their source
+function digestAnnouncement({ destination, from, to }, records) {
+    return {
+        id: `digest:${to.toISOString()}`,
+        title: `${destination.digest.every === 'week' ? 'Weekly' : 'Daily'} digest (${records.length} announcement${records.length === 1 ? '' : 's'})`,
+        digest: true,
+        every: destination.digest.every,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        items: records.map(record => ({ ...recordAnnouncement(record), source: record.source }))
+    };
+}
+
+module.exports = {
+    DIGEST_STATE_FILE,
+    loadDigestState,
+    saveDigestState,
+    closedWindows,
+    nextDigests,
+    digestAnnouncement
+};
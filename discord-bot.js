@@ -0,0 +1,269 @@
+const {
+    Client,
+    GatewayIntentBits,
+    Events,
+    SlashCommandBuilder,
+    EmbedBuilder,
+    MessageFlags
+} = require('discord.js');
+const { createLogger } = require('./logger');
+
+// Optional gateway bot with slash commands. Only started when DISCORD_BOT_TOKEN
+// is set; webhook delivery works the same with or without it.
+//
+//   /latest [n]            latest announcements from the database
+//   /search <query>        search announcement titles and text
+//   /subscribe <keyword>   DM me when a new announcement matches
+//   /unsubscribe <keyword> stop those DMs
+//   /filters               show sources, routing and per-webhook filters
+//
+// Subscriptions are kept in the database through the storage backend, so they
+// are synced to GitHub and survive a redeploy like the announcements.
+
+const log = createLogger('discord-bot');
+
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+const MAX_RESULTS = 10;
+
+const commands = [
+    new SlashCommandBuilder()
+        .setName('latest')
+        .setDescription('Show the latest BRACU announcements')
+        .addIntegerOption(option => option
+            .setName('n')
+            .setDescription(`How many (1-${MAX_RESULTS}, default 5)`)
+            .setMinValue(1)
+            .setMaxValue(MAX_RESULTS)),
+    new SlashCommandBuilder()
+        .setName('search')
+        .setDescription('Search BRACU announcements')
+        .addStringOption(option => option
+            .setName('query')
+            .setDescription('Words to look for in the title or text')
+            .setRequired(true)),
+    new SlashCommandBuilder()
+        .setName('subscribe')
+        .setDescription('Get a DM when a new announcement matches a keyword')
+        .addStringOption(option => option
+            .setName('keyword')
+            .setDescription('Keyword, e.g. "final exam" or "CSE"')
+            .setRequired(true)
+            .setMaxLength(50)),
+    new SlashCommandBuilder()
+        .setName('unsubscribe')
+        .setDescription('Stop DMs for a keyword')
+        .addStringOption(option => option
+            .setName('keyword')
+            .setDescription('The keyword you subscribed to')
+            .setRequired(true)),
+    new SlashCommandBuilder()
+        .setName('filters')
+        .setDescription('Show which sources and filters each server receives')
+].map(command => command.toJSON());
+
+// Announcement records from the database, newest first
+function sortedRecords(ledger) {
+    const time = (r) => Date.parse(r.pubDate || r.firstSeenAt || r.postedAt) || 0;
+    return [...ledger.announcements].sort((a, b) => time(b) - time(a));
+}
+
+function searchRecords(ledger, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return sortedRecords(ledger).filter(record => {
+        const text = `${record.title || ''} ${(record.content && record.content.text) || ''}`.toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+}
+
+// One line per announcement, linked when we know the link
+function formatRecordList(records) {
+    return records.map(record => {
+        const date = Date.parse(record.pubDate || record.firstSeenAt);
+        const when = date ? ` — ${new Date(date).toLocaleDateString('en-US', { timeZone: 'Asia/Dhaka', month: 'short', day: 'numeric', year: 'numeric' })}` : '';
+        const title = (record.title || 'Untitled').substring(0, 150);
+        return record.link ? `• [${title}](${record.link})${when}` : `• ${title}${when}`;
+    }).join('\n');
+}
+
+function describeFilter(filter) {
+    if (!filter) return 'everything';
+    const describeRules = (rules) => [
+        rules.categories.length ? `categories: ${rules.categories.join(', ')}` : null,
+        rules.keywords.length ? `keywords: ${rules.keywords.join(', ')}` : null,
+        rules.regexes.length ? `regex: ${rules.regexes.map(r => `/${r.regex.source}/ (${r.field})`).join(', ')}` : null
+    ].filter(Boolean).join('; ');
+    const parts = [];
+    if (filter.include) parts.push(`only ${describeRules(filter.include)}`);
+    if (filter.exclude) parts.push(`except ${describeRules(filter.exclude)}`);
+    return parts.join(', ');
+}
+
+function buildFiltersEmbed(config) {
+    const embed = new EmbedBuilder()
+        .setTitle('Announcement routing')
+        .setColor('#336ca6');
+    for (const webhook of config.webhooks.slice(0, 25)) {
+        const sources = config.sources.filter(s => s.webhooks.includes(webhook.name)).map(s => s.name);
+        embed.addFields({
+            name: webhook.name.substring(0, 256),
+            value: `Sources: ${sources.join(', ') || 'none'}\nReceives: ${describeFilter(webhook.filter)}`.substring(0, 1024),
+            inline: false
+        });
+    }
+    if (config.webhooks.length === 0) {
+        embed.setDescription('No webhooks are configured.');
+    }
+    return embed;
+}
+
+// Start the gateway bot. loadPosted is the same database loader the poller
+// uses; loadSubscriptions/saveSubscriptions read and write the /subscribe
+// keywords by user ID in the same storage.
+// Returns a handle with the client and notifySubscribers(), or null when no
+// token is configured.
+function startBot({
+    token = process.env.DISCORD_BOT_TOKEN,
+    guildId = process.env.DISCORD_GUILD_ID,
+    loadPosted,
+    loadSubscriptions,
+    saveSubscriptions,
+    config
+}) {
+    if (!token) {
+        log.info('ℹ️ No DISCORD_BOT_TOKEN set, running in webhook-only mode');
+        return null;
+    }
+
+    const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+
+    client.once(Events.ClientReady, async readyClient => {
+        log.info(`🤖 Discord bot logged in as ${readyClient.user.tag}`);
+        try {
+            // Guild commands show up immediately; global ones can take up to an hour
+            if (guildId) {
+                await readyClient.application.commands.set(commands, guildId);
+            } else {
+                await readyClient.application.commands.set(commands);
+            }
+            log.info(`✅ Registered ${commands.length} slash commands${guildId ? ` in guild ${guildId}` : ' globally'}`);
+        } catch (error) {
+            log.error(`❌ Error registering slash commands: ${error.message}`);
+        }
+    });
+
+    client.on(Events.InteractionCreate, async interaction => {
+        if (!interaction.isChatInputCommand()) return;
+        try {
+            await handleCommand(interaction);
+        } catch (error) {
+            log.error(`❌ Error handling /${interaction.commandName}: ${error.message}`);
+            const reply = { content: 'Something went wrong, please try again later.', flags: MessageFlags.Ephemeral };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(reply).catch(() => {});
+            } else {
+                await interaction.reply(reply).catch(() => {});
+            }
+        }
+    });
+
+    async function handleCommand(interaction) {
+        switch (interaction.commandName) {
+            case 'latest': {
+                const n = interaction.options.getInteger('n') || 5;
+                const records = sortedRecords(loadPosted()).slice(0, n);
+                const embed = new EmbedBuilder()
+                    .setTitle(`Latest ${records.length} BRACU announcement${records.length === 1 ? '' : 's'}`)
+                    .setDescription(formatRecordList(records) || 'No announcements yet.')
+                    .setColor('#336ca6');
+                await interaction.reply({ embeds: [embed] });
+                break;
+            }
+            case 'search': {
+                const query = interaction.options.getString('query');
+                const matches = searchRecords(loadPosted(), query);
+                const embed = new EmbedBuilder()
+                    .setTitle(`Search: ${query}`.substring(0, 256))
+                    .setDescription(formatRecordList(matches.slice(0, MAX_RESULTS)) || 'No matching announcements.')
+                    .setFooter({ text: `${matches.length} match${matches.length === 1 ? '' : 'es'}` })
+                    .setColor('#336ca6');
+                await interaction.reply({ embeds: [embed] });
+                break;
+            }
+            case 'subscribe': {
+                const keyword = interaction.options.getString('keyword').trim().toLowerCase();
+                const userId = interaction.user.id;
+                const subscriptions = loadSubscriptions() || {};
+                const keywords = subscriptions[userId] || [];
+                if (keywords.includes(keyword)) {
+                    await interaction.reply({ content: `You're already subscribed to "${keyword}".`, flags: MessageFlags.Ephemeral });
+                    break;
+                }
+                if (keywords.length >= MAX_SUBSCRIPTIONS_PER_USER) {
+                    await interaction.reply({ content: `You can have at most ${MAX_SUBSCRIPTIONS_PER_USER} keywords. Use /unsubscribe first.`, flags: MessageFlags.Ephemeral });
+                    break;
+                }
+                saveSubscriptions({ ...subscriptions, [userId]: [...keywords, keyword] });
+                await interaction.reply({ content: `🔔 I'll DM you when a new announcement mentions "${keyword}". Make sure your DMs are open.`, flags: MessageFlags.Ephemeral });
+                break;
+            }
+            case 'unsubscribe': {
+                const keyword = interaction.options.getString('keyword').trim().toLowerCase();
+                const userId = interaction.user.id;
+                const { [userId]: keywords = [], ...others } = loadSubscriptions() || {};
+                if (!keywords.includes(keyword)) {
+                    const current = keywords.length ? `Your keywords: ${keywords.join(', ')}` : 'You have no subscriptions.';
+                    await interaction.reply({ content: `You're not subscribed to "${keyword}". ${current}`, flags: MessageFlags.Ephemeral });
+                    break;
+                }
+                const remaining = keywords.filter(k => k !== keyword);
+                saveSubscriptions(remaining.length > 0 ? { ...others, [userId]: remaining } : others);
+                await interaction.reply({ content: `🔕 Unsubscribed from "${keyword}".`, flags: MessageFlags.Ephemeral });
+                break;
+            }
+            case 'filters': {
+                await interaction.reply({ embeds: [buildFiltersEmbed(config)], flags: MessageFlags.Ephemeral });
+                break;
+            }
+            default:
+                await interaction.reply({ content: 'Unknown command.', flags: MessageFlags.Ephemeral });
+        }
+    }
+
+    // DM every subscriber whose keyword appears in a new announcement
+    async function notifySubscribers(announcement) {
+        if (!client.isReady()) return;
+        const text = `${announcement.title || ''} ${announcement.description || ''}`.toLowerCase();
+        for (const [userId, keywords] of Object.entries(loadSubscriptions() || {})) {
+            const matched = keywords.filter(k => text.includes(k));
+            if (matched.length === 0) continue;
+            try {
+                const user = await client.users.fetch(userId);
+                const embed = new EmbedBuilder()
+                    .setTitle((announcement.title || 'New announcement').substring(0, 256))
+                    .setDescription(`Matched your subscription: ${matched.map(k => `"${k}"`).join(', ')}`)
+                    .setColor('#336ca6');
+                // setURL() throws on an empty link
+                if (announcement.link) embed.setURL(announcement.link);
+                await user.send({ embeds: [embed] });
+                log.info(`✉️ Sent DM alert to ${user.tag} for "${announcement.title}"`);
+            } catch (error) {
+                // Usually closed DMs; keep the subscription and carry on
+                log.warn(`⚠️ Could not DM user ${userId}: ${error.message}`);
+            }
+        }
+    }
+
+    client.login(token).catch(error => {
+        log.error(`❌ Discord bot login failed: ${error.message}`);
+    });
+
+    return { client, notifySubscribers };
+}
+
+module.exports = {
+    startBot,
+    commands,
+    searchRecords,
+    sortedRecords,
+    formatRecordList
+};
@@ -0,0 +1,97 @@
+const { fetchWithTimeout, USER_AGENT } = require('./http-fetch');
+const { parseFeed } = require('./rss-parser');
+const { createLogger } = require('./logger');
+
+const log = createLogger('feed');
+
+const FEED_TIMEOUT_MS = parseInt(process.env.FEED_TIMEOUT_MS) || 20000;
+const RSS2JSON_API = process.env.RSS2JSON_API_URL || 'https://api.rss2json.com/v1/api.json';
+
+// Conditional request state per feed URL: { etag, lastModified, items }
+const feedCache = new Map();
+
+// Build the rss2json proxy URL for a feed (only used as a fallback).
+// RSS2JSON_API_URL points it at another instance, e.g. the test harness.
+const rss2JsonUrl = (feedUrl) =>
+    `${RSS2JSON_API}?rss_url=${encodeURIComponent(feedUrl)}`;
+
+// Fetch and parse the XML feed directly, sending ETag/If-Modified-Since
+async function fetchXmlFeed(feedUrl) {
+    const cached = feedCache.get(feedUrl);
+    const headers = {
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8'
+    };
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const response = await fetchWithTimeout(feedUrl, { headers }, FEED_TIMEOUT_MS);
+
+    if (response.status === 304 && cached) {
+        log.debug(`📦 Feed not modified since last check, using ${cached.items.length} cached items`);
+        return cached.items;
+    }
+
+    if (!response.ok) {
+        throw new Error(`RSS feed error: ${response.status} ${response.statusText}`);
+    }
+
+    const items = parseFeed(await response.text());
+
+    feedCache.set(feedUrl, {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        items
+    });
+
+    return items;
+}
+
+// Fetch the same feed through the rss2json proxy
+async function fetchRss2Json(jsonUrl) {
+    const response = await fetchWithTimeout(jsonUrl, {
+        headers: { 'User-Agent': USER_AGENT }
+    }, FEED_TIMEOUT_MS);
+
+    if (!response.ok) {
+        throw new Error(`rss2json error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    if (data.status !== 'ok' || !data.items || !Array.isArray(data.items)) {
+        throw new Error('Invalid response format from rss2json');
+    }
+
+    return data.items.map(item => ({
+        id: item.guid || item.link,
+        title: item.title,
+        pubDate: item.pubDate,
+        link: item.link,
+        description: item.description
+    }));
+}
+
+// Fetch a feed directly, falling back to rss2json if the direct fetch fails.
+// Pass fallbackUrl: null to disable the fallback.
+async function fetchFeed(feedUrl, { fallbackUrl = rss2JsonUrl(feedUrl) } = {}) {
+    try {
+        return await fetchXmlFeed(feedUrl);
+    } catch (error) {
+        if (!fallbackUrl) throw error;
+        log.warn(`⚠️ Direct feed fetch failed (${error.message}), falling back to rss2json...`);
+        try {
+            return await fetchRss2Json(fallbackUrl);
+        } catch (fallbackError) {
+            throw new Error(`Direct fetch failed (${error.message}); rss2json fallback failed (${fallbackError.message})`);
+        }
+    }
+}
+
+module.exports = {
+    fetchFeed,
+    fetchXmlFeed,
+    fetchRss2Json,
+    rss2JsonUrl,
+    feedCache
+};
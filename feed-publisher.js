@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const { CATEGORIES, detectCategories } = require('./filters');
+
+// Re-publishes the announcement archive from the ledger as RSS 2.0, Atom,
+// JSON Feed 1.1 and an iCalendar of exam/registration notices. All of them
+// take the same query parameters:
+//
+//   ?category=exam,result   announcements in any of these categories
+//   ?q=CSE                  case-insensitive keyword in the title or text
+//   ?source=bracu           one source only
+//   ?limit=20               newest N (default 50, at most 200)
+
+const FEED_TITLE = 'BRAC University Announcements';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Categories whose notices go into /calendar.ics
+const CALENDAR_CATEGORIES = ['exam', 'registration'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DAY_PATTERN = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR_PATTERN = '(?:,?\\s+(\\d{4}))?';
+
+const MIME_TYPES = {
+    pdf: 'application/pdf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    zip: 'application/zip',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+const mimeType = (url) => {
+    const match = /\.([a-z0-9]+)(?:[?#]|$)/i.exec(url || '');
+    return (match && MIME_TYPES[match[1].toLowerCase()]) || 'application/octet-stream';
+};
+
+const escapeXml = (text) => String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// When the notice was published, falling back to when we first saw it
+function recordTime(record) {
+    return Date.parse(record.pubDate) || Date.parse(record.firstSeenAt) || Date.parse(record.postedAt) || 0;
+}
+
+// A ledger record as a feed entry. Enrichment details are stored on records
+// created after they were added; older ones only have the feed text.
+function toEntry(record) {
+    const details = record.details || {};
+    const text = (record.content && record.content.text) || '';
+    const categories = details.categories && details.categories.length > 0 ?
+        details.categories :
+        detectCategories({ title: record.title, description: text });
+    return {
+        id: record.id,
+        source: record.source,
+        title: record.title || '(untitled)',
+        link: record.link || (record.content && record.content.link) || null,
+        published: new Date(recordTime(record)),
+        updated: new Date(Date.parse(record.updatedAt) || recordTime(record)),
+        summary: details.summary || text,
+        attachments: details.attachments || [],
+        image: details.image || null,
+        categories
+    };
+}
+
+// Parse the shared query parameters. Throws with .status = 400 on bad input.
+function parseFeedQuery(searchParams) {
+    const categories = (searchParams.get('category') || '')
+        .split(',')
+        .map(c => c.trim().toLowerCase())
+        .filter(Boolean);
+    const unknown = categories.filter(c => !CATEGORIES.includes(c));
+    if (unknown.length > 0) {
+        const error = new Error(`Unknown category ${unknown.join(', ')} (known: ${CATEGORIES.join(', ')})`);
+        error.status = 400;
+        throw error;
+    }
+
+    const limitParam = searchParams.get('limit');
+    const limit = limitParam === null ? DEFAULT_LIMIT : parseInt(limitParam);
+    if (isNaN(limit) || limit < 1) {
+        const error = new Error('limit must be a positive number');
+        error.status = 400;
+        throw error;
+    }
+
+    return {
+        categories,
+        keyword: (searchParams.get('q') || searchParams.get('keyword') || '').trim().toLowerCase(),
+        source: searchParams.get('source') || null,
+        limit: Math.min(limit, MAX_LIMIT)
+    };
+}
+
+// Newest-first entries matching the query. With calendar, only notices that go
+// on the calendar count towards the limit.
+function selectEntries(ledger, { categories = [], keyword = '', source = null, limit = DEFAULT_LIMIT, calendar = false } = {}) {
+    return ledger.announcements
+        .filter(record => !source || record.source === source)
+        .map(toEntry)
+        .filter(entry => !calendar || entry.categories.some(c => CALENDAR_CATEGORIES.includes(c)))
+        .filter(entry => categories.length === 0 || categories.some(c => entry.categories.includes(c)))
+        .filter(entry => !keyword || `${entry.title} ${entry.summary}`.toLowerCase().includes(keyword))
+        .sort((a, b) => b.published - a.published)
+        .slice(0, limit);
+}
+
+// Title suffix describing the filters, e.g. " (exam, result; "CSE")"
+function feedTitle(query) {
+    const parts = [];
+    if (query.categories && query.categories.length > 0) parts.push(query.categories.join(', '));
+    if (query.keyword) parts.push(`"${query.keyword}"`);
+    if (query.source) parts.push(query.source);
+    return parts.length > 0 ? `${FEED_TITLE} (${parts.join('; ')})` : FEED_TITLE;
+}
+
+function renderRss(entries, { baseUrl, selfUrl, query = {} }) {
+    const items = entries.map(entry => `
+    <item>
+      <title>${escapeXml(entry.title)}</title>
+      ${entry.link ? `<link>${escapeXml(entry.link)}</link>` : ''}
+      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+      <pubDate>${entry.published.toUTCString()}</pubDate>
+      <description>${escapeXml(entry.summary)}</description>${entry.categories.map(c => `
+      <category>${escapeXml(c)}</category>`).join('')}${entry.attachments.map(a => `
+      <enclosure url="${escapeXml(a.url)}" length="0" type="${mimeType(a.url)}"/>`).join('')}
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feedTitle(query))}</title>
+    <link>${escapeXml(baseUrl)}/</link>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <description>Notices from BRAC University, as posted by the announcement bot</description>
+    <language>en</language>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(entries, { baseUrl, selfUrl, query = {} }) {
+    const updated = entries.length > 0 ? new Date(Math.max(...entries.map(e => e.updated))) : new Date();
+    const items = entries.map(entry => `
+  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <id>${escapeXml(atomId(entry))}</id>
+    ${entry.link ? `<link rel="alternate" href="${escapeXml(entry.link)}"/>` : ''}
+    <published>${entry.published.toISOString()}</published>
+    <updated>${entry.updated.toISOString()}</updated>
+    <summary>${escapeXml(entry.summary)}</summary>${entry.categories.map(c => `
+    <category term="${escapeXml(c)}"/>`).join('')}${entry.attachments.map(a => `
+    <link rel="enclosure" href="${escapeXml(a.url)}" type="${mimeType(a.url)}" title="${escapeXml(a.name)}"/>`).join('')}
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feedTitle(query))}</title>
+  <id>${escapeXml(selfUrl)}</id>
+  <link rel="self" href="${escapeXml(selfUrl)}"/>
+  <link rel="alternate" href="${escapeXml(baseUrl)}/"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>BRAC University Announcement Bot</name></author>${items}
+</feed>
+`;
+}
+
+// Atom ids must be IRIs; BRACU's GUIDs look like "28708 at https://www.bracu.ac.bd"
+function atomId(entry) {
+    if (/^[a-z][a-z0-9+.-]*:\S+$/i.test(entry.id)) return entry.id;
+    return `urn:sha1:${crypto.createHash('sha1').update(`${entry.source}\n${entry.id}`).digest('hex')}`;
+}
+
+function renderJsonFeed(entries, { baseUrl, selfUrl, query = {} }) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feedTitle(query),
+        home_page_url: `${baseUrl}/`,
+        feed_url: selfUrl,
+        items: entries.map(entry => ({
+            id: entry.id,
+            ...(entry.link ? { url: entry.link } : {}),
+            title: entry.title,
+            content_text: entry.summary,
+            date_published: entry.published.toISOString(),
+            date_modified: entry.updated.toISOString(),
+            tags: entry.categories,
+            ...(entry.image ? { image: entry.image } : {}),
+            ...(entry.attachments.length > 0 ? {
+                attachments: entry.attachments.map(a => ({ url: a.url, mime_type: mimeType(a.url), title: a.name }))
+            } : {}),
+            _bracu: { source: entry.source }
+        }))
+    }, null, 2);
+}
+
+// Calendar dates (YYYY-MM-DD) in Dhaka
+const dhakaDate = (date) => date.toLocaleDateString('en-CA', { timeZone: 'Asia/Dhaka' });
+
+const isoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month, day));
+    // Reject e.g. 31 June, which Date would roll over
+    if (date.getUTCMonth() !== month || date.getUTCDate() !== day) return null;
+    return date.toISOString().substring(0, 10);
+};
+
+const monthIndex = (name) => MONTHS.indexOf(name.substring(0, 3).toLowerCase());
+
+// Explicit dates in a notice title, e.g. "12 May 2025", "May 12-14, 2025",
+// "12-14 May", "12/05/2025" (day first, as BRACU writes them). A missing year
+// is taken from referenceDate. Returns [{ start, end }] with inclusive
+// YYYY-MM-DD dates.
+function extractEventDates(text, referenceDate = new Date()) {
+    const referenceYear = parseInt(dhakaDate(referenceDate).substring(0, 4));
+    const ranges = [];
+    const add = (year, month, startDay, endDay = startDay) => {
+        const y = year ? parseInt(year) : referenceYear;
+        const start = isoDate(y, month, parseInt(startDay));
+        const end = isoDate(y, month, parseInt(endDay));
+        if (start && end && end >= start && !ranges.some(r => r.start === start && r.end === end)) {
+            ranges.push({ start, end });
+        }
+    };
+
+    const patterns = [
+        // 12 May 2025, 12-14 May 2025, 12th to 14th May
+        [new RegExp(`\\b${DAY_PATTERN}(?:\\s*(?:-|–|to)\\s*${DAY_PATTERN})?\\s+${MONTH_PATTERN}\\b${YEAR_PATTERN}`, 'gi'),
+            (m) => add(m[4], monthIndex(m[3]), m[1], m[2] || m[1])],
+        // May 12, 2025 and May 12-14, 2025
+        [new RegExp(`\\b${MONTH_PATTERN}\\s+${DAY_PATTERN}(?:\\s*(?:-|–|to)\\s*${DAY_PATTERN})?\\b${YEAR_PATTERN}`, 'gi'),
+            (m) => add(m[4], monthIndex(m[1]), m[2], m[3] || m[2])],
+        // 12/05/2025, 12.05.2025, 12-05-2025
+        [/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/g,
+            (m) => add(m[3], parseInt(m[2]) - 1, m[1])]
+    ];
+
+    for (const [regex, handle] of patterns) {
+        let match;
+        while ((match = regex.exec(text)) !== null) handle(match);
+    }
+    return ranges.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Academic term in a title, e.g. "Spring 2025"
+function extractTerm(text) {
+    const match = /\b(spring|summer|fall)\s*[-,]?\s*(\d{4})\b/i.exec(text || '');
+    return match ? `${match[1][0].toUpperCase()}${match[1].substring(1).toLowerCase()} ${match[2]}` : null;
+}
+
+// One all-day event per date range in the title. Titles like "Final Exam
+// schedule for Spring 2025" carry no date; those get an event on the day they
+// were published, marked as an announcement so it isn't taken for the exam.
+function calendarEvents(entries) {
+    const events = [];
+    for (const entry of entries) {
+        const categories = entry.categories.filter(c => CALENDAR_CATEGORIES.includes(c));
+        if (categories.length === 0) continue;
+
+        const dates = extractEventDates(entry.title, entry.published);
+        const dated = dates.length > 0;
+        const published = dhakaDate(entry.published);
+        const term = extractTerm(entry.title);
+
+        (dated ? dates : [{ start: published, end: published }]).forEach((range, index) => {
+            const description = [
+                dated ? null : 'The notice gives no date; this is the day it was published.',
+                term ? `Term: ${term}` : null,
+                entry.summary,
+                entry.link
+            ].filter(Boolean).join('\n\n');
+            events.push({
+                uid: `${crypto.createHash('sha1').update(`${entry.source}\n${entry.id}\n${index}`).digest('hex')}@bracu-announcement-bot`,
+                summary: dated ? entry.title : `Announced: ${entry.title}`,
+                dated,
+                start: range.start,
+                end: range.end,
+                description,
+                url: entry.link,
+                categories: categories.map(c => c.toUpperCase()),
+                stamp: entry.updated
+            });
+        });
+    }
+    return events;
+}
+
+// Text values escape backslash, semicolon, comma and newlines
+const escapeIcs = (text) => String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded with CRLF + space
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+const icsDate = (isoDay) => isoDay.replace(/-/g, '');
+const icsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// The day after an inclusive end date (DTEND is exclusive for all-day events)
+const nextDay = (isoDay) => {
+    const date = new Date(`${isoDay}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().substring(0, 10);
+};
+
+function renderCalendar(entries, { query = {} } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//BRAC University Announcement Bot//Notices//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcs(feedTitle(query).replace(FEED_TITLE, 'BRACU Exams & Registration'))}`,
+        'X-WR-TIMEZONE:Asia/Dhaka',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H'
+    ];
+    for (const event of calendarEvents(entries)) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${icsTimestamp(event.stamp)}`,
+            `DTSTART;VALUE=DATE:${icsDate(event.start)}`,
+            `DTEND;VALUE=DATE:${icsDate(nextDay(event.end))}`,
+            `SUMMARY:${escapeIcs(event.summary)}`,
+            `DESCRIPTION:${escapeIcs(event.description)}`,
+            ...(event.url ? [`URL:${event.url}`] : []),
+            `CATEGORIES:${event.categories.join(',')}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    CALENDAR_CATEGORIES,
+    parseFeedQuery,
+    selectEntries,
+    renderRss,
+    renderAtom,
+    renderJsonFeed,
+    renderCalendar,
+    calendarEvents,
+    extractEventDates,
+    extractTerm
+};
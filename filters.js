@@ -0,0 +1,166 @@
+// Per-destination include/exclude rules and category detection.
+//
+// A webhook's "filter" in the config looks like:
+//   {
+//     "include": { "categories": ["exam", "result"], "keywords": ["CSE"] },
+//     "exclude": { "regex": ["\\bLLB\\b"] }
+//   }
+// Each rule set may use "keywords" (case-insensitive substring), "regex"
+// (a pattern string, or { "pattern", "flags", "field": "title" | "description" })
+// and "categories". An announcement passes if it matches at least one include
+// rule (or there are none) and matches no exclude rule.
+//
+// The top-level "urgent" section of the config is a rule set too (see
+// compileUrgency); urgent announcements can ping more people and are
+// escalated to extra destinations.
+
+// Category detection is keyword based; an announcement can be in several
+const CATEGORY_PATTERNS = {
+    exam: /\b(exams?|examinations?|mid[- ]?terms?|finals?|quiz(zes)?|viva)\b/i,
+    registration: /\b(registration|pre-?registration|advising|add\s*\/\s*drop|enrol(l)?ment)\b/i,
+    result: /\b(results?|grades?|cgpa|gpa|transcripts?|grade sheets?)\b/i,
+    admission: /\b(admissions?|admit cards?|applicants?|intake)\b/i,
+    event: /\b(events?|seminars?|workshops?|webinars?|conferences?|competitions?|festivals?|fairs?|ceremony|convocation|talks?|wishlist)\b/i,
+    scholarship: /\b(scholarships?|waivers?|financial aid|stipends?)\b/i,
+    holiday: /\b(holidays?|closures?|closed|vacation|eid|puja)\b/i
+};
+
+const CATEGORIES = Object.keys(CATEGORY_PATTERNS);
+
+// Plain text of an announcement description (which is usually HTML)
+const stripHtml = (html) => (html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+function detectCategories(announcement) {
+    const text = `${announcement.title || ''} ${stripHtml(announcement.description)}`;
+    return CATEGORIES.filter(category => CATEGORY_PATTERNS[category].test(text));
+}
+
+function compileRegex(entry, where) {
+    const spec = typeof entry === 'string' ? { pattern: entry } : entry;
+    if (!spec || typeof spec.pattern !== 'string') {
+        throw new Error(`${where}: regex entries must be a string or { "pattern": ... }`);
+    }
+    const field = spec.field || 'any';
+    if (!['any', 'title', 'description'].includes(field)) {
+        throw new Error(`${where}: regex field must be "title", "description" or "any"`);
+    }
+    if (spec.flags !== undefined && typeof spec.flags !== 'string') {
+        throw new Error(`${where}: regex flags must be a string`);
+    }
+    try {
+        // The global and sticky flags would make test() stateful between announcements
+        const flags = spec.flags !== undefined ? spec.flags.replace(/[gy]/g, '') : 'i';
+        return { regex: new RegExp(spec.pattern, flags), field };
+    } catch (error) {
+        throw new Error(`${where}: invalid regex /${spec.pattern}/: ${error.message}`);
+    }
+}
+
+// One of a rule set's lists, [] when left out
+function ruleList(raw, key, where) {
+    if (raw[key] === undefined || raw[key] === null) return [];
+    if (!Array.isArray(raw[key])) {
+        throw new Error(`${where}.${key} must be a list`);
+    }
+    return raw[key];
+}
+
+function compileRuleSet(raw, where) {
+    if (raw === undefined || raw === null) return null;
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`${where} must be an object`);
+    }
+
+    const keywords = ruleList(raw, 'keywords', where).map(k => String(k).toLowerCase());
+    const regexes = ruleList(raw, 'regex', where).map((r, i) => compileRegex(r, `${where}.regex[${i}]`));
+    const categories = ruleList(raw, 'categories', where);
+    const unknown = categories.filter(c => !CATEGORIES.includes(c));
+    if (unknown.length > 0) {
+        throw new Error(`${where}: unknown categor${unknown.length > 1 ? 'ies' : 'y'} ${unknown.join(', ')} (known: ${CATEGORIES.join(', ')})`);
+    }
+
+    if (keywords.length + regexes.length + categories.length === 0) return null;
+    return { keywords, regexes, categories };
+}
+
+// Validate a raw filter from the config and precompile its regexes.
+// Returns null when the destination accepts everything.
+function compileFilter(raw, where = 'filter') {
+    if (raw === undefined || raw === null) return null;
+    if (typeof raw !== 'object') {
+        throw new Error(`${where} must be an object`);
+    }
+    const include = compileRuleSet(raw.include, `${where}.include`);
+    const exclude = compileRuleSet(raw.exclude, `${where}.exclude`);
+    if (!include && !exclude) return null;
+    return { include, exclude };
+}
+
+function matchesRuleSet(ruleSet, announcement, categories) {
+    const title = announcement.title || '';
+    const description = stripHtml(announcement.description);
+    const text = `${title} ${description}`.toLowerCase();
+
+    if (ruleSet.keywords.some(k => text.includes(k))) return true;
+    if (ruleSet.categories.some(c => categories.includes(c))) return true;
+    return ruleSet.regexes.some(({ regex, field }) => {
+        if (field === 'title') return regex.test(title);
+        if (field === 'description') return regex.test(description);
+        return regex.test(title) || regex.test(description);
+    });
+}
+
+// Closures, postponements, deadlines and the like, judged by the title so a
+// passing mention of a deadline in the body doesn't count
+const DEFAULT_URGENT_RULES = {
+    regex: [{
+        pattern: '\\b(clos(ed|ures?)|postpone(d|ments?)?|deadlines?|holidays?|cancel(l)?ed|cancellations?|suspend(ed)?|suspensions?|reschedul(ed|ing)|emergency|urgent)\\b',
+        field: 'title'
+    }]
+};
+
+// Validate the config's "urgent" section: which announcements are urgent
+// (a rule set, DEFAULT_URGENT_RULES when it has none) and the webhooks they
+// are escalated to
+function compileUrgency(raw, webhookNames, where = 'urgent') {
+    if (raw === undefined || raw === null) raw = {};
+    if (typeof raw !== 'object') {
+        throw new Error(`${where} must be an object`);
+    }
+    const { escalateTo = [], ...rules } = raw;
+    if (!Array.isArray(escalateTo)) {
+        throw new Error(`${where}.escalateTo must be an array of webhook names`);
+    }
+    const unknown = escalateTo.filter(name => !webhookNames.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`${where}.escalateTo names unknown webhook(s): ${unknown.join(', ')}`);
+    }
+    return {
+        rules: compileRuleSet(rules, where) || compileRuleSet(DEFAULT_URGENT_RULES, where),
+        escalateTo
+    };
+}
+
+function isUrgent(urgency, announcement, categories = detectCategories(announcement)) {
+    return matchesRuleSet(urgency.rules, announcement, categories);
+}
+
+// Does the announcement pass a compiled filter?
+function passesFilter(filter, announcement, categories = detectCategories(announcement)) {
+    if (!filter) return true;
+    if (filter.include && !matchesRuleSet(filter.include, announcement, categories)) return false;
+    if (filter.exclude && matchesRuleSet(filter.exclude, announcement, categories)) return false;
+    return true;
+}
+
+module.exports = {
+    CATEGORIES,
+    detectCategories,
+    compileFilter,
+    compileRuleSet,
+    passesFilter,
+    matchesRuleSet,
+    compileUrgency,
+    isUrgent,
+    stripHtml
+};
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const { migrateLedger, DELIVERY_STATUS } = require('./ledger');
+const { createLogger } = require('./logger');
+
+// Keeps the announcements database in step with a copy committed to GitHub,
+// which is what survives Render's ephemeral disk.
+//
+// - hydrate() runs once at startup and merges the GitHub copy into the local
+//   database (or restores it when the local file is gone), so a redeploy
+//   doesn't repost old notices.
+// - sync() pulls the remote copy, three-way merges it with the local database
+//   when it changed since our last sync, and pushes the result with the SHA it
+//   was based on. A concurrent commit makes GitHub reject the push (409); we
+//   then pull, merge and try again.
+// - All calls go through one promise chain, so two syncs never overlap.
+//
+// The merge base is the database as last seen on GitHub, kept in memory and
+// in baseFile so it survives restarts on a persistent disk.
+
+const log = createLogger('github');
+
+const SYNC_MAX_ATTEMPTS = 3;
+
+const recordKey = (record) => `${record.source}\u0000${record.id}`;
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Higher wins when both sides changed the same delivery
+const STATUS_RANK = {
+    [DELIVERY_STATUS.SKIPPED]: 0,
+    [DELIVERY_STATUS.PENDING]: 1,
+    [DELIVERY_STATUS.DIGEST]: 2,
+    [DELIVERY_STATUS.FAILED]: 3,
+    [DELIVERY_STATUS.QUEUED]: 4,
+    [DELIVERY_STATUS.DEAD]: 5,
+    [DELIVERY_STATUS.DELIVERED]: 6
+};
+
+// Three-way merge of one value: take whichever side changed it
+function mergeValue(base, local, remote, resolveConflict) {
+    if (same(local, remote)) return local;
+    if (same(base, local)) return remote;
+    if (same(base, remote)) return local;
+    return resolveConflict(local, remote);
+}
+
+// Three-way merge of an object's entries, e.g. a record's deliveries by
+// webhook name
+function mergeEntries(base = {}, local = {}, remote = {}, resolveConflict) {
+    const merged = {};
+    const names = new Set([...Object.keys(local), ...Object.keys(remote)]);
+    for (const name of names) {
+        if (!(name in remote)) {
+            // Removed remotely, unless we changed it since
+            if (name in base && same(base[name], local[name])) continue;
+            merged[name] = local[name];
+        } else if (!(name in local)) {
+            if (name in base && same(base[name], remote[name])) continue;
+            merged[name] = remote[name];
+        } else {
+            merged[name] = mergeValue(base[name], local[name], remote[name], resolveConflict);
+        }
+    }
+    return merged;
+}
+
+function mergeDeliveries(base, local, remote) {
+    return mergeEntries(base, local, remote, (l, r) => {
+        const rank = (d) => STATUS_RANK[d.status] || 0;
+        if (rank(l) !== rank(r)) return rank(l) > rank(r) ? l : r;
+        return (l.attempts || 0) >= (r.attempts || 0) ? l : r;
+    });
+}
+
+// Content fields follow the newest edit; everything else prefers local state
+const CONTENT_FIELDS = ['title', 'link', 'contentHash', 'content', 'updatedAt', 'details'];
+
+function mergeRecord(base, local, remote) {
+    if (same(local, remote)) return local;
+    const b = base || {};
+    const merged = {};
+    const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+    const localIsNewer = (Date.parse(local.updatedAt) || 0) >= (Date.parse(remote.updatedAt) || 0);
+
+    for (const field of fields) {
+        if (field === 'deliveries') continue;
+        let value;
+        if (field === 'postedAt' || field === 'firstSeenAt') {
+            // Earliest known time
+            const times = [local[field], remote[field]].filter(Boolean).sort();
+            value = times[0];
+        } else if (CONTENT_FIELDS.includes(field)) {
+            value = mergeValue(b[field], local[field], remote[field], (l, r) => (localIsNewer ? l : r));
+        } else {
+            value = mergeValue(b[field], local[field], remote[field], (l) => l);
+        }
+        if (value !== undefined) merged[field] = value;
+    }
+    merged.deliveries = mergeDeliveries(b.deliveries, local.deliveries, remote.deliveries);
+
+    // Once either side has real delivery data the record is no longer legacy
+    if (!local.legacy || !remote.legacy) delete merged.legacy;
+    return merged;
+}
+
+// Merge two ledgers given their common ancestor (null when unknown: then
+// nothing counts as deleted and conflicting changes are resolved per field)
+function mergeLedgers(base, local, remote) {
+    const index = (ledger) => new Map((ledger ? ledger.announcements : []).map(r => [recordKey(r), r]));
+    const baseRecords = index(base);
+    const localRecords = index(local);
+    const remoteRecords = index(remote);
+
+    const announcements = [];
+    const seen = new Set();
+    const stats = { added: 0, updated: 0, removed: 0 };
+
+    // Keep local order, then anything only GitHub has
+    for (const key of [...localRecords.keys(), ...remoteRecords.keys()]) {
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const l = localRecords.get(key);
+        const r = remoteRecords.get(key);
+        const b = baseRecords.get(key);
+
+        if (l && r) {
+            const merged = mergeRecord(b, l, r);
+            if (!same(merged, l)) stats.updated++;
+            announcements.push(merged);
+        } else if (l) {
+            // Pruned on GitHub since the base, and unchanged here: drop it
+            if (b && same(b, l)) {
+                stats.removed++;
+                continue;
+            }
+            announcements.push(l);
+        } else {
+            if (b && same(b, r)) {
+                continue;
+            }
+            stats.added++;
+            announcements.push(r);
+        }
+    }
+
+    const ledger = { ...local, announcements };
+    // /subscribe keywords by user; a user changed on both sides keeps ours
+    if (local.subscriptions || remote.subscriptions) {
+        ledger.subscriptions = mergeEntries((base || {}).subscriptions, local.subscriptions, remote.subscriptions, (l) => l);
+    }
+
+    return { ledger, stats };
+}
+
+function createGitHubSync({
+    octokit,
+    owner,
+    repo,
+    path,
+    branch,
+    defaultSource,
+    loadPosted,
+    savePosted,
+    baseFile = null,
+    committer = { name: 'BRAC University Announcement Bot', email: 'bot@example.com' }
+}) {
+    const ref = branch ? { ref: branch } : {};
+    let base = null;
+    let baseSha = null;
+    let chain = Promise.resolve();
+
+    if (baseFile && fs.existsSync(baseFile)) {
+        try {
+            ({ sha: baseSha, ledger: base } = JSON.parse(fs.readFileSync(baseFile, 'utf8')));
+        } catch (error) {
+            log.warn(`⚠️ Ignoring unreadable sync base ${baseFile}: ${error.message}`);
+        }
+    }
+
+    function setBase(sha, ledger) {
+        // A copy: the storage may keep changing the ledger it handed us, and
+        // records added since would then look removed on GitHub
+        base = JSON.parse(JSON.stringify(ledger));
+        baseSha = sha;
+        if (!baseFile) return;
+        const tmp = `${baseFile}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ sha, ledger }));
+        fs.renameSync(tmp, baseFile);
+    }
+
+    // The GitHub copy as { sha, ledger }, or null when the file doesn't exist
+    async function fetchRemote() {
+        let data;
+        try {
+            ({ data } = await octokit.repos.getContent({ owner, repo, path, ...ref }));
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+        let content = data.content;
+        // The contents API leaves out files over 1 MB; fetch the blob instead
+        if (!content && data.encoding === 'none') {
+            ({ data: { content } } = await octokit.git.getBlob({ owner, repo, file_sha: data.sha }));
+        }
+        const text = Buffer.from(content || '', 'base64').toString('utf8');
+        return { sha: data.sha, ledger: migrateLedger(text.trim() ? JSON.parse(text) : [], defaultSource) };
+    }
+
+    // Merge the remote copy into the local database when it changed since the
+    // base. Returns the (possibly merged) local ledger.
+    function mergeRemote(remote) {
+        const local = loadPosted();
+        if (!remote || remote.sha === baseSha) return local;
+
+        const { ledger, stats } = mergeLedgers(base, local, remote.ledger);
+        if (!same(ledger, local)) {
+            savePosted(ledger);
+            log.info(`🔀 Merged GitHub copy of the database: ${stats.added} added, ${stats.updated} updated, ${stats.removed} removed`);
+        }
+        return ledger;
+    }
+
+    async function runHydrate() {
+        log.info('📥 Restoring announcements database from GitHub...');
+        const remote = await fetchRemote();
+        if (!remote) {
+            log.info('📄 No database in the GitHub repository yet');
+            return { ok: true, restored: false };
+        }
+        const ledger = mergeRemote(remote);
+        // GitHub has the remote version; our additions go up on the next sync
+        setBase(remote.sha, remote.ledger);
+        log.info(`✅ Database hydrated from GitHub: ${ledger.announcements.length} records (remote SHA: ${remote.sha.substring(0, 7)}...)`);
+        return { ok: true, restored: true };
+    }
+
+    async function runSync() {
+        log.info('🔄 Attempting to sync announcements to GitHub...');
+        for (let attempt = 1; attempt <= SYNC_MAX_ATTEMPTS; attempt++) {
+            const remote = await fetchRemote();
+            if (remote) {
+                log.debug(`📄 Found existing file in GitHub repository (SHA: ${remote.sha.substring(0, 7)}...)`);
+            } else {
+                log.debug('📄 File does not exist in GitHub repository yet, will create it');
+            }
+            const ledger = mergeRemote(remote);
+
+            if (remote && same(ledger, remote.ledger)) {
+                setBase(remote.sha, remote.ledger);
+                log.info('✅ GitHub copy of the database is already up to date');
+                return { ok: true, pushed: false };
+            }
+
+            try {
+                const { data } = await octokit.repos.createOrUpdateFileContents({
+                    owner,
+                    repo,
+                    path,
+                    ...(branch ? { branch } : {}),
+                    message: `Update announcements database [${new Date().toISOString()}]`,
+                    content: Buffer.from(JSON.stringify(ledger, null, 2)).toString('base64'),
+                    committer,
+                    ...(remote ? { sha: remote.sha } : {})
+                });
+                setBase(data.content.sha, ledger);
+                log.info(`✅ Successfully synced announcements to GitHub (commit: ${data.commit.sha.substring(0, 7)}...)`);
+                return { ok: true, pushed: true };
+            } catch (error) {
+                // 409: the file changed since we read it. 422: it was created meanwhile.
+                if ((error.status === 409 || error.status === 422) && attempt < SYNC_MAX_ATTEMPTS) {
+                    log.warn(`⚠️ GitHub copy changed while syncing, merging again (attempt ${attempt}/${SYNC_MAX_ATTEMPTS})`);
+                    continue;
+                }
+                throw error;
+            }
+        }
+    }
+
+    // Queue a task behind any running sync; failures are logged and returned
+    function serialized(task) {
+        const run = chain.then(task).catch(error => {
+            const detail = error.response && error.response.data ? ` (status ${error.status}: ${error.response.data.message})` : '';
+            log.error(`❌ Error syncing to GitHub: ${error.message}${detail}`, { error });
+            return { ok: false, error };
+        });
+        chain = run;
+        return run;
+    }
+
+    return {
+        hydrate: () => serialized(runHydrate),
+        sync: () => serialized(runSync)
+    };
+}
+
+module.exports = {
+    createGitHubSync,
+    mergeLedgers
+};
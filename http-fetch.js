@@ -0,0 +1,65 @@
+// For proper ES Module support with node-fetch
+const nodeFetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+// Browser-like User-Agent; the BRACU site rejects some default agents
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36';
+
+// The parts of a response callers use, with the body already read
+function bufferedResponse(response, body) {
+    return {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        url: response.url,
+        headers: response.headers,
+        text: async () => body.toString('utf8'),
+        json: async () => JSON.parse(body.toString('utf8'))
+    };
+}
+
+// Fetch with an abort-based timeout so a hung request never blocks a cycle.
+// The body is read before the timer stops, so a body that stalls after the
+// headers times out too.
+async function fetchWithTimeout(url, options = {}, timeoutMs = 20000) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await nodeFetch(url, { ...options, signal: controller.signal });
+        return bufferedResponse(response, Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Request to ${new URL(url).host} timed out after ${timeoutMs/1000} seconds`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds * 1000));
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Error for a failed HTTP response. status lets callers tell permanent
+// failures (e.g. 404 for a deleted webhook) from transient ones, and
+// retryAfterMs is set when the server asked us to slow down.
+function httpError(message, response, retryAfterMs = null) {
+    const error = new Error(message);
+    error.status = response.status;
+    error.retryAfterMs = retryAfterMs !== null ? retryAfterMs :
+        (response.status === 429 ? parseRetryAfter(response.headers.get('retry-after')) : null);
+    return error;
+}
+
+module.exports = {
+    nodeFetch,
+    fetchWithTimeout,
+    parseRetryAfter,
+    httpError,
+    USER_AGENT
+};
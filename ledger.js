@@ -0,0 +1,287 @@
+const fs = require('fs');
+const { contentSnapshot, contentHash, snapshotHash } = require('./content-diff');
+const { detectCategories } = require('./filters');
+const { createLogger } = require('./logger');
+
+// Delivery ledger: one record per (source, announcement id) with the delivery
+// status of every webhook it was routed to.
+//
+//   {
+//     "version": 2,
+//     "announcements": [{
+//       "id", "source", "title", "link", "pubDate", "firstSeenAt", "postedAt",
+//       "contentHash", "content": { "title", "link", "text" }, "updatedAt", "alertPending",
+//       "details": { "summary", "attachments", "image", "categories" },
+//       "deliveries": {
+//         "<webhook name>": {
+//           "status": "pending" | "digest" | "queued" | "delivered" | "failed" | "dead" | "skipped",
+//           "attempts", "lastAttemptAt", "lastError", "messageId", "deliveredAt",
+//           "lastUpdatedAt", "lastUpdateError"
+//         }
+//       }
+//     }],
+//     "subscriptions": { "<Discord user ID>": ["<keyword>", ...] }
+//   }
+//
+// "queued" means a job is in the delivery queue (see delivery-queue.js),
+// "digest" that it waits for the destination's next digest (see digest.js)
+// and "dead" that the queue gave up on it; "failed" is only found in databases
+// written before the queue existed and is retried like "pending".
+// "lastUpdateError" is set while the edit for a changed notice keeps failing.
+// "alertPending" marks a new announcement whose subscriber DM alerts go out
+// with its first successful delivery.
+// contentHash covers the notice's text without markup (see content-diff.js).
+// "subscriptions" holds the /subscribe keywords (see discord-bot.js), kept
+// here so they survive a redeploy with the rest of the database.
+//
+// The old database was a flat array of { id, title, postedAt }. Those records
+// are migrated with "legacy": true: we don't know which webhooks got them, so
+// they are treated as fully delivered and never retried.
+
+const log = createLogger('ledger');
+
+const LEDGER_VERSION = 2;
+
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    DIGEST: 'digest',
+    QUEUED: 'queued',
+    DELIVERED: 'delivered',
+    FAILED: 'failed',
+    DEAD: 'dead',
+    SKIPPED: 'skipped'
+};
+
+const emptyLedger = () => ({ version: LEDGER_VERSION, announcements: [] });
+
+// Convert a v1 flat array into a ledger
+function migrateLedger(data, defaultSource) {
+    if (Array.isArray(data)) {
+        return {
+            version: LEDGER_VERSION,
+            announcements: data.map(entry => ({
+                id: entry.id,
+                source: entry.source || defaultSource,
+                title: entry.title,
+                firstSeenAt: entry.postedAt,
+                postedAt: entry.postedAt,
+                legacy: true,
+                deliveries: {}
+            }))
+        };
+    }
+    if (data && data.version === LEDGER_VERSION && Array.isArray(data.announcements)) {
+        return data;
+    }
+    throw new Error(`Unsupported database format (version ${data && data.version})`);
+}
+
+function loadLedger(file, defaultSource) {
+    log.debug(`📂 Checking for database file at: ${file}`);
+    // Written with the first record, so a dry run leaves no file behind
+    if (!fs.existsSync(file)) {
+        log.info(`📝 Database file not found, starting with an empty database`);
+        return emptyLedger();
+    }
+
+    try {
+        const data = fs.readFileSync(file, 'utf8');
+        log.info(`📥 Successfully loaded database file (${data.length} bytes)`);
+        const parsed = JSON.parse(data);
+        const ledger = migrateLedger(parsed, defaultSource);
+        if (Array.isArray(parsed)) {
+            log.info(`🔧 Migrated ${ledger.announcements.length} records from the old database format`);
+            saveLedger(file, ledger);
+        }
+        return ledger;
+    } catch (error) {
+        // Keep the unreadable file around instead of silently wiping history
+        const backup = `${file}.corrupt-${Date.now()}`;
+        log.error(`❌ Error reading database file: ${error.message}`);
+        log.info(`🔧 Moving it to ${backup} and creating new empty database`);
+        fs.renameSync(file, backup);
+        const ledger = emptyLedger();
+        saveLedger(file, ledger);
+        return ledger;
+    }
+}
+
+// Write atomically so a crash mid-write can't truncate the database
+function saveLedger(file, ledger) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+// Create the record for a newly seen announcement. Routed webhooks start as
+// pending, the ones its filters rejected as skipped.
+function createRecord(source, announcement, { targets, skipped }) {
+    const deliveries = {};
+    for (const name of skipped) {
+        deliveries[name] = { status: DELIVERY_STATUS.SKIPPED, attempts: 0 };
+    }
+    for (const name of targets) {
+        deliveries[name] = { status: DELIVERY_STATUS.PENDING, attempts: 0 };
+    }
+    return {
+        id: announcement.id,
+        source,
+        title: announcement.title,
+        link: announcement.link,
+        pubDate: announcement.pubDate,
+        firstSeenAt: new Date().toISOString(),
+        postedAt: null,
+        contentHash: contentHash(announcement),
+        content: contentSnapshot(announcement),
+        deliveries
+    };
+}
+
+// When we first saw a record; storage backends index and prune by this
+const seenAt = (record) => record.firstSeenAt || record.postedAt || null;
+
+// Compare a known record with the feed's current version of the announcement.
+// Records without a hash (legacy or pre-hash) just get a baseline. Returns the
+// previous snapshot when the content changed, otherwise null.
+function applyContentUpdate(record, announcement) {
+    const hash = contentHash(announcement);
+    if (record.contentHash === hash) return null;
+
+    const previous = record.content;
+    const hadBaseline = Boolean(record.contentHash && previous);
+
+    record.contentHash = hash;
+    // Hashed before the text was normalized: same notice, new baseline
+    if (hadBaseline && snapshotHash(previous) === hash) {
+        record.content = contentSnapshot(announcement);
+        return null;
+    }
+    record.content = contentSnapshot(announcement);
+    record.title = announcement.title;
+    if (announcement.link) record.link = announcement.link;
+    if (!hadBaseline) return null;
+
+    record.updatedAt = new Date().toISOString();
+    return previous;
+}
+
+// Keep what enrichment found on the notice page, for the public feeds
+function setDetails(record, announcement) {
+    record.details = {
+        summary: announcement.summary || '',
+        attachments: announcement.attachments || [],
+        image: announcement.image || null,
+        categories: announcement.categories || []
+    };
+}
+
+// The announcement a record was made from, as far as the record keeps it,
+// for sending it again
+function recordAnnouncement(record) {
+    const details = record.details || {};
+    const content = record.content || {};
+    return {
+        id: record.id,
+        title: record.title || content.title || '',
+        link: record.link || content.link || '',
+        pubDate: record.pubDate,
+        description: content.text || '',
+        summary: details.summary || '',
+        attachments: details.attachments || [],
+        image: details.image || null,
+        categories: details.categories || detectCategories({ title: record.title, description: content.text })
+    };
+}
+
+// Delivered destinations that have a Discord message we can edit or follow up
+function deliveredDestinations(record) {
+    return Object.entries(record.deliveries)
+        .filter(([, d]) => d.status === DELIVERY_STATUS.DELIVERED)
+        .map(([name, d]) => ({ name, messageId: d.messageId }));
+}
+
+// Webhooks of a record that still need a delivery job. Queued ones are
+// included so a queue lost with an ephemeral disk gets rebuilt; the queue
+// ignores jobs it already has.
+function pendingDestinations(record) {
+    if (record.legacy) return [];
+    return Object.entries(record.deliveries)
+        .filter(([, d]) =>
+            d.status === DELIVERY_STATUS.PENDING ||
+            d.status === DELIVERY_STATUS.DIGEST ||
+            d.status === DELIVERY_STATUS.QUEUED ||
+            d.status === DELIVERY_STATUS.FAILED)
+        .map(([name]) => name);
+}
+
+// Deliver an existing record to more destinations (urgent escalation).
+// Destinations it was filtered out for are included; ones it already has
+// a delivery for are left alone. Returns the names that were added.
+function addDestinations(record, names) {
+    const added = names.filter(name => {
+        const delivery = record.deliveries[name];
+        return !delivery || delivery.status === DELIVERY_STATUS.SKIPPED;
+    });
+    for (const name of added) {
+        record.deliveries[name] = { status: DELIVERY_STATUS.PENDING, attempts: 0 };
+    }
+    return added;
+}
+
+// Leave a delivery for the destination's next digest. Returns whether the
+// status changed.
+function holdForDigest(record, webhookName) {
+    const delivery = record.deliveries[webhookName] || { attempts: 0 };
+    if (delivery.status === DELIVERY_STATUS.DIGEST || delivery.status === DELIVERY_STATUS.DELIVERED) return false;
+    record.deliveries[webhookName] = { ...delivery, status: DELIVERY_STATUS.DIGEST };
+    return true;
+}
+
+function markQueued(record, webhookName) {
+    const delivery = record.deliveries[webhookName] || { attempts: 0 };
+    if (delivery.status === DELIVERY_STATUS.DELIVERED) return;
+    record.deliveries[webhookName] = { ...delivery, status: DELIVERY_STATUS.QUEUED };
+}
+
+// Store the outcome of one send attempt to one webhook. A failure leaves the
+// delivery queued for retry unless the queue dead-lettered it.
+function recordDelivery(record, webhookName, { success, attempts = 1, messageId, error, dead }) {
+    const now = new Date().toISOString();
+    const previous = record.deliveries[webhookName] || { attempts: 0 };
+    const delivery = {
+        ...previous,
+        attempts: (previous.attempts || 0) + attempts,
+        lastAttemptAt: now
+    };
+    if (success) {
+        delivery.status = DELIVERY_STATUS.DELIVERED;
+        delivery.deliveredAt = now;
+        delivery.messageId = messageId || null;
+        delete delivery.lastError;
+        if (!record.postedAt) record.postedAt = now;
+    } else {
+        delivery.status = dead ? DELIVERY_STATUS.DEAD : DELIVERY_STATUS.QUEUED;
+        delivery.lastError = error || 'Unknown error';
+    }
+    record.deliveries[webhookName] = delivery;
+    return delivery;
+}
+
+module.exports = {
+    LEDGER_VERSION,
+    DELIVERY_STATUS,
+    loadLedger,
+    saveLedger,
+    migrateLedger,
+    createRecord,
+    seenAt,
+    pendingDestinations,
+    addDestinations,
+    holdForDigest,
+    markQueued,
+    recordDelivery,
+    applyContentUpdate,
+    setDetails,
+    recordAnnouncement,
+    deliveredDestinations
+};
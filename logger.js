@@ -0,0 +1,126 @@
+// Leveled logging. By default lines are printed as plain text, emoji and
+// all; LOG_FORMAT=json prints one JSON object per line instead:
+//
+//   {"time":"2025-06-06T14:00:00.000Z","level":"info","scope":"queue","msg":"✅ Delivered ...","destination":"Main"}
+//
+// LOG_LEVEL (debug, info, warn or error; default info) hides anything less
+// severe. Warnings and errors go to stderr.
+//
+// Webhook tokens, bot tokens and other credentials are replaced with *** in
+// every line, whatever logged them (see redact()).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Values of these environment variables never appear in the logs
+const SECRET_ENV = /(TOKEN|SECRET|PASSWORD|API_KEY)$|WEBHOOK_URL/;
+
+const SECRET_PATTERNS = [
+    // Discord webhook URLs: /api/webhooks/<id>/<token>
+    [/(\/api(?:\/v\d+)?\/webhooks\/\d+\/)[\w-]+/g, '$1***'],
+    // Telegram bot API URLs: /bot<id>:<token>
+    [/(\/bot\d+:)[\w-]+/g, '$1***'],
+    // Slack incoming webhooks
+    [/(hooks\.slack\.com\/(?:services|workflows|triggers)\/)[\w/-]+/g, '$1***'],
+    // GitHub tokens
+    [/\b(gh[pousr]_|github_pat_)\w+/g, '$1***'],
+    // Discord bot tokens: <base64 user ID>.<timestamp>.<HMAC>
+    [/\b[\w-]{23,28}\.[\w-]{6,7}\.[\w-]{27,40}\b/g, '***'],
+    // Authorization headers, e.g. "Authorization: Bot <token>"
+    [/(\bauthorization["']?\s*[:=]\s*["']?(?:(?:bearer|bot|basic|token)\s+)?)[^\s"',}]+/gi, '$1***'],
+    // user:password@ in URLs, e.g. SMTP_URL
+    [/(\/\/[^:/\s@]+:)[^@\s/]+@/g, '$1***@']
+];
+
+function envSecrets(env = process.env) {
+    return Object.entries(env)
+        .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= 8)
+        // WEBHOOK_URLS is a comma-separated list
+        .flatMap(([, value]) => value.split(','))
+        .map(value => value.trim())
+        .filter(value => value.length >= 8);
+}
+
+let secrets = envSecrets();
+
+// Replace credentials in a string with ***
+function redact(text) {
+    if (text === null || text === undefined) return text;
+    let result = String(text);
+    // Patterns first, so known URLs keep everything but the token
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    for (const secret of secrets) {
+        result = result.split(secret).join('***');
+    }
+    return result;
+}
+
+// Field names whose values are credentials, e.g. a request's headers
+const SECRET_FIELD = /^(authorization|token|password|secret|api[-_]?key)$/i;
+
+// Fields as they go into a JSON line: strings redacted, errors flattened
+function redactFields(value) {
+    if (value instanceof Error) {
+        return { message: redact(value.message), ...(value.status !== undefined ? { status: value.status } : {}) };
+    }
+    if (typeof value === 'string') return redact(value);
+    if (Array.isArray(value)) return value.map(redactFields);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+            [k, SECRET_FIELD.test(k) && typeof v === 'string' ? '***' : redactFields(v)]));
+    }
+    return value;
+}
+
+const options = {
+    level: LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info,
+    json: String(process.env.LOG_FORMAT || '').toLowerCase() === 'json',
+    // (level, line) -> void; see configureLogging()
+    write: (level, line) => (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`)
+};
+
+// Change the level, format or output, e.g. { level: 'debug', json: true }.
+// env re-reads the secrets to redact.
+function configureLogging({ level, json, write, env } = {}) {
+    if (level !== undefined) {
+        if (!LEVELS[level]) {
+            throw new Error(`Unknown log level "${level}" (known: ${Object.keys(LEVELS).join(', ')})`);
+        }
+        options.level = LEVELS[level];
+    }
+    if (json !== undefined) options.json = Boolean(json);
+    if (write) options.write = write;
+    if (env) secrets = envSecrets(env);
+}
+
+function emit(level, scope, baseFields, message, fields = {}) {
+    if (LEVELS[level] < options.level) return;
+    const line = options.json ?
+        JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            ...(scope ? { scope } : {}),
+            msg: redact(message).trim(),
+            ...redactFields({ ...baseFields, ...fields })
+        }) :
+        redact(message);
+    options.write(level, line);
+}
+
+// A logger for one part of the bot. fields are added to every JSON line.
+function createLogger(scope = null, fields = {}) {
+    const logger = {};
+    for (const level of Object.keys(LEVELS)) {
+        logger[level] = (message, extra) => emit(level, scope, fields, message, extra);
+    }
+    logger.child = (extra) => createLogger(scope, { ...fields, ...extra });
+    return logger;
+}
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    configureLogging,
+    redact
+};
@@ -0,0 +1,75 @@
+const { compileRuleSet, matchesRuleSet, detectCategories } = require('./filters');
+
+// Per-webhook mention rules for Discord destinations. A webhook's "mentions"
+// in the config is a list of rules:
+//   [
+//     { "when": { "categories": ["exam"] }, "roles": ["<Exams role ID>"] },
+//     { "when": { "urgent": true, "categories": ["holiday"] }, "everyone": true },
+//     { "users": ["<user ID>"] }
+//   ]
+// "when" is a filter rule set (see filters.js) plus "urgent": true for
+// announcements the urgent classifier flagged; a rule without "when" applies
+// to every announcement. The mentions of all matching rules are combined.
+// Only the roles and users named here (and @everyone when a rule asks for
+// it) go into Discord's allowed_mentions, so nothing else in a notice can
+// ping anyone.
+
+const ID_PATTERN = /^\d+$/;
+
+function compileIds(list, where) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list) || !list.every(id => ID_PATTERN.test(String(id)))) {
+        throw new Error(`${where} must be a list of Discord IDs`);
+    }
+    return list.map(String);
+}
+
+function compileMentionRule(raw, where) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error(`${where} must be an object`);
+    }
+    const { urgent = false, ...when } = raw.when || {};
+    if (typeof urgent !== 'boolean') {
+        throw new Error(`${where}.when.urgent must be true or false`);
+    }
+    const rule = {
+        urgent,
+        match: compileRuleSet(when, `${where}.when`),
+        roles: compileIds(raw.roles, `${where}.roles`),
+        users: compileIds(raw.users, `${where}.users`),
+        everyone: raw.everyone === true
+    };
+    if (rule.roles.length + rule.users.length === 0 && !rule.everyone) {
+        throw new Error(`${where} mentions nobody (set "roles", "users" or "everyone")`);
+    }
+    return rule;
+}
+
+// Validate a webhook's "mentions" from the config. Returns [] when it has none.
+function compileMentionRules(raw, where = 'mentions') {
+    if (raw === undefined || raw === null) return [];
+    if (!Array.isArray(raw)) {
+        throw new Error(`${where} must be a list of rules`);
+    }
+    return raw.map((rule, i) => compileMentionRule(rule, `${where}[${i}]`));
+}
+
+// Who to ping for an announcement: { roles, users, everyone }. Uses the
+// announcement's "urgent" flag and categories when it has them.
+function mentionsFor(rules, announcement) {
+    const categories = announcement.categories || detectCategories(announcement);
+    const mentions = { roles: [], users: [], everyone: false };
+    for (const rule of rules || []) {
+        if (rule.urgent && !announcement.urgent) continue;
+        if (rule.match && !matchesRuleSet(rule.match, announcement, categories)) continue;
+        mentions.roles.push(...rule.roles.filter(id => !mentions.roles.includes(id)));
+        mentions.users.push(...rule.users.filter(id => !mentions.users.includes(id)));
+        mentions.everyone = mentions.everyone || rule.everyone;
+    }
+    return mentions;
+}
+
+module.exports = {
+    compileMentionRules,
+    mentionsFor
+};
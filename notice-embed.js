@@ -1,520 +1,721 @@
-const fs = require('fs');
-const { WebhookClient, EmbedBuilder } = require('discord.js');
-const { Octokit } = require('@octokit/rest');
 require('dotenv').config(); // Load environment variables
+const { fetchFeed } = require('./feed-fetcher');
+const { loadConfig, DEFAULT_SOURCE_NAME } = require('./config');
+const { detectCategories, passesFilter, isUrgent } = require('./filters');
+const {
+    DELIVERY_STATUS,
+    createRecord,
+    seenAt,
+    recordAnnouncement,
+    pendingDestinations,
+    addDestinations,
+    holdForDigest,
+    markQueued,
+    recordDelivery,
+    applyContentUpdate,
+    setDetails,
+    deliveredDestinations
+} = require('./ledger');
+const { describeChanges } = require('./content-diff');
+const { enrichAnnouncement } = require('./notice-enricher');
+const {
+    loadQueue,
+    saveQueue,
+    enqueue,
+    hasSendJob,
+    hasDigestItem,
+    refreshQueuedAnnouncement,
+    drainQueue,
+    replayDeadLetters
+} = require('./delivery-queue');
+const { startBot } = require('./discord-bot');
+const status = require('./status');
+const { createStatusServer } = require('./status-server');
+const { storageOptionsFromEnv, createStorage } = require('./storage');
+const { loadDigestState, saveDigestState, closedWindows, nextDigests, digestAnnouncement } = require('./digest');
+const { formatBDT } = require('./schedule');
+const { pollMode, planNextRun, isQuietTime, quietHoursEnd, longestGapMs, describePollSchedule, createScheduler } = require('./scheduler');
+const { createAlerter } = require('./alerts');
+const { createLogger } = require('./logger');
 
-// For proper ES Module support with node-fetch
-const nodeFetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const log = createLogger('bot');
 
-// Get webhook URLs from environment variables
-const WEBHOOK_URLS = process.env.WEBHOOK_URLS ? 
-    process.env.WEBHOOK_URLS.split(',') : 
-    [];
+// The announcement bot for one config and storage backend. Nothing runs until
+// start() (the long-running service) or one of the one-off operations used
+// by cli.js is called.
+function createAnnouncementBot({ config = loadConfig(), storage = null } = {}) {
+    const WEBHOOKS = config.webhooks;
+    const SOURCES = config.sources;
 
-// Get server names for each webhook
-const WEBHOOK_NAMES = process.env.WEBHOOK_NAMES ? 
-    process.env.WEBHOOK_NAMES.split(',') : 
-    WEBHOOK_URLS.map((_, index) => `Server ${index + 1}`);
-
-// Make sure we have names for all webhooks
-while (WEBHOOK_NAMES.length < WEBHOOK_URLS.length) {
-    WEBHOOK_NAMES.push(`Server ${WEBHOOK_NAMES.length + 1}`);
-}
+    // Where the ledger lives: JSON file, SQLite or JSON + GitHub (see storage/)
+    if (!storage) {
+        const storageOptions = storageOptionsFromEnv();
+        storage = createStorage({ ...storageOptions, defaultSource: DEFAULT_SOURCE_NAME });
+        log.info(`📁 Using ${storage.type} storage: ${storage.type === 'sqlite' ? storageOptions.sqliteFile : storageOptions.file}`);
+    }
 
-const DB_FILE = process.env.DB_FILE || 'bracu-announcements.json';
-console.log(`📁 Using database file: ${DB_FILE}`);
+    // Failing sources, deleted webhooks and sync errors go to the admin alert
+    // destination, if there is one (see alerts.js)
+    const alerts = createAlerter(config.alerts);
 
-const RSS_JSON_URL = 'https://api.rss2json.com/v1/api.json?rss_url=https%3A%2F%2Fwww.bracu.ac.bd%2Frss.xml';
-const CHECK_INTERVAL_MS = parseInt(process.env.CHECK_INTERVAL_MS) || 30 * 60 * 1000; // Default: 30 minutes
+    // Records first seen more than this many days ago are pruned after each
+    // check (0 keeps everything)
+    const RETENTION_DAYS = parseInt(process.env.RETENTION_DAYS) || 0;
 
-// Extract webhook ID and token from URL
-const getWebhookParts = (webhookUrl) => {
-    const urlParts = webhookUrl.split('/');
-    return {
-        id: urlParts[urlParts.length - 2],
-        token: urlParts[urlParts.length - 1]
-    };
-};
+    // The database is a per-destination delivery ledger (see ledger.js); old flat
+    // array databases are migrated on load
+    function loadPosted() {
+        return storage.load();
+    }
 
-// Update the loadPosted function with better error handling
-function loadPosted() {
-    console.log(`📂 Checking for database file at: ${DB_FILE}`);
-    if (fs.existsSync(DB_FILE)) {
+    // Dry runs don't count towards admin alerts
+    async function fetchAnnouncements(source = SOURCES[0], { dryRun = false } = {}) {
+        log.debug(`📡 Fetching RSS feed for source "${source.name}" (${source.url})...`);
         try {
-            const data = fs.readFileSync(DB_FILE, 'utf8');
-            console.log(`📥 Successfully loaded database file (${data.length} bytes)`);
-            return JSON.parse(data);
+            const items = await fetchFeed(source.url, { fallbackUrl: source.fallbackUrl });
+            
+            log.debug(`📋 Found ${items.length} items in RSS feed`, { source: source.name, items: items.length });
+            status.fetchSucceeded(source.name, items.length);
+            if (!dryRun) alerts.fetchResult(source.name);
+            
+            return items;
         } catch (error) {
-            console.error(`❌ Error reading database file: ${error.message}`);
-            console.log(`🔧 Creating new empty database`);
-            const emptyData = [];
-            fs.writeFileSync(DB_FILE, JSON.stringify(emptyData, null, 2));
-            return emptyData;
+            log.error(`❌ Error fetching RSS feed for source "${source.name}": ${error.message}`, { source: source.name, error });
+            status.fetchFailed(source.name, error);
+            if (!dryRun) alerts.fetchResult(source.name, error);
+            throw error;
         }
-    } else {
-        console.log(`📝 Database file not found, creating new empty database`);
-        const emptyData = [];
-        fs.writeFileSync(DB_FILE, JSON.stringify(emptyData, null, 2));
-        return emptyData;
     }
-}
 
-function savePosted(posted) {
-    fs.writeFileSync(DB_FILE, JSON.stringify(posted, null, 2));
-}
+    const SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000; // Default: once per day
 
-// Update the postToDiscord function to handle timeouts better with retries
-async function postToDiscord(announcement) {
-    console.log(`📤 Attempting to post to ${WEBHOOK_URLS.length} Discord server(s): "${announcement.title}"`);
-    
-    // Debug: Print webhook URLs (partially masked for security)
-    WEBHOOK_URLS.forEach((url, i) => {
-        const maskedUrl = url.substring(0, 30) + '...' + url.substring(url.length - 10);
-        console.log(`🔹 Webhook #${i+1} (${WEBHOOK_NAMES[i]}): ${maskedUrl}`);
-    });
+    let lastSyncTime = 0;
+    // Set by /subscribe and /unsubscribe, so the next check pushes the change
+    let subscriptionsChanged = false;
+
+    // Only called from main(), so a sync never merges into the database while a
+    // check holds it in memory. Syncs right away with force (after deliveries),
+    // otherwise at most once per SYNC_INTERVAL_MS.
+    async function syncToGitHub({ force = false } = {}) {
+        if (!force && Date.now() - lastSyncTime < SYNC_INTERVAL_MS) return false;
+        if (!storage.sync) {
+            log.warn(`⚠️ ${storage.type} storage has no GitHub copy (set GITHUB_TOKEN to use it). Skipping sync to GitHub.`);
+            lastSyncTime = Date.now();
+            return false;
+        }
+        const result = await storage.sync();
+        alerts.syncResult(result);
+        if (result.ok) {
+            lastSyncTime = Date.now();
+        }
+        return result.ok;
+    }
+
+    // When each source was last fetched (in memory; every source is due at startup)
+    const lastPolledAt = new Map();
+
+    // IDs in each source's latest feed. A pruned record that is still in the feed
+    // would be posted again, so these are never pruned.
+    const lastFeedIds = new Map();
     
-    // Format the date in a more readable format if possible
-    let pubDate = announcement.pubDate;
-    try {
-        const date = new Date(announcement.pubDate);
-        pubDate = date.toLocaleDateString('en-US', { 
-            weekday: 'long', 
-            year: 'numeric', 
-            month: 'long', 
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
+    // The slash-command bot, once start() has run
+    let bot = null;
+
+    // Fast polling fetches every source; otherwise each source waits for its
+    // own interval
+    function dueSources(now = Date.now(), { all = false } = {}) {
+        if (all) return SOURCES;
+        // Allow a little slack so timer drift doesn't push a source to the next tick
+        const slackMs = 5000;
+        return SOURCES.filter(source => {
+            const last = lastPolledAt.get(source.name);
+            return last === undefined || now - last >= source.intervalMs - slackMs;
         });
-    } catch (error) {
-        // Keep the original format if parsing fails
-        console.log(`⚠️ Could not parse date: ${error.message}`);
     }
-    
-    // Create embed
-    const embed = new EmbedBuilder()
-        .setAuthor({
-            name: "ব্র্যাকু নোটিশ",
-            iconURL: "https://github.com/zawad1804/miscellaneous/blob/main/image-removebg-preview%20(1).jpg?raw=true",
-        })
-        .setTitle(announcement.title)
-        .setURL(announcement.link)
-        .addFields(
-            {
-                name: "Published On:",
-                value: pubDate,
-                inline: false
-            },
-            {
-                name: "Announcement Link:",
-                value: announcement.link,
-                inline: false
-            }
-        )
-        .setColor("#336ca6");
-    
-    const results = [];
-    
-    // Post to each webhook with better timeout handling
-    for (let i = 0; i < WEBHOOK_URLS.length; i++) {
-        const webhookUrl = WEBHOOK_URLS[i];
-        const serverName = WEBHOOK_NAMES[i] || `Server ${i + 1}`;
+
+    // Fetch one source and queue delivery jobs for every routed webhook that
+    // hasn't had its announcements yet, plus edit notifications for notices that
+    // changed. Urgent notices (new ones, or ones edited to become urgent) also go
+    // to the config's urgent.escalateTo webhooks. Changed records are written to
+    // storage and jobs added to the queue; sending happens when the queue is
+    // drained. With dryRun nothing is stored, so the queue shows what would be
+    // posted. With initialImport (an empty database) new records get no DM
+    // alerts, or every subscriber would get one for each notice in the feed.
+    async function processSource(source, queue, { dryRun = false, initialImport = false } = {}) {
+        const stats = { newCount: 0, queued: 0, updated: 0, dirty: false };
+        const store = dryRun ?
+            { get: (sourceName, id) => structuredClone(storage.get(sourceName, id)), put: () => {} } :
+            storage;
         
-        // Retry the entire webhook posting process up to 3 times with increasing timeouts
-        let success = false;
-        let lastError = null;
+        const webhooks = WEBHOOKS.filter(w => source.webhooks.includes(w.name));
+        if (webhooks.length === 0) {
+            log.warn(`⚠️ Source "${source.name}" is not routed to any webhook, skipping`);
+            return stats;
+        }
         
-        for (let attempt = 1; attempt <= 3; attempt++) {
-            try {
-                console.log(`🔄 [Attempt ${attempt}/3] Processing webhook for server: ${serverName}`);
-                
-                // Extract webhook ID and token from URL
-                let parts;
-                try {
-                    parts = getWebhookParts(webhookUrl);
-                    console.log(`✅ Successfully parsed webhook URL for ${serverName}`);
-                } catch (parseError) {
-                    console.error(`❌ Invalid webhook URL format for ${serverName}: ${parseError.message}`);
-                    lastError = parseError;
-                    break; // No need to retry if URL is invalid
+        log.info(`🔍 Fetching announcements from source "${source.name}"...`);
+        const announcements = await fetchAnnouncements(source, { dryRun });
+        lastPolledAt.set(source.name, Date.now());
+        lastFeedIds.set(source.name, new Set(announcements.map(ann => ann.id)));
+        
+        if (announcements.length === 0) {
+            log.warn(`❌ No announcements found in the RSS feed for "${source.name}".`);
+            return stats;
+        }
+        log.info(`✅ Found ${announcements.length} announcements in total`);
+        
+        const escalation = WEBHOOKS.filter(w => config.urgent.escalateTo.includes(w.name));
+        
+        for (let i=announcements.length-1; i>=0; i--) {
+            const ann = announcements[i];
+            const categories = detectCategories(ann);
+            const urgent = isUrgent(config.urgent, ann, categories);
+            // Webhooks this announcement may be delivered to
+            const destinations = urgent ?
+                [...webhooks, ...escalation.filter(w => !webhooks.includes(w))] :
+                webhooks;
+            // Pull the notice body, attachments and image from the linked page
+            const enrich = async (options) => ({ ...(await enrichAnnouncement(ann, options)), categories, urgent });
+            let record = store.get(source.name, ann.id);
+            let changed = false;
+            
+            if (record) {
+                // Same GUID with different content: BRACU edited the notice
+                const hashBefore = record.contentHash;
+                const previous = applyContentUpdate(record, ann);
+                changed = record.contentHash !== hashBefore;
+                if (previous) {
+                    const changes = describeChanges(previous, record.content);
+                    log.info(`📝 Notice was edited since it was posted: "${ann.title}" [ID: ${ann.id}]`);
+                    // The cached page is from before the edit
+                    const enriched = await enrich({ fresh: true });
+                    setDetails(record, enriched);
+                    refreshQueuedAnnouncement(queue, source.name, enriched);
+                    for (const { name, messageId } of deliveredDestinations(record)) {
+                        if (!destinations.some(w => w.name === name)) continue;
+                        // Notices that went out in a digest have no message of their own
+                        if (record.deliveries[name].digest) continue;
+                        enqueue(queue, { kind: 'update', destination: name, source: source.name, announcement: enriched, messageId, changes });
+                        stats.updated++;
+                    }
+                    // The new hash is stored below; save the edit jobs first so
+                    // a crash can't leave the posted messages stale for good
+                    if (!dryRun) saveQueue(queue);
+                    // e.g. an exam notice edited to say it was postponed
+                    if (urgent) {
+                        const escalated = addDestinations(record, escalation.map(w => w.name));
+                        if (escalated.length > 0) {
+                            log.info(`🚨 Edited notice is now urgent, escalating to ${escalated.join(', ')}: "${ann.title}"`);
+                        }
+                    }
                 }
-                
-                // Create webhook client
-                console.log(`🔄 Creating webhook client for ${serverName}...`);
-                const webhookClient = new WebhookClient({ 
-                    id: parts.id, 
-                    token: parts.token 
-                });
-                
-                // Send the embed through the webhook with per-attempt timeout
-                console.log(`🔄 Sending message to ${serverName}...`);
-                
-                // Increase timeout for each retry
-                const timeoutMs = 10000 * attempt; // 10s, 20s, 30s
-                
-                // Create a promise that rejects after timeout
-                const timeoutPromise = new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error(`Discord webhook request timed out after ${timeoutMs/1000} seconds`)), timeoutMs)
-                );
-                
-                // Create the webhook send promise
-                const webhookPromise = webhookClient.send({
-                    embeds: [embed]
+            } else {
+                // Destinations whose filter rules reject this announcement are
+                // skipped, not failed; escalation destinations take urgent ones regardless
+                const targets = destinations.filter(w => passesFilter(w.filter, ann, categories) || (urgent && escalation.includes(w)));
+                const skipped = webhooks.filter(w => !targets.includes(w));
+                if (urgent) {
+                    log.info(`🚨 Urgent notice: "${ann.title}"${escalation.length > 0 ? ` (escalating to ${escalation.map(w => w.name).join(', ')})` : ''}`);
+                }
+                if (skipped.length > 0) {
+                    log.info(`🚫 Skipping ${skipped.map(w => w.name).join(', ')} for "${ann.title}" (filtered out; categories: ${categories.join(', ') || 'none'})`);
+                }
+                record = createRecord(source.name, ann, {
+                    targets: targets.map(w => w.name),
+                    skipped: skipped.map(w => w.name)
                 });
-                
-                // Race the webhook request against the timeout
-                await Promise.race([webhookPromise, timeoutPromise]);
-                
-                console.log(`✅ Successfully posted to Discord server: ${serverName}`);
-                results.push({ success: true, serverName });
-                success = true;
-                break; // Exit the retry loop on success
-            } catch (error) {
-                lastError = error;
-                console.error(`❌ [Attempt ${attempt}/3] Error posting to server "${serverName}": ${error.message}`);
-                
-                if (attempt < 3) {
-                    // Calculate backoff delay with exponential increase
-                    const backoffDelay = 2000 * Math.pow(2, attempt - 1); // 2s, 4s, 8s
-                    console.log(`⏱️ Retrying in ${backoffDelay/1000} seconds...`);
-                    await new Promise(resolve => setTimeout(resolve, backoffDelay));
-                } else {
-                    console.error(`❌ All 3 attempts failed for server "${serverName}"`);
+                // DM alerts go out once the notice is delivered somewhere
+                if (!initialImport) record.alertPending = true;
+                changed = true;
+                stats.newCount++;
+            }
+            
+            // Only destinations that still exist in the config and aren't already queued
+            const pendingAll = pendingDestinations(record)
+                .filter(name => destinations.some(w => w.name === name))
+                .filter(name => !hasSendJob(queue, name, source.name, ann.id));
+            
+            // Digest destinations collect all but urgent notices for their next digest
+            const forDigest = (name) => !urgent && Boolean(WEBHOOKS.find(w => w.name === name).digest);
+            for (const name of pendingAll.filter(forDigest)) {
+                if (!hasDigestItem(queue, name, source.name, ann.id) && holdForDigest(record, name)) {
+                    changed = true;
+                    log.info(`🗞️ Holding "${ann.title}" for ${name}'s next digest`);
+                }
+            }
+            
+            const pending = pendingAll.filter(name => !forDigest(name));
+            if (pending.length > 0) {
+                const enriched = await enrich();
+                setDetails(record, enriched);
+                for (const name of pending) {
+                    if (enqueue(queue, { kind: 'send', destination: name, source: source.name, announcement: enriched })) {
+                        markQueued(record, name);
+                        stats.queued++;
+                    }
                 }
+                changed = true;
+                log.info(`📥 Queued "${ann.title}" for ${pending.join(', ')}`, { source: source.name, announcementId: ann.id, destinations: pending });
+            }
+            
+            if (changed) {
+                store.put(record);
+                stats.dirty = true;
             }
         }
         
-        // If all retries failed, add the failure to results
-        if (!success) {
-            results.push({ 
-                success: false, 
-                serverName, 
-                error: lastError ? lastError.message : 'Unknown error' 
-            });
+        status.announcementsFound(source.name, stats.newCount);
+        return stats;
+    }
+
+    // Queue a digest job for every digest window that has closed, covering the
+    // announcements held for that destination
+    function queueDigests(queue, windows) {
+        for (const window of windows) {
+            const name = window.destination.name;
+            // Oldest first
+            const records = storage.query({})
+                .filter(record => record.deliveries && record.deliveries[name] && record.deliveries[name].status === DELIVERY_STATUS.DIGEST)
+                .reverse();
+            if (records.length === 0) {
+                log.info(`🗞️ Nothing new for ${name}'s digest`);
+                continue;
+            }
+            if (enqueue(queue, { kind: 'digest', destination: name, source: '*', announcement: digestAnnouncement(window, records) })) {
+                for (const record of records) {
+                    markQueued(record, name);
+                    storage.put(record);
+                }
+                log.info(`🗞️ Queued ${name}'s digest of ${records.length} announcement(s)`);
+            }
         }
-        
-        // Add a small delay between different webhooks to avoid rate limits
-        await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
-    // Summary of results
-    const successCount = results.filter(r => r.success).length;
-    console.log(`📊 Discord posting summary: ${successCount}/${results.length} successful`);
-    
-    // If all failed, throw an error
-    if (results.length > 0 && results.every(r => !r.success)) {
-        throw new Error('Failed to post to all Discord webhooks after multiple retries');
+    // DM alerts for /subscribe keywords (bot mode only), sent after the first
+    // successful delivery of a new announcement
+    function alertSubscribers(record) {
+        if (!record.alertPending) return;
+        delete record.alertPending;
+        if (!bot) return;
+        const ann = recordAnnouncement(record);
+        bot.notifySubscribers(ann).catch(error => log.warn(`⚠️ Error sending DM alerts: ${error.message}`));
     }
     
-    return results;
-}
-
-async function fetchAnnouncements() {
-    console.log(`📡 Fetching RSS feed from BRAC University...`);
-    try {
-        const response = await nodeFetch(RSS_JSON_URL, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36'
+    // Keep the ledger in step with each delivery attempt made by the queue
+    function recordQueueResult(job, result) {
+        status.deliveryResult(job.destination, result);
+        alerts.deliveryResult(job.destination, result);
+        if (job.kind === 'digest') {
+            for (const item of job.announcement.items) {
+                const record = storage.get(item.source, item.id);
+                if (!record) continue;
+                recordDelivery(record, job.destination, result);
+                record.deliveries[job.destination].digest = true;
+                if (result.success) alertSubscribers(record);
+                storage.put(record);
             }
-        });
-        
-        if (!response.ok) {
-            throw new Error(`❌ RSS feed error: ${response.status} ${response.statusText}`);
+            return;
         }
-        
-        const data = await response.json();
-        
-        if (data.status !== 'ok' || !data.items || !Array.isArray(data.items)) {
-            throw new Error('❌ Invalid response format from RSS feed');
+        const record = storage.get(job.source, job.announcementId);
+        if (!record) return;
+        if (job.kind === 'update') {
+            const delivery = record.deliveries[job.destination];
+            if (!delivery) return;
+            if (result.success) {
+                // Later edits should target the newest message
+                delivery.messageId = result.messageId || delivery.messageId;
+                delivery.lastUpdatedAt = new Date().toISOString();
+                delete delivery.lastUpdateError;
+            } else {
+                // The job stays queued (or in dead letters, for replay)
+                delivery.lastUpdateError = result.dead ? `${result.error} (dead-lettered)` : result.error;
+            }
+        } else {
+            recordDelivery(record, job.destination, result);
+            if (result.success) alertSubscribers(record);
         }
-        
-        console.log(`📋 Found ${data.items.length} items in RSS feed`);
-        
-        // Return all items from the RSS feed
-        return data.items.map(item => ({
-            id: item.guid || item.link,
-            title: item.title,
-            pubDate: item.pubDate,
-            link: item.link,
-            description: item.description
-        }));
-    } catch (error) {
-        console.error('❌ Error fetching RSS feed:', error.message);
-        throw error;
+        // Save after every result so a crash can't cause a re-send of delivered jobs
+        storage.put(record);
     }
-}
-
-// Add GitHub repository details
-const GITHUB_REPO_OWNER = process.env.GITHUB_REPO_OWNER || 'zawad1804'; // Your GitHub username
-const GITHUB_REPO_NAME = process.env.GITHUB_REPO_NAME || 'bracu-announcement-bot'; // Your repository name
-const GITHUB_FILE_PATH = 'bracu-announcements.json'; // Path to file in repository
 
-// Update the syncToGitHub function to handle missing files
-async function syncToGitHub() {
-  console.log('🔄 Attempting to sync announcements to GitHub...');
-  
-  if (!process.env.GITHUB_TOKEN) {
-    console.log('⚠️ No GitHub token found in environment variables. Skipping sync to GitHub.');
-    return false;
-  }
-  
-  try {
-    // Check if the file exists first
-    if (!fs.existsSync(DB_FILE)) {
-      console.log(`⚠️ Database file not found (${DB_FILE}). Creating empty database before syncing.`);
-      fs.writeFileSync(DB_FILE, JSON.stringify([], null, 2));
+    // Send the queued jobs, recording each result in the ledger. Jobs for
+    // which hold(job) is true stay queued.
+    async function deliver(queue, { hold } = {}) {
+        // Persist the queue before sending anything (records are already stored)
+        saveQueue(queue);
+        
+        const delivery = await drainQueue(queue, {
+            destinations: WEBHOOKS,
+            onResult: recordQueueResult,
+            hold
+        });
+        status.setQueueStats(queue);
+        await alerts.flush();
+        return delivery;
     }
     
-    const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-    const content = fs.readFileSync(DB_FILE, 'utf8');
+    // During quiet hours only urgent notices go out; digests ping nobody, so
+    // they aren't held either
+    const holdDuringQuietHours = (job) => job.kind !== 'digest' && !job.announcement.urgent;
     
-    // Try to get the current file (to get the SHA)
-    let fileSha;
-    try {
-      const { data } = await octokit.repos.getContent({
-        owner: GITHUB_REPO_OWNER,
-        repo: GITHUB_REPO_NAME,
-        path: GITHUB_FILE_PATH,
-      });
-      fileSha = data.sha;
-      console.log(`📄 Found existing file in GitHub repository (SHA: ${fileSha.substring(0, 7)}...)`);
-    } catch (error) {
-      console.log('📄 File does not exist in GitHub repository yet, will create it');
+    // When the newest announcement was first seen, for fast polling after a post
+    function lastNewAt() {
+        const [latest] = storage.query({ limit: 1 });
+        return latest ? seenAt(latest) : null;
     }
     
-    // Prepare the commit data
-    const commitData = {
-      owner: GITHUB_REPO_OWNER,
-      repo: GITHUB_REPO_NAME,
-      path: GITHUB_FILE_PATH,
-      message: `Update announcements database [${new Date().toISOString()}]`,
-      content: Buffer.from(content).toString('base64'),
-      committer: {
-        name: 'BRAC University Announcement Bot',
-        email: 'bot@example.com' // Use a valid email or your GitHub email
-      }
-    };
+    // When the next check should run: the polling schedule, woken early for
+    // due digests (see scheduler.js)
+    function planNextCheck(now = new Date()) {
+        return planNextRun(config.schedule, {
+            now,
+            lastNewAt: lastNewAt(),
+            wakeUps: nextDigests(WEBHOOKS, now).map(({ name, at }) => ({ at, reason: `${name}'s digest` }))
+        });
+    }
     
-    // Add SHA if updating existing file
-    if (fileSha) {
-      commitData.sha = fileSha;
+    // Set while a check is running. The scheduler never overlaps checks, but
+    // check() can also be called directly, and two runs could send the same
+    // queued jobs.
+    let mainRunning = false;
+
+    async function main() {
+        if (mainRunning) {
+            log.warn(`⏳ Previous check is still running, skipping this tick`);
+            return;
+        }
+        mainRunning = true;
+        status.runStarted();
+        let runError = null;
+        try {
+            const currentTime = new Date();
+            const { mode, reason } = pollMode(config.schedule, { now: currentTime, lastNewAt: lastNewAt() });
+            
+            log.info(`\n🚀 Starting BRAC University Announcement Bot at ${formatBDT(currentTime)}${mode !== 'normal' ? ` (${mode} polling: ${reason})` : ''}`);
+            for (const { name, at } of nextDigests(WEBHOOKS, currentTime)) {
+                log.info(`🗞️ Next digest for ${name}: ${formatBDT(at)}`);
+            }
+            
+            const sources = dueSources(currentTime.getTime(), { all: mode === 'fast' });
+            const digestState = loadDigestState();
+            const digestWindows = closedWindows(WEBHOOKS, digestState, currentTime);
+            const hold = isQuietTime(config.schedule, currentTime) ? holdDuringQuietHours : undefined;
+            
+            // Jobs left over from an earlier run (or replayed dead letters, or
+            // held through the quiet hours) go out too
+            const queue = loadQueue();
+            const waiting = queue.jobs.filter(job => Date.parse(job.nextAttemptAt) <= currentTime.getTime() && !(hold && hold(job)));
+            if (sources.length === 0 && digestWindows.length === 0 && waiting.length === 0) {
+                saveDigestState(digestState);
+                log.info(`😴 No sources are due for polling yet`);
+                return;
+            }
+            if (queue.jobs.length > 0) {
+                log.info(`📬 ${queue.jobs.length} delivery job(s) waiting in the queue`);
+            }
+            
+            const totals = { newCount: 0, queued: 0, updated: 0, dirty: false };
+            
+            const initialImport = storage.query({ limit: 1 }).length === 0;
+            if (initialImport) {
+                log.info(`🌱 Empty database: importing the feeds without DM alerts`);
+            }
+            
+            for (const source of sources) {
+                try {
+                    const stats = await processSource(source, queue, { initialImport });
+                    totals.newCount += stats.newCount;
+                    totals.queued += stats.queued;
+                    totals.updated += stats.updated;
+                    totals.dirty = totals.dirty || stats.dirty;
+                } catch (error) {
+                    log.error(`❌ Error processing source "${source.name}": ${error.message}`, { source: source.name, error });
+                }
+            }
+            
+            // After the sources, so this check's new notices make the digest
+            queueDigests(queue, digestWindows);
+            
+            const delivery = await deliver(queue, { hold });
+            // The queue is saved by now, so a crash can't lose a closed window
+            saveDigestState(digestState);
+            if (delivery.held > 0) {
+                log.info(`🌙 Quiet hours: holding ${delivery.held} non-urgent delivery job(s) until ${formatBDT(quietHoursEnd(config.schedule, currentTime), { date: false })}`);
+            }
+            
+            // Only once every source's feed is known
+            if (RETENTION_DAYS > 0 && lastFeedIds.size === SOURCES.length) {
+                const removed = storage.prune({
+                    before: Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000,
+                    keep: (record) => Boolean(lastFeedIds.get(record.source) && lastFeedIds.get(record.source).has(record.id))
+                });
+                if (removed > 0) {
+                    totals.dirty = true;
+                    log.info(`🧹 Pruned ${removed} record(s) first seen more than ${RETENTION_DAYS} days ago`);
+                }
+            }
+            
+            if (totals.newCount > 0 || totals.dirty || delivery.delivered > 0 || delivery.failed > 0 || delivery.dead > 0) {
+                log.info(`💾 Updated database: ${totals.newCount} new announcement(s), ${totals.queued} queued, ${totals.updated} edit(s) detected, ${delivery.delivered} delivered, ${delivery.failed} failed, ${delivery.dead} dead-lettered`);
+                
+                // Sync to GitHub after saving new deliveries
+                const force = delivery.delivered > 0 || subscriptionsChanged;
+                subscriptionsChanged = false;
+                await syncToGitHub({ force });
+            } else {
+                log.info(`😴 No new announcements found since last check`);
+                
+                // Periodically sync even if no new announcements
+                const force = subscriptionsChanged;
+                subscriptionsChanged = false;
+                await syncToGitHub({ force });
+            }
+        } catch (error) {
+            log.error(`❌ Error in main function: ${error.stack || error.message}`, { error });
+            runError = error;
+        } finally {
+            await alerts.flush();
+            mainRunning = false;
+            status.runFinished(runError);
+        }
     }
     
-    // Create or update the file
-    const response = await octokit.repos.createOrUpdateFileContents(commitData);
+    // Restore the database from GitHub when the storage has a copy there
+    // (Render's disk doesn't survive a redeploy)
+    const hydrate = () => (storage.hydrate ? storage.hydrate() : Promise.resolve({ ok: true }));
+    
+    // First wait between restore attempts at startup, doubling up to 15 minutes
+    const HYDRATE_RETRY_MS = parseInt(process.env.HYDRATE_RETRY_MS) || 30 * 1000;
+    const HYDRATE_MAX_RETRY_MS = 15 * 60 * 1000;
     
-    console.log(`✅ Successfully synced announcements to GitHub (commit: ${response.data.commit.sha.substring(0, 7)}...)`);
-    return true;
-  } catch (error) {
-    console.error('❌ Error syncing to GitHub:', error.message);
-    if (error.response) {
-      console.error(`   Status: ${error.response.status}, Message: ${error.response.data.message}`);
+    // What the next check would post: jobs already waiting in the queue plus the
+    // ones every source's feed would add. Nothing is sent or stored.
+    async function previewCheck({ sourceName } = {}) {
+        const queue = loadQueue();
+        for (const source of SOURCES.filter(s => !sourceName || s.name === sourceName)) {
+            try {
+                await processSource(source, queue, { dryRun: true });
+            } catch (error) {
+                log.error(`❌ Error processing source "${source.name}": ${error.message}`, { source: source.name, error });
+            }
+        }
+        return queue.jobs;
     }
-    return false;
-  }
-}
-
-// Add a sync schedule function
-let lastSyncTime = 0;
-const SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000; // Default: once per day
-
-async function syncIfNeeded() {
-  const now = Date.now();
-  if (now - lastSyncTime >= SYNC_INTERVAL_MS) {
-    const success = await syncToGitHub();
-    if (success) {
-      lastSyncTime = now;
+    
+    const findWebhook = (name) => {
+        const webhook = WEBHOOKS.find(w => w.name === name);
+        if (!webhook) {
+            throw new Error(`Unknown webhook "${name}" (known: ${WEBHOOKS.map(w => w.name).join(', ')})`);
+        }
+        return webhook;
+    };
+    
+    // An announcement rebuilt from a stored record, ready to be sent again.
+    // Re-sent history doesn't ping anyone unless asked to.
+    function storedAnnouncement(record, { ping = false } = {}) {
+        const ann = recordAnnouncement(record);
+        return { ...ann, urgent: isUrgent(config.urgent, ann, ann.categories), silent: !ping };
     }
-  }
-}
-
-async function main() {
-    try {
-        const currentTime = new Date();
-        const bdtOptions = { 
-            timeZone: 'Asia/Dhaka', 
-            hour12: true,
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        };
-        const currentTimeBDT = currentTime.toLocaleString('en-US', bdtOptions);
-        const nextCheckTime = new Date(currentTime.getTime() + CHECK_INTERVAL_MS);
-        const nextCheckTimeBDT = nextCheckTime.toLocaleString('en-US', bdtOptions);
+    
+    // Post stored announcements first seen (or published) since a date to one
+    // webhook, oldest first, e.g. after adding a new server. Announcements it
+    // already has or that its filter rejects are left out.
+    async function backfill({ to, since, sourceName, ping = false }) {
+        const webhook = findWebhook(to);
+        const sinceTime = Date.parse(since);
+        if (isNaN(sinceTime)) {
+            throw new Error(`Invalid date "${since}" (use e.g. 2025-01-31)`);
+        }
+        const recordTime = (record) => Date.parse(record.pubDate) || Date.parse(seenAt(record)) || 0;
         
-        console.log(`\n🚀 Starting BRAC University Announcement Bot at ${currentTimeBDT} (GMT+6)`);
-        console.log(`⏱️  Next check scheduled for ${nextCheckTimeBDT} (GMT+6)`);
+        const records = storage.query({ source: sourceName })
+            .filter(record => recordTime(record) >= sinceTime)
+            .filter(record => {
+                const delivery = record.deliveries && record.deliveries[webhook.name];
+                return !delivery || ![DELIVERY_STATUS.DELIVERED, DELIVERY_STATUS.QUEUED].includes(delivery.status);
+            })
+            .sort((a, b) => recordTime(a) - recordTime(b));
         
-        const posted = loadPosted();
-        const postedIds = new Set(posted.map(a => a.id));
-        console.log(`📋 Loaded ${posted.length} previously posted announcements`);
+        const queue = loadQueue();
+        let queued = 0;
+        let filtered = 0;
+        for (const record of records) {
+            const announcement = storedAnnouncement(record, { ping });
+            if (!passesFilter(webhook.filter, announcement, announcement.categories)) {
+                filtered++;
+                continue;
+            }
+            if (enqueue(queue, { kind: 'send', destination: webhook.name, source: record.source, announcement })) {
+                markQueued(record, webhook.name);
+                storage.put(record);
+                queued++;
+            }
+        }
+        log.info(`📥 Queued ${queued} announcement(s) since ${new Date(sinceTime).toISOString()} for ${webhook.name}${filtered > 0 ? ` (${filtered} filtered out)` : ''}`);
         
-        console.log(`🔍 Fetching announcements from BRAC University...`);
-        const announcements = await fetchAnnouncements();
+        const delivery = await deliver(queue);
+        await syncToGitHub({ force: delivery.delivered > 0 });
+        return { queued, filtered, ...delivery };
+    }
+    
+    // Post one stored announcement again, to the webhooks it was routed to or
+    // just the given one
+    async function resend({ id, sourceName, to, ping = false }) {
+        const records = SOURCES
+            .filter(s => !sourceName || s.name === sourceName)
+            .map(s => storage.get(s.name, id))
+            .filter(Boolean);
+        if (records.length === 0) {
+            throw new Error(`No announcement with ID ${id}${sourceName ? ` from source "${sourceName}"` : ''}`);
+        }
+        if (records.length > 1) {
+            throw new Error(`Announcement ID ${id} exists in several sources (${records.map(r => r.source).join(', ')}); pick one with --source`);
+        }
+        const record = records[0];
         
-        if (announcements.length === 0) {
-            console.log('❌ No announcements found in the RSS feed.');
-            return;
+        const names = to ?
+            [findWebhook(to).name] :
+            Object.entries(record.deliveries || {})
+                .filter(([name, d]) => d.status !== DELIVERY_STATUS.SKIPPED && WEBHOOKS.some(w => w.name === name))
+                .map(([name]) => name);
+        if (names.length === 0) {
+            throw new Error(`Announcement ${id} was never routed to a configured webhook; pick one with --to`);
         }
-        console.log(`✅ Found ${announcements.length} announcements in total`);
         
-        let newPosted = false;
-        let newCount = 0;
-        const successfulAnnouncements = []; // Track successfully posted announcements
+        const queue = loadQueue();
+        const announcement = storedAnnouncement(record, { ping });
+        for (const name of names) {
+            // A dead-lettered send would block the new one
+            replayDeadLetters(queue, { destination: name, announcementId: id });
+            enqueue(queue, { kind: 'send', destination: name, source: record.source, announcement });
+        }
+        log.info(`🔁 Re-sending "${record.title}" to ${names.join(', ')}`);
         
-        for (let i=announcements.length-1; i>=0; i--) {
-            const ann = announcements[i];
-            if (!postedIds.has(ann.id)) {
-                try {
-                    // Make Discord posting with a timeout
-                    const postingPromise = postToDiscord(ann);
-                    const timeoutPromise = new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Discord posting timed out after 30 seconds')), 30000)
-                    );
-                    
-                    // Try to post to Discord
-                    let discordSuccess = false;
-                    try {
-                        const postingResult = await Promise.race([postingPromise, timeoutPromise]);
-                        
-                        // Check if posting was successful to at least one server
-                        if (postingResult && postingResult.some(r => r.success)) {
-                            discordSuccess = true;
-                            console.log(`✅ Successfully posted to at least one Discord server`);
-                        } else {
-                            console.log(`❌ Failed to post to any Discord servers`);
-                        }
-                    } catch (postError) {
-                        console.error(`⚠️ Error posting to Discord: ${postError.message}`);
-                        discordSuccess = false;
-                    }
-                    
-                    // Only save announcements that were successfully posted to Discord
-                    if (discordSuccess) {
-                        successfulAnnouncements.push({
-                            id: ann.id, 
-                            title: ann.title,
-                            postedAt: new Date().toISOString()
-                        });
-                        
-                        newPosted = true;
-                        newCount++;
-                        console.log(`📢 New announcement successfully posted and will be saved: "${ann.title}" [ID: ${ann.id}]`);
-                    } else {
-                        console.log(`⚠️ Announcement not saved due to Discord posting failure: "${ann.title}" [ID: ${ann.id}]`);
-                    }
-                    
-                    // Add a small delay between posting to avoid rate limits
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                } catch (error) {
-                    console.error(`❌ Error processing announcement: ${error.message}`);
-                }
+        const delivery = await deliver(queue);
+        await syncToGitHub({ force: delivery.delivered > 0 });
+        return delivery;
+    }
+    
+    // Record everything currently in the feeds as seen without posting it, so
+    // a fresh database doesn't flood the webhooks with old notices
+    async function markSeen({ sourceName } = {}) {
+        let marked = 0;
+        for (const source of SOURCES.filter(s => !sourceName || s.name === sourceName)) {
+            const announcements = await fetchAnnouncements(source);
+            let count = 0;
+            for (const ann of announcements) {
+                if (storage.get(source.name, ann.id)) continue;
+                storage.put(createRecord(source.name, ann, { targets: [], skipped: source.webhooks }));
+                count++;
             }
+            log.info(`🌱 Marked ${count} announcement(s) from "${source.name}" as seen`);
+            marked += count;
+        }
+        if (marked > 0) {
+            await syncToGitHub({ force: true });
         }
+        return marked;
+    }
+    
+    // The long-running service: checks on the polling schedule, the status
+    // server and, with DISCORD_BOT_TOKEN, the slash-command bot
+    function start({ port = process.env.PORT || 3000 } = {}) {
+        // Slash commands and DM alerts, only when DISCORD_BOT_TOKEN is set
+        bot = startBot({
+            loadPosted,
+            loadSubscriptions: () => storage.getSubscriptions(),
+            saveSubscriptions: (subscriptions) => {
+                storage.saveSubscriptions(subscriptions);
+                subscriptionsChanged = true;
+            },
+            config
+        });
         
-        // Only save announcements that were successfully posted
-        if (successfulAnnouncements.length > 0) {
-            // Add all successful announcements to the posted list
-            posted.push(...successfulAnnouncements);
-            
-            // Save to JSON file
-            savePosted(posted);
-            console.log(`💾 Updated database with ${successfulAnnouncements.length} new announcements`);
-            
-            // Sync to GitHub after saving new announcements
-            await syncToGitHub();
-        } else if (newPosted) {
-            console.log(`⚠️ No announcements were saved because none could be posted to Discord successfully`);
-        } else {
-            console.log(`😴 No new announcements found since last check`);
-            
-            // Periodically sync even if no new announcements
-            await syncIfNeeded();
+        // Each check is planned once the previous one has finished
+        const scheduler = createScheduler({
+            run: main,
+            plan: () => planNextCheck(),
+            fallbackMs: config.schedule.intervalMs,
+            onPlanned: ({ at, mode, reason }) => {
+                status.setNextRunAt(at.getTime(), { mode, reason });
+                log.info(`⏱️  Next check at ${formatBDT(at)} (${mode}: ${reason})`);
+            }
+        });
+        
+        // Restore the database from GitHub first, then run immediately once.
+        // If that fails with no local database (a redeploy during a GitHub
+        // outage), every notice in the feed would look new and be posted
+        // again, so checks wait until a restore succeeds.
+        let stopped = false;
+        let retryTimer = null;
+        function hydrateThenStart(attempt = 1) {
+            hydrate().then(result => {
+                if (stopped) return;
+                if (!result.ok) {
+                    alerts.syncResult(result);
+                    if (storage.query({ limit: 1 }).length === 0) {
+                        const delay = Math.min(HYDRATE_RETRY_MS * Math.pow(2, attempt - 1), HYDRATE_MAX_RETRY_MS);
+                        log.error(`❌ Could not restore the database from GitHub and there is no local copy; holding checks, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt})`);
+                        retryTimer = setTimeout(() => hydrateThenStart(attempt + 1), delay);
+                        return;
+                    }
+                    log.warn(`⚠️ Could not restore the database from GitHub; checking with the local copy`);
+                }
+                scheduler.start();
+            });
         }
+        log.info(`🔔 BRAC University Announcement Bot Initializing...`);
+        hydrateThenStart();
+        
+        const scheduleDescription = describePollSchedule(config.schedule);
+        log.info(`⏰ Current time: ${formatBDT(new Date(), { date: false })} | Schedule: ${scheduleDescription}`);
+        
+        // /healthz reports unhealthy once any source hasn't been fetched
+        // successfully for this long (default: three times the source's own
+        // interval or the longest scheduled gap between checks, e.g. overnight)
+        const healthMaxAgeMs = parseFloat(process.env.HEALTH_MAX_AGE_MINUTES) * 60 * 1000;
+        const gapMs = longestGapMs(config.schedule);
+        const maxFetchAgeMs = Object.fromEntries(SOURCES.map(s => [s.name, healthMaxAgeMs || 3 * Math.max(s.intervalMs, gapMs)]));
+        
+        // Dashboard, /healthz, /status.json and /metrics
+        const server = createStatusServer({
+            storage,
+            scheduleDescription,
+            maxFetchAgeMs
+        });
+        
+        // Closing the server stops the service
+        server.on('close', () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            scheduler.stop();
+            if (bot) bot.client.destroy();
+        });
         
-        console.log(`🔄 Bot running. Next check in ${CHECK_INTERVAL_MS/1000/60} minutes...`);
-    } catch (error) {
-        console.error('❌ Error in main function:', error);
+        // Start the server
+        server.listen(port, () => {
+          log.info(`🌐 Web server running on port ${port}`);
+        });
+        return server;
     }
+    
+    return {
+        config,
+        storage,
+        hydrate,
+        check: main,
+        previewCheck,
+        backfill,
+        resend,
+        markSeen,
+        start
+    };
 }
 
-// Update the initial run message
-// Run immediately once
-console.log(`🔔 BRAC University Announcement Bot Initializing...`);
-main();
+if (require.main === module) {
+    createAnnouncementBot().start();
+}
 
-// Then schedule to run at regular intervals
-const currentTime = new Date();
-const bdtOptions = { 
-    timeZone: 'Asia/Dhaka', 
-    hour12: true,
-    hour: '2-digit',
-    minute: '2-digit'
+module.exports = {
+    createAnnouncementBot
 };
-const currentTimeBDT = currentTime.toLocaleString('en-US', bdtOptions);
-const nextCheckTime = new Date(currentTime.getTime() + CHECK_INTERVAL_MS);
-const nextCheckTimeBDT = nextCheckTime.toLocaleString('en-US', bdtOptions);
-
-console.log(`⏰ Current time: ${currentTimeBDT} (GMT+6) | Next check: ${nextCheckTimeBDT} (GMT+6)`);
-setInterval(main, CHECK_INTERVAL_MS);
-
-const http = require('http');
-const PORT = process.env.PORT || 3000;
-
-// Create a simple HTTP server
-const server = http.createServer((req, res) => {
-  res.writeHead(200, { 'Content-Type': 'text/html' });
-  res.end(`
-    <html>
-      <head>
-        <title>BRAC University Announcement Bot</title>
-        <style>
-          body { font-family: Arial, sans-serif; margin: 40px; line-height: 1.6; }
-          h1 { color: #336ca6; }
-          .container { max-width: 800px; margin: 0 auto; }
-          .status { padding: 15px; background-color: #f5f5f5; border-radius: 5px; }
-          .footer { margin-top: 30px; font-size: 0.8em; color: #666; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>BRAC University Announcement Bot</h1>
-          <div class="status">
-            <p>✅ Bot is running</p>
-            <p>Last check: ${new Date().toLocaleString('en-US', { 
-              timeZone: 'Asia/Dhaka',
-              hour12: true,
-              year: 'numeric',
-              month: 'short',
-              day: 'numeric',
-              hour: '2-digit',
-              minute: '2-digit'
-            })} (GMT+6)</p>
-            <p>Check interval: ${CHECK_INTERVAL_MS/1000/60} minutes</p>
-          </div>
-          <div class="footer">
-            <p>BRAC University Announcement Bot - Running on Render</p>
-          </div>
-        </div>
-      </body>
-    </html>
-  `);
-});
-
-// Start the server
-server.listen(PORT, () => {
-  console.log(`🌐 Web server running on port ${PORT}`);
-});
-
-// Perform an initial sync when the bot starts
-setTimeout(async () => {
-  console.log('🔄 Performing initial GitHub sync...');
-  await syncToGitHub();
-}, 30000); // Wait 30 seconds after startup to ensure everything is initialized
-
-// Schedule periodic GitHub sync
-setInterval(async () => {
-  console.log('⏰ Running scheduled GitHub sync...');
-  await syncToGitHub();
-}, SYNC_INTERVAL_MS);
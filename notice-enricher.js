@@ -0,0 +1,222 @@
+const { fetchWithTimeout, USER_AGENT } = require('./http-fetch');
+const { decodeEntities } = require('./rss-parser');
+const { createLogger } = require('./logger');
+
+// Enrichment: fetch the notice page an announcement links to and pull out
+// the body text, attachment links (PDF, documents, images) and the first
+// image. extractNoticeDetails() is pure so it can be run against saved pages.
+
+const log = createLogger('enricher');
+
+const ENRICH_ENABLED = process.env.ENRICH_NOTICES !== 'false';
+const ENRICH_TIMEOUT_MS = parseInt(process.env.ENRICH_TIMEOUT_MS) || 10000;
+const ENRICH_CACHE_SIZE = parseInt(process.env.ENRICH_CACHE_SIZE) || 200;
+const ENRICH_CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+const SUMMARY_LENGTH = 600;
+const MAX_ATTACHMENTS = 10;
+
+const ATTACHMENT_EXTENSIONS = /\.(pdf|docx?|xlsx?|pptx?|csv|zip|jpe?g|png|gif|webp)(\?|#|$)/i;
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp)(\?|#|$)/i;
+
+// Containers that hold the notice body on Drupal pages, most specific first
+const BODY_CLASS_PATTERNS = [
+    /\bfield--name-body\b/,
+    /\bfield-name-body\b/,
+    /\bnode__content\b/,
+    /\bnode-content\b/,
+    /\bregion-content\b/
+];
+
+// Drupal file fields, where attachments sit next to the body
+const FILE_FIELD_PATTERN = /\bfield--type-file\b|\bfield-type-file\b|\bfield--name-field-(?:attachment|file)s?\b/;
+
+// Return the inner HTML of the first element whose class matches, balancing
+// nested tags of the same name
+function extractElementByClass(html, classPattern) {
+    const openRegex = /<([a-z][a-z0-9]*)\b[^>]*\bclass\s*=\s*("([^"]*)"|'([^']*)')[^>]*>/gi;
+    let match;
+    while ((match = openRegex.exec(html)) !== null) {
+        const classes = match[3] !== undefined ? match[3] : match[4];
+        if (!classPattern.test(classes)) continue;
+
+        const tag = match[1].toLowerCase();
+        const tagRegex = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+        tagRegex.lastIndex = openRegex.lastIndex;
+        let depth = 1;
+        let tagMatch;
+        while ((tagMatch = tagRegex.exec(html)) !== null) {
+            if (tagMatch[0].endsWith('/>')) continue;
+            depth += tagMatch[1] ? -1 : 1;
+            if (depth === 0) {
+                return html.substring(openRegex.lastIndex, tagMatch.index);
+            }
+        }
+        return html.substring(openRegex.lastIndex);
+    }
+    return null;
+}
+
+function extractTagContent(html, tag) {
+    const match = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i').exec(html);
+    return match ? match[1] : null;
+}
+
+// Turn an HTML fragment into readable plain text with paragraph breaks
+function htmlToText(html) {
+    const text = html
+        .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|h[1-6]|tr)>/gi, '\n')
+        .replace(/<li\b[^>]*>/gi, '• ')
+        .replace(/<[^>]*>/g, '');
+    return decodeEntities(text)
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Cut text at a word boundary so it fits in maxLength characters
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.substring(0, maxLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > maxLength * 0.6 ? cut.substring(0, lastSpace) : cut) + '…';
+}
+
+function resolveUrl(href, baseUrl) {
+    try {
+        return new URL(decodeEntities(href), baseUrl).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+function fileNameFromUrl(url) {
+    try {
+        const name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+        return name || url;
+    } catch (error) {
+        return url;
+    }
+}
+
+// Extract the summary, attachments and first image from a notice page
+function extractNoticeDetails(html, baseUrl) {
+    const body = BODY_CLASS_PATTERNS.reduce((found, pattern) => found || extractElementByClass(html, pattern), null) ||
+        extractTagContent(html, 'article') ||
+        extractTagContent(html, 'main') ||
+        '';
+
+    const text = htmlToText(body);
+
+    // Links to files in the body and the file field only: the site's menus,
+    // sidebar and footer link PDFs too
+    const fileField = extractElementByClass(html, FILE_FIELD_PATTERN) || '';
+    const linked = `${body}\n${fileField}`;
+    const attachments = [];
+    const seen = new Set();
+    const linkRegex = /<a\b[^>]*\bhref\s*=\s*("([^"]*)"|'([^']*)')[^>]*>([\s\S]*?)<\/a>/gi;
+    let match;
+    while ((match = linkRegex.exec(linked)) !== null && attachments.length < MAX_ATTACHMENTS) {
+        const href = match[2] !== undefined ? match[2] : match[3];
+        if (!ATTACHMENT_EXTENSIONS.test(href)) continue;
+        const url = resolveUrl(href, baseUrl);
+        if (!url || seen.has(url)) continue;
+        seen.add(url);
+        const label = htmlToText(match[4]);
+        attachments.push({
+            name: label || fileNameFromUrl(url),
+            url,
+            type: IMAGE_EXTENSIONS.test(url) ? 'image' : (url.match(ATTACHMENT_EXTENSIONS)[1] || '').toLowerCase()
+        });
+    }
+
+    // First real image in the body (skip file-type icons and inline data), else og:image
+    let image = null;
+    const imgRegex = /<img\b[^>]*\bsrc\s*=\s*("([^"]*)"|'([^']*)')/gi;
+    while ((match = imgRegex.exec(body)) !== null) {
+        const src = match[2] !== undefined ? match[2] : match[3];
+        if (src.startsWith('data:') || /\/icons?\//i.test(src)) continue;
+        image = resolveUrl(src, baseUrl);
+        if (image) break;
+    }
+    if (!image) {
+        const og = /<meta\b[^>]*property\s*=\s*["']og:image["'][^>]*content\s*=\s*["']([^"']+)["']/i.exec(html);
+        if (og) image = resolveUrl(og[1], baseUrl);
+    }
+    if (!image) {
+        const imageAttachment = attachments.find(a => a.type === 'image');
+        if (imageAttachment) image = imageAttachment.url;
+    }
+
+    return {
+        summary: text ? truncate(text, SUMMARY_LENGTH) : '',
+        attachments,
+        image
+    };
+}
+
+// Bounded cache of page details by URL; Map iteration order gives us LRU eviction
+const enrichCache = new Map();
+
+function cacheGet(url) {
+    const entry = enrichCache.get(url);
+    if (!entry) return null;
+    if (Date.now() - entry.fetchedAt > ENRICH_CACHE_TTL_MS) {
+        enrichCache.delete(url);
+        return null;
+    }
+    // Refresh recency
+    enrichCache.delete(url);
+    enrichCache.set(url, entry);
+    return entry.details;
+}
+
+function cacheSet(url, details) {
+    enrichCache.set(url, { details, fetchedAt: Date.now() });
+    while (enrichCache.size > ENRICH_CACHE_SIZE) {
+        enrichCache.delete(enrichCache.keys().next().value);
+    }
+}
+
+// fresh skips the cache, for pages known to have changed since they were cached
+async function fetchNoticeDetails(url, { fresh = false } = {}) {
+    const cached = fresh ? null : cacheGet(url);
+    if (cached) return cached;
+
+    const response = await fetchWithTimeout(url, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html' }
+    }, ENRICH_TIMEOUT_MS);
+    if (!response.ok) {
+        throw new Error(`Notice page error: ${response.status} ${response.statusText}`);
+    }
+    const details = extractNoticeDetails(await response.text(), response.url || url);
+    cacheSet(url, details);
+    return details;
+}
+
+// Return a copy of the announcement with summary/attachments/image added.
+// Never throws: on failure the announcement is returned as-is and the embed
+// falls back to the RSS description. Pass { fresh: true } when the notice
+// was edited, so the cached copy of the old page isn't used.
+async function enrichAnnouncement(announcement, options = {}) {
+    if (!ENRICH_ENABLED || !announcement.link) return announcement;
+    try {
+        const details = await fetchNoticeDetails(announcement.link, options);
+        log.debug(`🔎 Enriched "${announcement.title}": ${details.summary.length} chars, ${details.attachments.length} attachment(s)${details.image ? ', image' : ''}`);
+        return { ...announcement, ...details };
+    } catch (error) {
+        log.warn(`⚠️ Could not fetch notice page for "${announcement.title}": ${error.message}`);
+        return announcement;
+    }
+}
+
+module.exports = {
+    enrichAnnouncement,
+    extractNoticeDetails,
+    htmlToText,
+    truncate,
+    enrichCache
+};
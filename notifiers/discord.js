@@ -0,0 +1,171 @@
+const { fetchWithTimeout, httpError } = require('../http-fetch');
+const { resolveTemplate, renderTemplate, renderDigest } = require('../templates');
+const { mentionsFor } = require('../mentions');
+const { alertHeading } = require('./format');
+const { createLogger } = require('../logger');
+
+// Discord webhook notifier. Edits the original message when a notice changes,
+// unless the destination sets "onUpdate": "followup".
+//
+// Talks to the webhook REST API directly (rather than through WebhookClient)
+// so it can honour Discord's rate-limit bucket headers and hand 429
+// retry_after values to the delivery queue.
+
+const log = createLogger('discord');
+
+const DISCORD_API = process.env.DISCORD_API_URL || 'https://discord.com/api/v10';
+const REQUEST_TIMEOUT_MS = parseInt(process.env.DISCORD_TIMEOUT_MS) || 30000;
+
+// Extract webhook ID and token from URL
+const getWebhookParts = (webhookUrl) => {
+    const urlParts = webhookUrl.split('/');
+    return {
+        id: urlParts[urlParts.length - 2],
+        token: urlParts[urlParts.length - 1]
+    };
+};
+
+// Rate-limit state per bucket, learned from X-RateLimit-* response headers.
+// Each webhook maps to the bucket Discord reported for it.
+const buckets = new Map(); // bucket id -> { remaining, resetAt }
+const webhookBuckets = new Map(); // webhook id -> bucket id
+
+function updateBucket(webhookId, response) {
+    const bucket = response.headers.get('x-ratelimit-bucket') || `webhook:${webhookId}`;
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const resetAfter = response.headers.get('x-ratelimit-reset-after');
+    webhookBuckets.set(webhookId, bucket);
+    if (remaining !== null && resetAfter !== null) {
+        buckets.set(bucket, {
+            remaining: Number(remaining),
+            resetAt: Date.now() + Math.ceil(Number(resetAfter) * 1000)
+        });
+    }
+}
+
+// Wait if the webhook's bucket is exhausted until it resets
+async function waitForBucket(webhookId) {
+    const state = buckets.get(webhookBuckets.get(webhookId));
+    if (!state || state.remaining > 0) return;
+    const waitMs = state.resetAt - Date.now();
+    if (waitMs > 0) {
+        log.warn(`⏳ Discord rate-limit bucket exhausted, waiting ${(waitMs/1000).toFixed(1)}s`);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+}
+
+async function discordRequest(webhookUrl, method, path, body) {
+    const { id, token } = getWebhookParts(webhookUrl);
+    await waitForBucket(id);
+
+    const response = await fetchWithTimeout(`${DISCORD_API}/webhooks/${id}/${token}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    }, REQUEST_TIMEOUT_MS);
+    updateBucket(id, response);
+
+    const data = await response.json().catch(() => null);
+    if (response.status === 429) {
+        // retry_after is in seconds; the header is a fallback
+        const retryAfterMs = data && data.retry_after !== undefined ? Math.ceil(data.retry_after * 1000) : null;
+        throw httpError(`Discord rate limited${data && data.global ? ' (global)' : ''}`, response, retryAfterMs);
+    }
+    if (!response.ok) {
+        throw httpError(`Discord webhook error: ${response.status} ${(data && data.message) || response.statusText}`, response);
+    }
+    return data;
+}
+
+// Message for an announcement from the destination's template (see
+// templates.js), pinging whoever its mention rules pick (see mentions.js)
+function buildMessage(destination, announcement, options = {}) {
+    const template = destination.template || resolveTemplate(null, { locale: destination.locale || 'en' });
+    const mentions = mentionsFor(destination.mentions, announcement);
+    return renderTemplate(template, announcement, { ...options, mentions });
+}
+
+function validate(destination) {
+    if (!destination.url) {
+        throw new Error(`Webhook "${destination.name}" has no url (set "url" or "urlEnv")`);
+    }
+    if (destination.onUpdate !== undefined && !['edit', 'followup'].includes(destination.onUpdate)) {
+        throw new Error(`Webhook "${destination.name}" onUpdate must be "edit" or "followup"`);
+    }
+}
+
+// The webhook exists and its token is valid: GET returns the webhook itself
+async function verify(destination) {
+    if (!/\/webhooks\/\d+\/[\w-]+\/?$/.test(new URL(destination.url).pathname)) {
+        throw new Error(`URL does not look like a Discord webhook URL (.../api/webhooks/<id>/<token>)`);
+    }
+    const { id, token } = getWebhookParts(destination.url);
+    const response = await fetchWithTimeout(`${DISCORD_API}/webhooks/${id}/${token}`, {}, REQUEST_TIMEOUT_MS);
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw httpError(`Discord webhook error: ${response.status} ${(data && data.message) || response.statusText}`, response);
+    }
+    return `webhook "${data.name}" in channel ${data.channel_id}`;
+}
+
+function createDiscordNotifier(destination) {
+    return {
+        type: 'discord',
+        name: destination.name,
+
+        async send(announcement) {
+            const message = await discordRequest(destination.url, 'POST', '?wait=true', buildMessage(destination, announcement));
+            return { messageId: message && message.id };
+        },
+
+        // A digest may take several messages; the first one's ID is kept
+        async sendDigest(digest) {
+            let firstId = null;
+            for (const message of renderDigest(digest, { locale: destination.locale || 'en' })) {
+                const sent = await discordRequest(destination.url, 'POST', '?wait=true', message);
+                firstId = firstId || (sent && sent.id);
+            }
+            return { messageId: firstId };
+        },
+
+        async sendAlert(alert) {
+            await discordRequest(destination.url, 'POST', '?wait=true', {
+                embeds: [{
+                    title: alertHeading(alert),
+                    description: alert.text,
+                    color: alert.level === 'recovery' ? 0x2E7D32 : 0xC62828,
+                    timestamp: alert.time
+                }],
+                allowed_mentions: { parse: [] }
+            });
+        },
+
+        async update(announcement, messageId, changes) {
+            if (destination.onUpdate !== 'followup' && messageId) {
+                try {
+                    // Edits keep the message text, so role mentions don't fire again
+                    const { embeds } = buildMessage(destination, announcement, { changes });
+                    await discordRequest(destination.url, 'PATCH', `/messages/${messageId}`, { embeds });
+                    return { messageId, mode: 'edit' };
+                } catch (editError) {
+                    // Let the queue wait out rate limits instead of double posting
+                    if (editError.status === 429) throw editError;
+                    log.warn(`⚠️ Could not edit message ${messageId} in ${destination.name} (${editError.message}), posting a follow-up instead`);
+                }
+            }
+
+            const message = await discordRequest(destination.url, 'POST', '?wait=true',
+                buildMessage(destination, announcement, { changes, updated: true }));
+            return { messageId: message && message.id, mode: 'followup' };
+        }
+    };
+}
+
+module.exports = {
+    type: 'discord',
+    validate,
+    verify,
+    create: createDiscordNotifier,
+    buildMessage,
+    getWebhookParts
+};
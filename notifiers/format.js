@@ -0,0 +1,42 @@
+const { htmlToText, truncate } = require('../notice-enricher');
+const { formatDate } = require('../templates');
+
+// Formatting helpers shared by the notifiers
+
+// Format the date in a more readable format if possible, in Dhaka time
+function formatPubDate(pubDate, locale = 'en') {
+    return formatDate(pubDate, locale);
+}
+
+// Notice body from the enriched page, else the RSS description
+function summaryOf(announcement, maxLength = 600) {
+    if (announcement.summary) return truncate(announcement.summary, maxLength);
+    return truncate(htmlToText(announcement.description || ''), maxLength);
+}
+
+const attachmentsOf = (announcement) => announcement.attachments || [];
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// The "What changed" summary is Discord markdown; strip it for plain targets
+const plainChanges = (changes) => changes
+    .replace(/```diff\n?/g, '')
+    .replace(/```/g, '')
+    .replace(/\*\*/g, '')
+    .replace(/~~(.*?)~~/g, '$1');
+
+// Admin alerts (see alerts.js) and their recovery notices
+const alertHeading = (alert) => `${alert.level === 'recovery' ? '✅' : '🚨'} ${alert.title}`;
+
+module.exports = {
+    formatPubDate,
+    summaryOf,
+    attachmentsOf,
+    escapeHtml,
+    plainChanges,
+    alertHeading
+};
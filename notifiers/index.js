@@ -0,0 +1,62 @@
+// Pluggable notifiers. Every destination in the config has a "type" (default
+// "discord") that picks one of these; each notifier module exports:
+//
+//   type                      the destination type it handles
+//   validate(destination)     throw if the destination config is unusable
+//   create(destination)       return { type, name, send(announcement), update(announcement, messageId, changes) }
+//                             plus sendDigest(digest) if the type supports digests
+//                             and sendAlert(alert) for admin alerts (see alerts.js)
+//   verify(destination)       optional: check the credentials with the service
+//                             without posting anything; resolves to a short
+//                             description of what was found
+//
+// send() resolves to { messageId } and update() to { messageId, mode }. Failed
+// requests throw errors carrying the HTTP status and, when rate limited,
+// retryAfterMs; retries and backoff are handled by the delivery queue.
+
+const NOTIFIER_MODULES = {
+    discord: './discord',
+    telegram: './telegram',
+    slack: './slack',
+    email: './email',
+    webhook: './webhook'
+};
+
+const NOTIFIER_TYPES = Object.keys(NOTIFIER_MODULES);
+
+// Loaded lazily so e.g. nodemailer is only required when email is configured
+const notifierModule = (type) => require(NOTIFIER_MODULES[type]);
+
+function validateDestination(destination) {
+    const type = destination.type || 'discord';
+    if (!NOTIFIER_TYPES.includes(type)) {
+        throw new Error(`Destination "${destination.name}" has unknown type "${type}" (known: ${NOTIFIER_TYPES.join(', ')})`);
+    }
+    notifierModule(type).validate(destination);
+}
+
+// One notifier instance per destination, so clients/transports are reused
+const notifiers = new Map();
+
+function notifierFor(destination) {
+    let notifier = notifiers.get(destination.name);
+    if (!notifier) {
+        notifier = notifierModule(destination.type || 'discord').create(destination);
+        notifiers.set(destination.name, notifier);
+    }
+    return notifier;
+}
+
+// Live check of a destination's credentials (cli.js validate). Resolves to
+// null when its notifier can't check without posting.
+async function verifyDestination(destination) {
+    const notifier = notifierModule(destination.type || 'discord');
+    return notifier.verify ? notifier.verify(destination) : null;
+}
+
+module.exports = {
+    NOTIFIER_TYPES,
+    validateDestination,
+    notifierFor,
+    verifyDestination
+};
@@ -0,0 +1,103 @@
+const { fetchWithTimeout, httpError } = require('../http-fetch');
+const { formatPubDate, summaryOf, attachmentsOf, alertHeading } = require('./format');
+
+// Slack incoming-webhook notifier. Destination config:
+//   { "type": "slack", "urlEnv": "SLACK_WEBHOOK_URL" }
+// Incoming webhooks can't edit messages, so updates are always follow-ups.
+
+// Slack mrkdwn needs &, < and > escaped, in the URLs of links too
+const escapeMrkdwn = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// Block Kit payload for an announcement
+function formatBlocks(announcement, changes, locale) {
+    const title = escapeMrkdwn(announcement.title);
+    const blocks = [
+        {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `${changes ? '🔄 *Updated:* ' : '📢 '}*<${escapeMrkdwn(announcement.link)}|${title}>*` }
+        },
+        {
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: `🗓 ${escapeMrkdwn(formatPubDate(announcement.pubDate, locale))}` }]
+        }
+    ];
+
+    // Section text is limited to 3000 characters
+    const summary = summaryOf(announcement, 2500);
+    if (summary) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escapeMrkdwn(summary) } });
+    }
+
+    const attachments = attachmentsOf(announcement);
+    if (attachments.length > 0) {
+        const list = attachments
+            .map(a => `📎 <${escapeMrkdwn(a.url)}|${escapeMrkdwn(a.name.substring(0, 80))}>`)
+            .join('\n');
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: list.substring(0, 3000) } });
+    }
+
+    if (announcement.image) {
+        blocks.push({ type: 'image', image_url: announcement.image, alt_text: announcement.title.substring(0, 2000) });
+    }
+
+    if (changes) {
+        // Slack uses single ~ and * instead of Discord's ~~ and **
+        const slackChanges = escapeMrkdwn(changes).replace(/~~/g, '~').replace(/\*\*/g, '*').replace(/```diff\n/g, '```\n');
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*What changed:*\n${slackChanges}`.substring(0, 3000) } });
+    }
+
+    return {
+        // Fallback text for notifications
+        text: `${changes ? 'Updated: ' : ''}${escapeMrkdwn(announcement.title)}`,
+        blocks
+    };
+}
+
+function validate(destination) {
+    if (!destination.url) {
+        throw new Error(`Slack destination "${destination.name}" has no url (set "url" or "urlEnv")`);
+    }
+}
+
+function createSlackNotifier(destination) {
+    async function post(payload) {
+        const response = await fetchWithTimeout(destination.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        }, 30000);
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw httpError(`Slack webhook error: ${response.status} ${body || response.statusText}`, response);
+        }
+    }
+
+    return {
+        type: 'slack',
+        name: destination.name,
+
+        async send(announcement) {
+            await post(formatBlocks(announcement, null, destination.locale));
+            return { messageId: null };
+        },
+
+        async sendAlert(alert) {
+            await post({ text: `*${escapeMrkdwn(alertHeading(alert))}*\n${escapeMrkdwn(alert.text)}` });
+        },
+
+        async update(announcement, messageId, changes) {
+            await post(formatBlocks(announcement, changes, destination.locale));
+            return { messageId, mode: 'followup' };
+        }
+    };
+}
+
+module.exports = {
+    type: 'slack',
+    validate,
+    create: createSlackNotifier,
+    formatBlocks
+};
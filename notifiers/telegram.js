@@ -0,0 +1,141 @@
+const { fetchWithTimeout, httpError } = require('../http-fetch');
+const { formatPubDate, summaryOf, attachmentsOf, escapeHtml, plainChanges, alertHeading } = require('./format');
+const { createLogger } = require('../logger');
+
+// Telegram Bot API notifier. Destination config:
+//   { "type": "telegram", "chatId": "-100123...", "botTokenEnv": "TELEGRAM_BOT_TOKEN" }
+// The bot token may also be given inline as "botToken" or via TELEGRAM_BOT_TOKEN.
+
+const log = createLogger('telegram');
+
+const TELEGRAM_API = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+
+// Telegram messages are limited to 4096 characters
+const MAX_MESSAGE_LENGTH = 4096;
+
+const botTokenOf = (destination) =>
+    destination.botToken ||
+    (destination.botTokenEnv ? process.env[destination.botTokenEnv] : process.env.TELEGRAM_BOT_TOKEN);
+
+// HTML message text (Telegram supports a small subset of HTML)
+function formatMessage(announcement, changes, locale) {
+    const lines = [
+        `📢 <b>${escapeHtml(announcement.title)}</b>`,
+        `🗓 ${escapeHtml(formatPubDate(announcement.pubDate, locale))}`
+    ];
+    const summary = summaryOf(announcement, 1500);
+    if (summary) lines.push('', escapeHtml(summary));
+
+    const attachments = attachmentsOf(announcement);
+    if (attachments.length > 0) {
+        lines.push('');
+        for (const attachment of attachments) {
+            lines.push(`📎 <a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.name.substring(0, 80))}</a>`);
+        }
+    }
+    if (changes) {
+        lines.push('', '<b>What changed:</b>', `<pre>${escapeHtml(plainChanges(changes))}</pre>`);
+    }
+    lines.push('', `🔗 <a href="${escapeHtml(announcement.link)}">Read the full notice</a>`);
+
+    const text = lines.join('\n');
+    // Cutting HTML could leave an open tag, so fall back to the bare essentials
+    if (text.length <= MAX_MESSAGE_LENGTH) return text;
+    return `📢 <b>${escapeHtml(announcement.title)}</b>\n\n🔗 <a href="${escapeHtml(announcement.link)}">Read the full notice</a>`;
+}
+
+function validate(destination) {
+    if (!destination.chatId) {
+        throw new Error(`Telegram destination "${destination.name}" is missing chatId`);
+    }
+    if (!botTokenOf(destination)) {
+        throw new Error(`Telegram destination "${destination.name}" has no bot token (set "botToken", "botTokenEnv" or TELEGRAM_BOT_TOKEN)`);
+    }
+}
+
+// Call a Bot API method; failures throw with the status and retry_after
+async function telegramRequest(destination, method, payload) {
+    const response = await fetchWithTimeout(`${TELEGRAM_API}/bot${botTokenOf(destination)}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    }, 30000);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) {
+        // 429 responses carry retry_after (seconds) in parameters
+        const retryAfter = data.parameters && data.parameters.retry_after;
+        throw httpError(`Telegram ${method} failed: ${data.description || `${response.status} ${response.statusText}`}`,
+            response, retryAfter !== undefined ? retryAfter * 1000 : null);
+    }
+    return data.result;
+}
+
+// The bot token is valid and the bot can see the chat
+async function verify(destination) {
+    const me = await telegramRequest(destination, 'getMe', {});
+    const chat = await telegramRequest(destination, 'getChat', { chat_id: destination.chatId });
+    return `bot @${me.username} in "${chat.title || chat.username || chat.id}"`;
+}
+
+function createTelegramNotifier(destination) {
+    const callApi = (method, payload) => telegramRequest(destination, method, payload);
+
+    return {
+        type: 'telegram',
+        name: destination.name,
+
+        async send(announcement) {
+            const result = await callApi('sendMessage', {
+                chat_id: destination.chatId,
+                text: formatMessage(announcement, null, destination.locale),
+                parse_mode: 'HTML',
+                disable_web_page_preview: !announcement.image
+            });
+            return { messageId: String(result.message_id) };
+        },
+
+        async sendAlert(alert) {
+            await callApi('sendMessage', {
+                chat_id: destination.chatId,
+                text: `<b>${escapeHtml(alertHeading(alert))}</b>\n${escapeHtml(alert.text)}`,
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            });
+        },
+
+        async update(announcement, messageId, changes) {
+            const text = formatMessage(announcement, changes, destination.locale);
+            if (destination.onUpdate !== 'followup' && messageId) {
+                try {
+                    await callApi('editMessageText', {
+                        chat_id: destination.chatId,
+                        message_id: Number(messageId),
+                        text,
+                        parse_mode: 'HTML'
+                    });
+                    return { messageId, mode: 'edit' };
+                } catch (editError) {
+                    // Let the queue wait out rate limits instead of double posting
+                    if (editError.status === 429) throw editError;
+                    log.warn(`⚠️ Could not edit Telegram message ${messageId} in ${destination.name} (${editError.message}), posting a follow-up instead`);
+                }
+            }
+            const result = await callApi('sendMessage', {
+                chat_id: destination.chatId,
+                text: `🔄 <b>Updated</b>\n${text}`,
+                parse_mode: 'HTML',
+                reply_to_message_id: messageId ? Number(messageId) : undefined,
+                allow_sending_without_reply: true
+            });
+            return { messageId: String(result.message_id), mode: 'followup' };
+        }
+    };
+}
+
+module.exports = {
+    type: 'telegram',
+    validate,
+    verify,
+    create: createTelegramNotifier,
+    formatMessage
+};
@@ -0,0 +1,98 @@
+const { fetchWithTimeout, httpError } = require('../http-fetch');
+const { summaryOf, attachmentsOf } = require('./format');
+
+// Generic JSON-POST notifier for custom integrations. Destination config:
+//   { "type": "webhook", "url": "https://example.com/hook", "headers": { "X-Token": "..." } }
+// Header values may reference env vars as "env:NAME".
+//
+// Payload:
+//   { "event": "announcement.created" | "announcement.updated",
+//     "announcement": { id, title, link, pubDate, summary, attachments, image, categories },
+//     "changes": "..." (updates only) }
+// or, as an admin alert destination (see alerts.js):
+//   { "event": "alert" | "alert.recovered", "alert": { title, text, time } }
+
+function formatPayload(announcement, changes) {
+    return {
+        event: changes ? 'announcement.updated' : 'announcement.created',
+        announcement: {
+            id: announcement.id,
+            title: announcement.title,
+            link: announcement.link,
+            pubDate: announcement.pubDate,
+            summary: summaryOf(announcement, 2000),
+            attachments: attachmentsOf(announcement),
+            image: announcement.image || null,
+            categories: announcement.categories || []
+        },
+        ...(changes ? { changes } : {})
+    };
+}
+
+function resolveHeaders(headers = {}) {
+    const resolved = {};
+    for (const [name, value] of Object.entries(headers)) {
+        resolved[name] = typeof value === 'string' && value.startsWith('env:') ?
+            process.env[value.substring(4)] || '' :
+            value;
+    }
+    return resolved;
+}
+
+function validate(destination) {
+    if (!destination.url) {
+        throw new Error(`Webhook destination "${destination.name}" has no url (set "url" or "urlEnv")`);
+    }
+    if (destination.headers !== undefined && (typeof destination.headers !== 'object' || Array.isArray(destination.headers))) {
+        throw new Error(`Webhook destination "${destination.name}" headers must be an object`);
+    }
+}
+
+function createWebhookNotifier(destination) {
+    async function post(payload) {
+        const response = await fetchWithTimeout(destination.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...resolveHeaders(destination.headers)
+            },
+            body: JSON.stringify(payload)
+        }, 30000);
+        if (!response.ok) {
+            throw httpError(`Webhook error: ${response.status} ${response.statusText}`, response);
+        }
+        // Receivers may return an id for their copy of the announcement
+        const data = await response.json().catch(() => null);
+        return data && data.id !== undefined ? String(data.id) : null;
+    }
+
+    return {
+        type: 'webhook',
+        name: destination.name,
+
+        async send(announcement) {
+            return { messageId: await post(formatPayload(announcement)) };
+        },
+
+        async sendAlert(alert) {
+            await post({
+                event: alert.level === 'recovery' ? 'alert.recovered' : 'alert',
+                alert: { title: alert.title, text: alert.text, time: alert.time }
+            });
+        },
+
+        async update(announcement, messageId, changes) {
+            const payload = formatPayload(announcement, changes);
+            if (messageId) payload.messageId = messageId;
+            const newId = await post(payload);
+            return { messageId: newId || messageId, mode: 'followup' };
+        }
+    };
+}
+
+module.exports = {
+    type: 'webhook',
+    validate,
+    create: createWebhookNotifier,
+    formatPayload
+};
@@ -0,0 +1,147 @@
+// Minimal RSS 2.0 / Atom parser for the BRACU feed.
+// Produces the same {id, title, pubDate, link, description} objects that
+// fetchAnnouncements() used to build from the rss2json response.
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+// Decode XML/HTML entities (named, decimal and hex)
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ?
+                parseInt(entity.substring(2), 16) :
+                parseInt(entity.substring(1), 10);
+            // Past U+10FFFF fromCodePoint throws; keep a malformed entity as written
+            return Number.isNaN(code) || code > 0x10FFFF ? match : String.fromCodePoint(code);
+        }
+        const named = NAMED_ENTITIES[entity.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+// Return the text inside an element, unwrapping CDATA sections
+function textContent(raw) {
+    if (raw === undefined || raw === null) return '';
+    let result = '';
+    let rest = raw;
+    while (rest.length > 0) {
+        const start = rest.indexOf('<![CDATA[');
+        if (start === -1) {
+            result += decodeEntities(rest);
+            break;
+        }
+        result += decodeEntities(rest.substring(0, start));
+        const end = rest.indexOf(']]>', start);
+        if (end === -1) {
+            result += rest.substring(start + 9);
+            break;
+        }
+        result += rest.substring(start + 9, end);
+        rest = rest.substring(end + 3);
+    }
+    return result.trim();
+}
+
+// Parse the attributes of an opening tag into an object
+function parseAttributes(attrText) {
+    const attrs = {};
+    const attrRegex = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attrRegex.exec(attrText || '')) !== null) {
+        attrs[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attrs;
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find every <tag>...</tag> (or self-closing <tag/>) block inside xml
+function findElements(xml, tagName) {
+    const name = escapeRegex(tagName);
+    const regex = new RegExp(`<${name}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${name}\\s*>)`, 'gi');
+    const elements = [];
+    let match;
+    while ((match = regex.exec(xml)) !== null) {
+        elements.push({ attrs: parseAttributes(match[1]), inner: match[2] || '' });
+    }
+    return elements;
+}
+
+// Text of the first matching child element, trying each name in turn
+function childText(xml, ...tagNames) {
+    for (const tagName of tagNames) {
+        const [element] = findElements(xml, tagName);
+        if (element) {
+            const text = textContent(element.inner);
+            if (text) return text;
+        }
+    }
+    return '';
+}
+
+function parseRssItems(xml) {
+    return findElements(xml, 'item').map(({ inner }) => {
+        const link = childText(inner, 'link');
+        const guid = childText(inner, 'guid');
+        return {
+            id: guid || link,
+            title: childText(inner, 'title'),
+            pubDate: childText(inner, 'pubDate', 'dc:date'),
+            link,
+            description: childText(inner, 'description', 'content:encoded')
+        };
+    });
+}
+
+// Atom entries can carry several <link>s; prefer rel="alternate"
+function atomLink(inner) {
+    const links = findElements(inner, 'link');
+    const alternate = links.find(l => !l.attrs.rel || l.attrs.rel === 'alternate');
+    const chosen = alternate || links[0];
+    if (!chosen) return '';
+    return chosen.attrs.href || textContent(chosen.inner);
+}
+
+function parseAtomEntries(xml) {
+    return findElements(xml, 'entry').map(({ inner }) => {
+        const link = atomLink(inner);
+        return {
+            id: childText(inner, 'id') || link,
+            title: childText(inner, 'title'),
+            pubDate: childText(inner, 'published', 'updated'),
+            link,
+            description: childText(inner, 'summary', 'content')
+        };
+    });
+}
+
+// Parse an RSS 2.0 or Atom document into announcement objects
+function parseFeed(xml) {
+    if (typeof xml !== 'string' || xml.trim() === '') {
+        throw new Error('Empty feed document');
+    }
+
+    // Drop comments so commented-out items are not picked up
+    const cleaned = xml.replace(/<!--[\s\S]*?-->/g, '');
+
+    if (/<rss[\s>]/i.test(cleaned) || /<rdf:RDF[\s>]/i.test(cleaned)) {
+        return parseRssItems(cleaned);
+    }
+    if (/<feed[\s>]/i.test(cleaned)) {
+        return parseAtomEntries(cleaned);
+    }
+    throw new Error('Unrecognized feed format (expected RSS or Atom)');
+}
+
+module.exports = {
+    parseFeed,
+    decodeEntities,
+    textContent
+};
@@ -0,0 +1,283 @@
+const { TIME_ZONE, dhakaParts } = require('./templates');
+
+// Dhaka-time scheduling. Digests (see digest.js) go out at a fixed time of
+// day, either every day or on one weekday:
+//
+//   "digest": "daily"                       every day at 20:00
+//   "digest": "weekly"                      Fridays at 20:00
+//   "digest": { "every": "week", "on": "thursday", "at": "18:30" }
+//
+// Polling (see scheduler.js) uses five-field cron expressions ("minute hour
+// day-of-month month day-of-week", with *, lists, ranges, steps and names
+// like mon or jan), daily time windows ({ "from": "23:00", "to": "07:00" },
+// which may wrap past midnight) and seasons ({ "from": "01-05", "to": "01-20" },
+// month-day, both days included).
+//
+// Times are Asia/Dhaka wall-clock times whatever the server's time zone.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DEFAULT_DIGEST_TIME = '20:00';
+const DEFAULT_DIGEST_DAY = 'friday';
+
+const bdtOptions = {
+    timeZone: TIME_ZONE,
+    hour12: true,
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+};
+
+// A time as shown in the logs and on the dashboard, e.g. "Jun 6, 2025, 08:00 PM (GMT+6)"
+function formatBDT(time, { date = true } = {}) {
+    if (!time) return '—';
+    const options = date ? bdtOptions : { timeZone: TIME_ZONE, hour12: true, hour: '2-digit', minute: '2-digit' };
+    return `${new Date(time).toLocaleString('en-US', options)} (GMT+6)`;
+}
+
+// The instant at a Dhaka wall-clock time. Out-of-range days roll over, so
+// day - 7 is a week earlier.
+function fromDhakaTime(year, month, day, hour, minute) {
+    const guess = Date.UTC(year, month, day, hour, minute);
+    const p = dhakaParts(new Date(guess));
+    const offset = Date.UTC(p.year, p.month, p.day, p.hour, p.minute) - guess;
+    return new Date(guess - offset);
+}
+
+// "20:00" -> { hour: 20, minute: 0 }
+function parseTimeOfDay(text, where) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`${where} must be a 24-hour time like "20:00"`);
+    }
+    return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+// Validate a digest schedule from the config
+function parseDigestSchedule(raw, where = 'digest') {
+    const spec = raw === 'daily' ? { every: 'day' } :
+        raw === 'weekly' ? { every: 'week' } :
+        raw;
+    if (!spec || typeof spec !== 'object') {
+        throw new Error(`${where} must be "daily", "weekly" or { "every", "on", "at" }`);
+    }
+    if (!['day', 'week'].includes(spec.every)) {
+        throw new Error(`${where}.every must be "day" or "week"`);
+    }
+
+    const { hour, minute } = parseTimeOfDay(spec.at || DEFAULT_DIGEST_TIME, `${where}.at`);
+
+    let weekday = null;
+    if (spec.every === 'week') {
+        weekday = WEEKDAYS.indexOf(String(spec.on || DEFAULT_DIGEST_DAY).toLowerCase());
+        if (weekday === -1) {
+            throw new Error(`${where}.on must be a weekday (${WEEKDAYS.join(', ')})`);
+        }
+    } else if (spec.on !== undefined) {
+        throw new Error(`${where}.on is only used with "every": "week"`);
+    }
+
+    return { every: spec.every, weekday, hour, minute };
+}
+
+// The latest scheduled time at or before now
+function previousRun(schedule, now = new Date()) {
+    const p = dhakaParts(now);
+    const daysBack = schedule.every === 'week' ? (p.weekday - schedule.weekday + 7) % 7 : 0;
+    const run = fromDhakaTime(p.year, p.month, p.day - daysBack, schedule.hour, schedule.minute);
+    if (run <= now) return run;
+    const period = schedule.every === 'week' ? 7 : 1;
+    return fromDhakaTime(p.year, p.month, p.day - daysBack - period, schedule.hour, schedule.minute);
+}
+
+// The first scheduled time after now
+function nextRun(schedule, now = new Date()) {
+    const p = dhakaParts(previousRun(schedule, now));
+    const period = schedule.every === 'week' ? 7 : 1;
+    return fromDhakaTime(p.year, p.month, p.day + period, schedule.hour, schedule.minute);
+}
+
+function describeSchedule(schedule) {
+    const time = `${String(schedule.hour).padStart(2, '0')}:${String(schedule.minute).padStart(2, '0')}`;
+    if (schedule.every === 'day') return `daily at ${time} Dhaka time`;
+    const day = WEEKDAYS[schedule.weekday];
+    return `weekly on ${day[0].toUpperCase()}${day.substring(1)} at ${time} Dhaka time`;
+}
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: WEEKDAYS.map(d => d.substring(0, 3)), offset: 0 }
+];
+
+const CRON_SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+function parseCronValue(text, field, where) {
+    const named = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const value = named !== -1 ? named + field.offset : Number(text);
+    if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`${where}: invalid ${field.name} "${text}"`);
+    }
+    return value;
+}
+
+// One cron field ("*/15", "1-5", "mon,wed,fri") as the set of values it allows
+function parseCronField(text, field, where) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`${where}: invalid step in "${part}"`);
+        }
+        let [from, to] = [field.min, field.max];
+        if (range !== '*') {
+            const [start, end] = range.split('-');
+            from = parseCronValue(start, field, where);
+            // "5/10" means every 10th from 5
+            to = end !== undefined ? parseCronValue(end, field, where) : (stepText === undefined ? from : field.max);
+        }
+        if (from > to) {
+            throw new Error(`${where}: invalid range "${range}"`);
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    }
+    return values;
+}
+
+// Validate a cron expression, e.g. "*/30 7-22 * * *"
+function parseCron(expression, where = 'cron') {
+    const text = CRON_SHORTCUTS[String(expression).trim()] || String(expression).trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`${where}: "${expression}" must have five fields (minute hour day-of-month month day-of-week)`);
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i], where));
+    // 7 is Sunday too
+    if (weekdays.delete(7)) weekdays.add(0);
+    return {
+        expression: String(expression),
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Like cron: with both day fields restricted, either one may match
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+}
+
+function cronMatchesDay(cron, p) {
+    if (!cron.months.has(p.month + 1)) return false;
+    if (cron.anyDay && cron.anyWeekday) return true;
+    if (cron.anyDay) return cron.weekdays.has(p.weekday);
+    if (cron.anyWeekday) return cron.days.has(p.day);
+    return cron.days.has(p.day) || cron.weekdays.has(p.weekday);
+}
+
+// The first time after `after` that the cron expression fires in Dhaka
+function nextCronTime(cron, after = new Date()) {
+    const minuteMs = 60 * 1000;
+    let time = Math.floor(after.getTime() / minuteMs) * minuteMs + minuteMs;
+    // Leap days can be four years away
+    const limit = time + 5 * 366 * 24 * 60 * minuteMs;
+    while (time < limit) {
+        const p = dhakaParts(new Date(time));
+        if (!cronMatchesDay(cron, p)) {
+            time = fromDhakaTime(p.year, p.month, p.day + 1, 0, 0).getTime();
+        } else if (!cron.hours.has(p.hour)) {
+            time = fromDhakaTime(p.year, p.month, p.day, p.hour + 1, 0).getTime();
+        } else if (!cron.minutes.has(p.minute)) {
+            time += minuteMs;
+        } else {
+            return new Date(time);
+        }
+    }
+    throw new Error(`cron "${cron.expression}" never fires`);
+}
+
+// A daily window of Dhaka time, e.g. { "from": "23:00", "to": "07:00" }
+function parseDailyWindow(raw, where) {
+    if (typeof raw === 'string' && raw.includes('-')) {
+        const [from, to] = raw.split('-');
+        raw = { from, to };
+    }
+    if (!raw || typeof raw !== 'object') {
+        throw new Error(`${where} must be { "from": "HH:MM", "to": "HH:MM" } or "HH:MM-HH:MM"`);
+    }
+    const from = parseTimeOfDay(raw.from, `${where}.from`);
+    const to = parseTimeOfDay(raw.to, `${where}.to`);
+    return { from: from.hour * 60 + from.minute, to: to.hour * 60 + to.minute };
+}
+
+function inDailyWindow(window, date = new Date()) {
+    const p = dhakaParts(date);
+    const minute = p.hour * 60 + p.minute;
+    return window.from <= window.to ?
+        minute >= window.from && minute < window.to :
+        minute >= window.from || minute < window.to;
+}
+
+// When the window next ends after date
+function dailyWindowEnd(window, date = new Date()) {
+    const p = dhakaParts(date);
+    const end = fromDhakaTime(p.year, p.month, p.day, Math.floor(window.to / 60), window.to % 60);
+    return end > date ? end : fromDhakaTime(p.year, p.month, p.day + 1, Math.floor(window.to / 60), window.to % 60);
+}
+
+const formatMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const describeWindow = (window) => `${formatMinutes(window.from)}–${formatMinutes(window.to)}`;
+
+// A season of the year, e.g. { "name": "Spring registration", "from": "01-05", "to": "01-20" }
+function parseSeason(raw, where) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error(`${where} must be { "name", "from": "MM-DD", "to": "MM-DD" }`);
+    }
+    const monthDay = (text, field) => {
+        const match = /^(\d{2})-(\d{2})$/.exec(String(text));
+        if (!match || Number(match[1]) < 1 || Number(match[1]) > 12 || Number(match[2]) < 1 || Number(match[2]) > 31) {
+            throw new Error(`${where}.${field} must be a month-day like "01-05"`);
+        }
+        return Number(match[1]) * 100 + Number(match[2]);
+    };
+    return { name: raw.name || `${raw.from} to ${raw.to}`, from: monthDay(raw.from, 'from'), to: monthDay(raw.to, 'to') };
+}
+
+function inSeason(season, date = new Date()) {
+    const p = dhakaParts(date);
+    const day = (p.month + 1) * 100 + p.day;
+    return season.from <= season.to ?
+        day >= season.from && day <= season.to :
+        day >= season.from || day <= season.to;
+}
+
+module.exports = {
+    WEEKDAYS,
+    formatBDT,
+    fromDhakaTime,
+    parseDigestSchedule,
+    previousRun,
+    nextRun,
+    describeSchedule,
+    parseCron,
+    nextCronTime,
+    parseDailyWindow,
+    inDailyWindow,
+    dailyWindowEnd,
+    describeWindow,
+    parseSeason,
+    inSeason
+};
@@ -0,0 +1,247 @@
+const {
+    formatBDT,
+    parseCron,
+    nextCronTime,
+    parseDailyWindow,
+    inDailyWindow,
+    dailyWindowEnd,
+    describeWindow,
+    parseSeason,
+    inSeason
+} = require('./schedule');
+const { createLogger } = require('./logger');
+
+// When the bot checks its sources. The "schedule" section of the config:
+//
+//   "schedule": {
+//     "cron": "*/30 * * * *",
+//     "fast": {
+//       "cron": "*/10 * * * *",
+//       "seasons": [{ "name": "Spring registration", "from": "01-05", "to": "01-20" }],
+//       "afterPostMinutes": 120
+//     },
+//     "overnight": { "from": "01:00", "to": "07:00", "cron": "0 */2 * * *" },
+//     "quietHours": { "from": "23:00", "to": "07:00" }
+//   }
+//
+// Every cron expression and time is Dhaka time (see schedule.js). Without
+// "cron" the bot checks as often as the most frequently polled source
+// (CHECK_INTERVAL_MS by default). "fast" applies during any of its seasons
+// and for afterPostMinutes after a new notice was found, and polls every
+// source each time; "overnight" applies inside its window and takes precedence. During
+// "quietHours" only urgent notices are posted; the rest stay queued and go
+// out with the first check after the quiet hours end.
+//
+// POLL_CRON and QUIET_HOURS ("23:00-07:00") set "cron" and "quietHours" when
+// the config file doesn't.
+//
+// A check is only planned once the previous one has finished, so a slow check
+// delays the next one instead of overlapping it.
+
+const log = createLogger('scheduler');
+
+// setTimeout can't wait longer than this; longer waits are re-planned
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+function resolvePollSchedule(raw, { env = process.env, defaultIntervalMs }) {
+    const spec = raw || {};
+    if (typeof spec !== 'object') {
+        throw new Error('schedule must be an object');
+    }
+
+    const cron = spec.cron || env.POLL_CRON;
+    const schedule = {
+        cron: cron ? parseCron(cron, 'schedule.cron') : null,
+        intervalMs: defaultIntervalMs,
+        fast: null,
+        overnight: null,
+        quietHours: null
+    };
+
+    if (spec.fast) {
+        if (!spec.fast.cron) {
+            throw new Error('schedule.fast.cron is required');
+        }
+        const seasons = spec.fast.seasons || [];
+        if (!Array.isArray(seasons)) {
+            throw new Error('schedule.fast.seasons must be a list');
+        }
+        const afterPostMinutes = spec.fast.afterPostMinutes === undefined ? 0 : Number(spec.fast.afterPostMinutes);
+        if (!Number.isFinite(afterPostMinutes) || afterPostMinutes < 0) {
+            throw new Error('schedule.fast.afterPostMinutes must be a number of minutes');
+        }
+        schedule.fast = {
+            cron: parseCron(spec.fast.cron, 'schedule.fast.cron'),
+            seasons: seasons.map((season, i) => parseSeason(season, `schedule.fast.seasons[${i}]`)),
+            afterPostMs: afterPostMinutes * 60 * 1000
+        };
+    }
+
+    if (spec.overnight) {
+        if (!spec.overnight.cron) {
+            throw new Error('schedule.overnight.cron is required');
+        }
+        schedule.overnight = {
+            window: parseDailyWindow(spec.overnight, 'schedule.overnight'),
+            cron: parseCron(spec.overnight.cron, 'schedule.overnight.cron')
+        };
+    }
+
+    const quietHours = spec.quietHours || env.QUIET_HOURS;
+    if (quietHours) {
+        schedule.quietHours = parseDailyWindow(quietHours, 'schedule.quietHours');
+    }
+
+    return schedule;
+}
+
+function isQuietTime(schedule, now = new Date()) {
+    return Boolean(schedule.quietHours) && inDailyWindow(schedule.quietHours, now);
+}
+
+// When the current quiet hours end
+const quietHoursEnd = (schedule, now = new Date()) => dailyWindowEnd(schedule.quietHours, now);
+
+// Which polling mode applies at a time: { mode, reason }
+function pollMode(schedule, { now = new Date(), lastNewAt = null } = {}) {
+    if (schedule.overnight && inDailyWindow(schedule.overnight.window, now)) {
+        return { mode: 'overnight', reason: `overnight ${describeWindow(schedule.overnight.window)}` };
+    }
+    if (schedule.fast) {
+        const season = schedule.fast.seasons.find(s => inSeason(s, now));
+        if (season) {
+            return { mode: 'fast', reason: season.name };
+        }
+        if (lastNewAt && now.getTime() - new Date(lastNewAt).getTime() < schedule.fast.afterPostMs) {
+            return { mode: 'fast', reason: `new notice at ${formatBDT(lastNewAt, { date: false })}` };
+        }
+    }
+    return { mode: 'normal', reason: schedule.cron ? `cron ${schedule.cron.expression}` : `every ${schedule.intervalMs / 60000} minutes` };
+}
+
+// The next check after now: { at, mode, reason }. Checks are pulled forward to
+// the end of the overnight window and of the quiet hours (to release held
+// posts) and to any wake-up time given, e.g. when a digest is due.
+function planNextRun(schedule, { now = new Date(), lastNewAt = null, wakeUps = [] } = {}) {
+    let { mode, reason } = pollMode(schedule, { now, lastNewAt });
+    let at = mode === 'overnight' ? nextCronTime(schedule.overnight.cron, now) :
+        mode === 'fast' ? nextCronTime(schedule.fast.cron, now) :
+        schedule.cron ? nextCronTime(schedule.cron, now) :
+        new Date(now.getTime() + schedule.intervalMs);
+
+    const earlier = (time, why) => {
+        if (time > now && time < at) {
+            at = time;
+            reason = why;
+        }
+    };
+    if (mode === 'overnight') {
+        earlier(dailyWindowEnd(schedule.overnight.window, now), 'end of overnight polling');
+    }
+    if (isQuietTime(schedule, now)) {
+        earlier(dailyWindowEnd(schedule.quietHours, now), 'end of quiet hours');
+    }
+    for (const wakeUp of wakeUps) {
+        earlier(wakeUp.at, wakeUp.reason);
+    }
+    return { at, mode, reason };
+}
+
+// The longest gap between checks over the next two days without fast polling,
+// so /healthz doesn't report a quiet night as a stuck bot
+function longestGapMs(schedule, now = new Date()) {
+    const end = now.getTime() + 2 * 24 * 60 * 60 * 1000;
+    let longest = 0;
+    let time = now;
+    while (time.getTime() < end) {
+        const { at } = planNextRun(schedule, { now: time });
+        longest = Math.max(longest, at - time);
+        time = at;
+    }
+    return longest;
+}
+
+function describePollSchedule(schedule) {
+    const parts = [schedule.cron ? `cron ${schedule.cron.expression}` : `every ${schedule.intervalMs / 60000} minutes`];
+    if (schedule.fast) {
+        const when = [
+            ...schedule.fast.seasons.map(s => s.name),
+            ...(schedule.fast.afterPostMs > 0 ? [`${schedule.fast.afterPostMs / 60000} min after a new notice`] : [])
+        ];
+        parts.push(`fast ${schedule.fast.cron.expression}${when.length > 0 ? ` (${when.join(', ')})` : ''}`);
+    }
+    if (schedule.overnight) {
+        parts.push(`overnight ${describeWindow(schedule.overnight.window)}: ${schedule.overnight.cron.expression}`);
+    }
+    if (schedule.quietHours) {
+        parts.push(`quiet hours ${describeWindow(schedule.quietHours)}`);
+    }
+    const dhakaTime = schedule.cron || schedule.fast || schedule.overnight || schedule.quietHours;
+    return `${parts.join('; ')}${dhakaTime ? ' (Dhaka time)' : ''}`;
+}
+
+// Run run() now and then whenever plan() says, one run at a time. plan() is
+// called after each run finishes and returns { at, mode, reason };
+// onPlanned(plan) sees every plan, including the fallback. When planning fails
+// the next run is fallbackMs away, so an error there can't stop the polling
+// for good.
+function createScheduler({ run, plan, onPlanned = () => {}, fallbackMs = 5 * 60 * 1000 }) {
+    let timer = null;
+    let stopped = false;
+
+    function scheduleNext() {
+        if (stopped) return;
+        let next;
+        try {
+            next = plan();
+            if (!(next.at instanceof Date) || Number.isNaN(next.at.getTime())) {
+                throw new Error(`plan() returned an invalid time: ${next.at}`);
+            }
+        } catch (error) {
+            next = { at: new Date(Date.now() + fallbackMs), mode: 'normal', reason: 'planning failed' };
+            log.error(`❌ Error planning the next check, checking again in ${Math.round(fallbackMs / 1000)}s: ${error.message}`, { error });
+        }
+        try {
+            onPlanned(next);
+        } catch (error) {
+            log.error(`❌ Error reporting the next check: ${error.message}`, { error });
+        }
+        const delay = Math.max(0, next.at.getTime() - Date.now());
+        timer = setTimeout(delay > MAX_TIMER_MS ? scheduleNext : tick, Math.min(delay, MAX_TIMER_MS));
+    }
+
+    async function tick() {
+        try {
+            await run();
+        } catch (error) {
+            log.error(`❌ Error in scheduled check: ${error.message}`, { error });
+        }
+        scheduleNext();
+    }
+
+    return {
+        start({ immediately = true } = {}) {
+            stopped = false;
+            if (immediately) {
+                tick();
+            } else {
+                scheduleNext();
+            }
+        },
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+        }
+    };
+}
+
+module.exports = {
+    resolvePollSchedule,
+    isQuietTime,
+    quietHoursEnd,
+    pollMode,
+    planNextRun,
+    longestGapMs,
+    describePollSchedule,
+    createScheduler
+};
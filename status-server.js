@@ -0,0 +1,231 @@
+const http = require('http');
+const status = require('./status');
+const {
+    parseFeedQuery,
+    selectEntries,
+    renderRss,
+    renderAtom,
+    renderJsonFeed,
+    renderCalendar
+} = require('./feed-publisher');
+const { formatBDT } = require('./schedule');
+const { createLogger } = require('./logger');
+
+// HTTP server for Render's health checks and for humans:
+//
+//   /             dashboard with the real run status and recent announcements
+//   /healthz      200 while fetches are succeeding, 503 once any source's
+//                 last successful fetch is older than its maxFetchAgeMs
+//   /status.json  last/next run, items seen/posted, per-webhook counters, errors
+//   /metrics      Prometheus text format
+//   /feed.xml, /feed.atom, /feed.json, /calendar.ics
+//                 the announcement archive (see feed-publisher.js)
+
+const log = createLogger('status-server');
+
+const RECENT_ANNOUNCEMENTS = 25;
+
+// Public address used for self links in the feeds; defaults to the request's host
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+const FEEDS = {
+    '/feed.xml': { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+    '/feed.atom': { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+    '/feed.json': { contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed },
+    '/calendar.ics': { contentType: 'text/calendar; charset=utf-8', render: renderCalendar }
+};
+
+const escapeHtml = (text) => String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function deliverySummary(record) {
+    if (record.legacy) return 'posted';
+    const counts = {};
+    for (const d of Object.values(record.deliveries || {})) {
+        counts[d.status] = (counts[d.status] || 0) + 1;
+    }
+    return Object.entries(counts).map(([s, n]) => `${n} ${s}`).join(', ') || '—';
+}
+
+function renderDashboard({ snapshot, health, records, scheduleDescription }) {
+    const sourceRows = Object.entries(snapshot.sources).map(([name, s]) => `
+            <tr>
+              <td>${escapeHtml(name)}</td>
+              <td>${escapeHtml(formatBDT(s.lastSuccessAt))}</td>
+              <td>${s.itemsSeen}</td>
+              <td>${s.newAnnouncements}</td>
+              <td class="error">${s.lastError ? `${escapeHtml(s.lastError)}<br><small>${escapeHtml(formatBDT(s.lastErrorAt))}</small>` : ''}</td>
+            </tr>`).join('');
+
+    const destinationRows = Object.entries(snapshot.destinations).map(([name, d]) => `
+            <tr>
+              <td>${escapeHtml(name)}</td>
+              <td>${d.delivered}</td>
+              <td>${d.failed}</td>
+              <td>${d.dead}</td>
+              <td class="error">${d.lastError ? `${escapeHtml(d.lastError)}<br><small>${escapeHtml(formatBDT(d.lastErrorAt))}</small>` : ''}</td>
+            </tr>`).join('');
+
+    const announcementRows = records.map(r => `
+            <tr>
+              <td>${r.link ? `<a href="${escapeHtml(r.link)}">${escapeHtml(r.title)}</a>` : escapeHtml(r.title)}</td>
+              <td>${escapeHtml(r.source)}</td>
+              <td>${escapeHtml(formatBDT(r.postedAt || r.firstSeenAt))}</td>
+              <td>${escapeHtml(deliverySummary(r))}</td>
+            </tr>`).join('');
+
+    return `
+    <html>
+      <head>
+        <title>BRAC University Announcement Bot</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>
+          body { font-family: Arial, sans-serif; margin: 40px; line-height: 1.6; }
+          h1 { color: #336ca6; }
+          .container { max-width: 1000px; margin: 0 auto; }
+          .status { padding: 15px; background-color: #f5f5f5; border-radius: 5px; }
+          .status.unhealthy { background-color: #fdecea; }
+          table { width: 100%; border-collapse: collapse; margin: 10px 0 30px; font-size: 0.9em; }
+          th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+          th { background-color: #f5f5f5; }
+          .error { color: #b3261e; }
+          .footer { margin-top: 30px; font-size: 0.8em; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>BRAC University Announcement Bot</h1>
+          <div class="status${health.ok ? '' : ' unhealthy'}">
+            <p>${health.ok ? '✅ Bot is running' : `❌ Bot is unhealthy: ${escapeHtml(health.reason)}`}${snapshot.running ? ' (check in progress)' : ''}</p>
+            <p>Last check: ${escapeHtml(formatBDT(snapshot.lastRun.finishedAt))}${snapshot.lastRun.error ? ` <span class="error">(${escapeHtml(snapshot.lastRun.error)})</span>` : ''}</p>
+            <p>Last successful fetch: ${escapeHtml(formatBDT(snapshot.lastSuccessfulFetchAt))}</p>
+            <p>Next check: ${escapeHtml(formatBDT(snapshot.nextRunAt))}${snapshot.schedule.mode ? ` (${escapeHtml(snapshot.schedule.mode)}: ${escapeHtml(snapshot.schedule.reason)})` : ''}</p>
+            <p>Schedule: ${escapeHtml(scheduleDescription || '—')}</p>
+            <p>Delivery queue: ${snapshot.queue.jobs} waiting, ${snapshot.queue.deadLetters} dead letter(s)</p>
+          </div>
+
+          <h2>Sources</h2>
+          <table>
+            <tr><th>Source</th><th>Last successful fetch</th><th>Items in feed</th><th>New since startup</th><th>Last error</th></tr>${sourceRows || '<tr><td colspan="5">No fetches yet</td></tr>'}
+          </table>
+
+          <h2>Destinations</h2>
+          <table>
+            <tr><th>Destination</th><th>Delivered</th><th>Failed</th><th>Dead</th><th>Last error</th></tr>${destinationRows || '<tr><td colspan="5">No deliveries since startup</td></tr>'}
+          </table>
+
+          <h2>Recent announcements</h2>
+          <table>
+            <tr><th>Title</th><th>Source</th><th>Posted</th><th>Deliveries</th></tr>${announcementRows || '<tr><td colspan="4">No announcements yet</td></tr>'}
+          </table>
+
+          <div class="footer">
+            <p>BRAC University Announcement Bot - Running on Render · <a href="/status.json">status.json</a> · <a href="/metrics">metrics</a> · <a href="/healthz">healthz</a> · <a href="/feed.xml">RSS</a> · <a href="/feed.atom">Atom</a> · <a href="/feed.json">JSON Feed</a> · <a href="/calendar.ics">Calendar</a></p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+function baseUrlOf(req) {
+    if (PUBLIC_URL) return PUBLIC_URL;
+    const proto = (req.headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+    return `${proto}://${req.headers.host || 'localhost'}`;
+}
+
+function serveFeed(req, res, url, feed, storage) {
+    let query;
+    try {
+        query = parseFeedQuery(url.searchParams);
+    } catch (error) {
+        if (error.status !== 400) throw error;
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+        return;
+    }
+    // The calendar only has exam and registration notices
+    const selection = url.pathname === '/calendar.ics' ? { ...query, calendar: true } : query;
+
+    const baseUrl = baseUrlOf(req);
+    const entries = selectEntries(storage.load(), selection);
+    res.writeHead(200, { 'Content-Type': feed.contentType, 'Cache-Control': 'public, max-age=300' });
+    res.end(feed.render(entries, { baseUrl, selfUrl: `${baseUrl}${url.pathname}${url.search}`, query }));
+}
+
+// storage is the announcements database (see storage/); maxFetchAgeMs maps
+// each source name to its /healthz threshold; scheduleDescription is shown on
+// the dashboard
+function createStatusServer({ storage, scheduleDescription, maxFetchAgeMs }) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const { pathname } = url;
+
+        try {
+            if (FEEDS[pathname]) {
+                serveFeed(req, res, url, FEEDS[pathname], storage);
+                return;
+            }
+            switch (pathname) {
+                case '/healthz': {
+                    const health = status.health(maxFetchAgeMs);
+                    const iso = (time) => (time ? new Date(time).toISOString() : null);
+                    const sources = {};
+                    for (const [name, s] of Object.entries(health.sources)) {
+                        sources[name] = {
+                            status: s.ok ? 'ok' : 'unhealthy',
+                            reason: s.reason,
+                            lastSuccessfulFetchAt: iso(s.lastSuccessfulFetchAt),
+                            maxAgeSeconds: Math.round(s.maxAgeMs / 1000)
+                        };
+                    }
+                    res.writeHead(health.ok ? 200 : 503, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        status: health.ok ? 'ok' : 'unhealthy',
+                        reason: health.reason,
+                        lastSuccessfulFetchAt: iso(health.lastSuccessfulFetchAt),
+                        sources
+                    }));
+                    return;
+                }
+                case '/status.json': {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ...status.snapshot(), health: status.health(maxFetchAgeMs) }, null, 2));
+                    return;
+                }
+                case '/metrics': {
+                    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                    res.end(status.metrics(maxFetchAgeMs));
+                    return;
+                }
+                case '/':
+                case '/index.html': {
+                    const html = renderDashboard({
+                        snapshot: status.snapshot(),
+                        health: status.health(maxFetchAgeMs),
+                        records: storage.query({ limit: RECENT_ANNOUNCEMENTS }),
+                        scheduleDescription
+                    });
+                    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                    res.end(html);
+                    return;
+                }
+                default:
+                    res.writeHead(404, { 'Content-Type': 'text/plain' });
+                    res.end('Not found');
+            }
+        } catch (error) {
+            log.error(`❌ Error serving ${pathname}: ${error.message}`);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal server error');
+        }
+    });
+}
+
+module.exports = {
+    createStatusServer,
+    renderDashboard
+};
@@ -0,0 +1,254 @@
+// Runtime status of the bot: what the last run did, when sources were last
+// fetched successfully, and per-destination delivery counters. Kept in memory
+// and served by status-server.js as /status.json, /healthz and /metrics.
+
+const startedAt = Date.now();
+
+const state = {
+    runs: 0,
+    running: false,
+    lastRunStartedAt: null,
+    lastRunFinishedAt: null,
+    lastRunDurationMs: null,
+    lastRunError: null,
+    nextRunAt: null,
+    schedule: { mode: null, reason: null }, // polling mode of the next check (see scheduler.js)
+    sources: {}, // name -> { lastFetchAt, lastSuccessAt, lastError, lastErrorAt, fetches, failures, itemsSeen, newAnnouncements }
+    destinations: {}, // name -> { delivered, failed, dead, lastSuccessAt, lastError, lastErrorAt }
+    queue: { jobs: 0, deadLetters: 0 },
+    totals: { itemsSeen: 0, newAnnouncements: 0, delivered: 0, failed: 0, dead: 0 }
+};
+
+const sourceState = (name) => {
+    if (!state.sources[name]) {
+        state.sources[name] = {
+            lastFetchAt: null,
+            lastSuccessAt: null,
+            lastError: null,
+            lastErrorAt: null,
+            fetches: 0,
+            failures: 0,
+            itemsSeen: 0,
+            newAnnouncements: 0
+        };
+    }
+    return state.sources[name];
+};
+
+const destinationState = (name) => {
+    if (!state.destinations[name]) {
+        state.destinations[name] = {
+            delivered: 0,
+            failed: 0,
+            dead: 0,
+            lastSuccessAt: null,
+            lastError: null,
+            lastErrorAt: null
+        };
+    }
+    return state.destinations[name];
+};
+
+function runStarted(nextRunAt) {
+    state.runs++;
+    state.running = true;
+    state.lastRunStartedAt = Date.now();
+    if (nextRunAt) state.nextRunAt = nextRunAt;
+}
+
+function runFinished(error = null) {
+    state.running = false;
+    state.lastRunFinishedAt = Date.now();
+    state.lastRunDurationMs = state.lastRunFinishedAt - state.lastRunStartedAt;
+    state.lastRunError = error ? error.message : null;
+}
+
+function setNextRunAt(time, { mode = null, reason = null } = {}) {
+    state.nextRunAt = time;
+    state.schedule = { mode, reason };
+}
+
+function fetchSucceeded(source, itemCount) {
+    const s = sourceState(source);
+    s.fetches++;
+    s.lastFetchAt = s.lastSuccessAt = Date.now();
+    s.itemsSeen = itemCount;
+    state.totals.itemsSeen = Object.values(state.sources).reduce((sum, src) => sum + src.itemsSeen, 0);
+}
+
+function fetchFailed(source, error) {
+    const s = sourceState(source);
+    s.fetches++;
+    s.failures++;
+    s.lastFetchAt = s.lastErrorAt = Date.now();
+    s.lastError = error.message;
+}
+
+function announcementsFound(source, count) {
+    sourceState(source).newAnnouncements += count;
+    state.totals.newAnnouncements += count;
+}
+
+function deliveryResult(destination, { success, error, dead }) {
+    const d = destinationState(destination);
+    if (success) {
+        d.delivered++;
+        d.lastSuccessAt = Date.now();
+        state.totals.delivered++;
+    } else {
+        if (dead) {
+            d.dead++;
+            state.totals.dead++;
+        } else {
+            d.failed++;
+            state.totals.failed++;
+        }
+        d.lastError = error || 'Unknown error';
+        d.lastErrorAt = Date.now();
+    }
+}
+
+function setQueueStats(queue) {
+    state.queue = { jobs: queue.jobs.length, deadLetters: queue.deadLetters.length };
+}
+
+// Most recent successful fetch across all sources
+function lastSuccessfulFetchAt() {
+    const times = Object.values(state.sources).map(s => s.lastSuccessAt).filter(Boolean);
+    return times.length > 0 ? Math.max(...times) : null;
+}
+
+// One source against its own limit. Right after startup we give the first
+// run the same grace period.
+function sourceHealth(name, maxAgeMs, now) {
+    const lastSuccess = state.sources[name] ? state.sources[name].lastSuccessAt : null;
+    const ageMs = now - (lastSuccess || startedAt);
+    const ok = ageMs <= maxAgeMs;
+    let reason;
+    if (ok) {
+        reason = lastSuccess ? 'ok' : 'starting';
+    } else {
+        reason = lastSuccess ?
+            `last successful fetch was ${Math.round(ageMs / 60000)} minutes ago` :
+            `no successful fetch since startup ${Math.round(ageMs / 60000)} minutes ago`;
+    }
+    return { ok, reason, lastSuccessfulFetchAt: lastSuccess, maxAgeMs };
+}
+
+// Healthy while every source was fetched successfully within its own limit;
+// maxAgeMs maps source names to milliseconds. Another source doing fine
+// doesn't hide a stale one.
+function health(maxAgeMs, now = Date.now()) {
+    const sources = {};
+    for (const [name, limit] of Object.entries(maxAgeMs)) {
+        sources[name] = sourceHealth(name, limit, now);
+    }
+    const stale = Object.entries(sources).filter(([, s]) => !s.ok);
+    const ok = stale.length === 0;
+    let reason;
+    if (ok) {
+        reason = Object.values(sources).some(s => !s.lastSuccessfulFetchAt) ? 'starting' : 'ok';
+    } else {
+        reason = stale.map(([name, s]) => `${name}: ${s.reason}`).join('; ');
+    }
+    return { ok, reason, lastSuccessfulFetchAt: lastSuccessfulFetchAt(), sources };
+}
+
+const iso = (time) => (time ? new Date(time).toISOString() : null);
+
+// JSON-friendly snapshot for /status.json
+function snapshot() {
+    const sources = {};
+    for (const [name, s] of Object.entries(state.sources)) {
+        sources[name] = { ...s, lastFetchAt: iso(s.lastFetchAt), lastSuccessAt: iso(s.lastSuccessAt), lastErrorAt: iso(s.lastErrorAt) };
+    }
+    const destinations = {};
+    for (const [name, d] of Object.entries(state.destinations)) {
+        destinations[name] = { ...d, lastSuccessAt: iso(d.lastSuccessAt), lastErrorAt: iso(d.lastErrorAt) };
+    }
+    return {
+        startedAt: iso(startedAt),
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        runs: state.runs,
+        running: state.running,
+        lastRun: {
+            startedAt: iso(state.lastRunStartedAt),
+            finishedAt: iso(state.lastRunFinishedAt),
+            durationMs: state.lastRunDurationMs,
+            error: state.lastRunError
+        },
+        nextRunAt: iso(state.nextRunAt),
+        schedule: { ...state.schedule },
+        lastSuccessfulFetchAt: iso(lastSuccessfulFetchAt()),
+        totals: { ...state.totals },
+        queue: { ...state.queue },
+        sources,
+        destinations
+    };
+}
+
+// Prometheus label values need \, " and newlines escaped
+const label = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const seconds = (time) => (time ? (time / 1000).toFixed(3) : '0');
+
+// Prometheus text exposition format for /metrics
+function metrics(maxAgeMs) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            const labelText = Object.entries(labels).map(([k, v]) => `${k}="${label(v)}"`).join(',');
+            lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+        }
+    };
+
+    const currentHealth = health(maxAgeMs);
+    metric('bracu_bot_up', 'gauge', 'Whether every source was fetched successfully recently enough (1) or not (0).', [[{}, currentHealth.ok ? 1 : 0]]);
+    metric('bracu_bot_start_time_seconds', 'gauge', 'Unix time the bot started.', [[{}, seconds(startedAt)]]);
+    metric('bracu_bot_runs_total', 'counter', 'Checks started since startup.', [[{}, state.runs]]);
+    metric('bracu_bot_last_run_duration_seconds', 'gauge', 'Duration of the last completed check.', [[{}, ((state.lastRunDurationMs || 0) / 1000).toFixed(3)]]);
+    metric('bracu_bot_next_run_time_seconds', 'gauge', 'Unix time of the next scheduled check.', [[{}, seconds(state.nextRunAt)]]);
+    if (state.schedule.mode) {
+        metric('bracu_bot_poll_mode', 'gauge', 'Polling mode of the next check (1 for the current mode).',
+            ['normal', 'fast', 'overnight'].map(mode => [{ mode }, state.schedule.mode === mode ? 1 : 0]));
+    }
+
+    const sources = Object.entries(state.sources);
+    metric('bracu_bot_fetches_total', 'counter', 'Feed fetches by source and result.',
+        sources.flatMap(([name, s]) => [[{ source: name, result: 'success' }, s.fetches - s.failures], [{ source: name, result: 'failure' }, s.failures]]));
+    metric('bracu_bot_last_successful_fetch_time_seconds', 'gauge', 'Unix time of the last successful fetch by source.',
+        sources.map(([name, s]) => [{ source: name }, seconds(s.lastSuccessAt)]));
+    metric('bracu_bot_source_up', 'gauge', 'Whether the source was fetched successfully recently enough (1) or not (0).',
+        Object.entries(currentHealth.sources).map(([name, h]) => [{ source: name }, h.ok ? 1 : 0]));
+    metric('bracu_bot_feed_items', 'gauge', 'Items in the feed at the last successful fetch.',
+        sources.map(([name, s]) => [{ source: name }, s.itemsSeen]));
+    metric('bracu_bot_new_announcements_total', 'counter', 'New announcements found by source.',
+        sources.map(([name, s]) => [{ source: name }, s.newAnnouncements]));
+
+    const destinations = Object.entries(state.destinations);
+    metric('bracu_bot_deliveries_total', 'counter', 'Delivery attempts by destination and result.',
+        destinations.flatMap(([name, d]) => [
+            [{ destination: name, result: 'success' }, d.delivered],
+            [{ destination: name, result: 'failure' }, d.failed],
+            [{ destination: name, result: 'dead' }, d.dead]
+        ]));
+
+    metric('bracu_bot_queue_jobs', 'gauge', 'Jobs waiting in the delivery queue.', [[{}, state.queue.jobs]]);
+    metric('bracu_bot_dead_letters', 'gauge', 'Jobs in the dead-letter list.', [[{}, state.queue.deadLetters]]);
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    runStarted,
+    runFinished,
+    setNextRunAt,
+    fetchSucceeded,
+    fetchFailed,
+    announcementsFound,
+    deliveryResult,
+    setQueueStats,
+    health,
+    snapshot,
+    metrics
+};
@@ -0,0 +1,40 @@
+const { Octokit } = require('@octokit/rest');
+const { createGitHubSync } = require('../github-sync');
+const jsonStorage = require('./json');
+
+// The JSON file backend with the GitHub repository as the durable copy:
+// hydrate() restores/merges it at startup and sync() merges and pushes (see
+// github-sync.js). Reads and writes between syncs go to the local file.
+
+function createGitHubStorage({ file, defaultSource, github }) {
+    if (!github || !github.token) {
+        throw new Error('STORAGE_BACKEND=github needs GITHUB_TOKEN');
+    }
+
+    const store = jsonStorage.create({ file, defaultSource });
+    const sync = createGitHubSync({
+        octokit: new Octokit({ auth: github.token, ...(github.apiUrl ? { baseUrl: github.apiUrl } : {}) }),
+        owner: github.owner,
+        repo: github.repo,
+        path: github.path,
+        branch: github.branch,
+        defaultSource,
+        // A copy: the sync keeps what it loads as its merge base, and the
+        // store's in-memory ledger changes with every put()
+        loadPosted: () => structuredClone(store.load()),
+        savePosted: store.save,
+        baseFile: github.baseFile
+    });
+
+    return {
+        ...store,
+        type: 'github',
+        hydrate: sync.hydrate,
+        sync: sync.sync
+    };
+}
+
+module.exports = {
+    type: 'github',
+    create: createGitHubStorage
+};
@@ -0,0 +1,68 @@
+// Storage backends for the announcements ledger, picked with STORAGE_BACKEND:
+//
+//   json     the ledger as one JSON file, DB_FILE (default without GITHUB_TOKEN)
+//   sqlite   SQLITE_FILE via better-sqlite3; imports DB_FILE on first run
+//   github   the JSON file plus the copy in the GitHub repository, hydrated at
+//            startup and merged on sync (default when GITHUB_TOKEN is set)
+//
+// Every backend module exports { type, create(options) }, and create returns:
+//
+//   load()                      the whole ledger ({ version, announcements })
+//   save(ledger)                replace the whole ledger
+//   get(source, id)             one record, or null
+//   put(record)                 insert or replace one record
+//   query({ source, since, until, limit })
+//                               records first seen in [since, until), newest first
+//   prune({ before, keep })     drop records first seen before then, except ones
+//                               with deliveries still to make or keep(record)
+//                               true; returns how many were dropped
+//   getSubscriptions()          /subscribe keywords by user ID, or null when
+//                               none were ever saved
+//   saveSubscriptions(subscriptions)
+//   close()
+//
+// The github backend also has hydrate() and sync().
+
+const STORAGE_MODULES = {
+    json: './json',
+    sqlite: './sqlite',
+    github: './github'
+};
+
+const STORAGE_TYPES = Object.keys(STORAGE_MODULES);
+
+function storageOptionsFromEnv(env = process.env) {
+    const file = env.DB_FILE || 'bracu-announcements.json';
+    return {
+        type: env.STORAGE_BACKEND || (env.GITHUB_TOKEN ? 'github' : 'json'),
+        file,
+        sqliteFile: env.SQLITE_FILE || 'bracu-announcements.db',
+        github: {
+            token: env.GITHUB_TOKEN,
+            owner: env.GITHUB_REPO_OWNER || 'zawad1804',
+            repo: env.GITHUB_REPO_NAME || 'bracu-announcement-bot',
+            path: env.GITHUB_FILE_PATH || 'bracu-announcements.json',
+            branch: env.GITHUB_BRANCH,
+            // GitHub Enterprise or a local stand-in (see test/harness)
+            apiUrl: env.GITHUB_API_URL,
+            baseFile: env.SYNC_BASE_FILE || `${file}.sync-base.json`
+        }
+    };
+}
+
+function createStorage({ type, file, sqliteFile, github, defaultSource }) {
+    if (!STORAGE_TYPES.includes(type)) {
+        throw new Error(`Unknown STORAGE_BACKEND "${type}" (known: ${STORAGE_TYPES.join(', ')})`);
+    }
+    const backend = require(STORAGE_MODULES[type]);
+    if (type === 'sqlite') {
+        return backend.create({ file: sqliteFile, importFile: file, defaultSource });
+    }
+    return backend.create({ file, defaultSource, github });
+}
+
+module.exports = {
+    STORAGE_TYPES,
+    storageOptionsFromEnv,
+    createStorage
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const { loadLedger, saveLedger, pendingDestinations, seenAt } = require('../ledger');
+
+// The ledger as one JSON file (DB_FILE). Kept in memory between calls and
+// re-read only when the file changes on disk (e.g. the queue CLI or a GitHub
+// merge wrote it); every write replaces the whole file atomically.
+
+const recordKey = (source, id) => `${source}\u0000${id}`;
+
+function createJsonStorage({ file, defaultSource }) {
+    let ledger = null;
+    let index = null;
+    let stamp = null;
+
+    const fileStamp = () => {
+        try {
+            const stat = fs.statSync(file);
+            return `${stat.mtimeMs}:${stat.size}`;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    function use(newLedger) {
+        ledger = newLedger;
+        index = new Map(ledger.announcements.map(r => [recordKey(r.source, r.id), r]));
+    }
+
+    function current() {
+        if (!ledger || fileStamp() !== stamp) {
+            use(loadLedger(file, defaultSource));
+            stamp = fileStamp();
+        }
+        return ledger;
+    }
+
+    function write() {
+        saveLedger(file, ledger);
+        stamp = fileStamp();
+    }
+
+    return {
+        type: 'json',
+
+        load: () => current(),
+
+        save(newLedger) {
+            use(newLedger);
+            write();
+        },
+
+        get(source, id) {
+            current();
+            return index.get(recordKey(source, id)) || null;
+        },
+
+        put(record) {
+            current();
+            const key = recordKey(record.source, record.id);
+            const existing = index.get(key);
+            if (!existing) {
+                ledger.announcements.push(record);
+            } else if (existing !== record) {
+                ledger.announcements[ledger.announcements.indexOf(existing)] = record;
+            }
+            index.set(key, record);
+            write();
+        },
+
+        query({ source, since, until, limit } = {}) {
+            const from = since ? new Date(since).toISOString() : null;
+            const to = until ? new Date(until).toISOString() : null;
+            const records = current().announcements
+                .filter(r => !source || r.source === source)
+                .filter(r => {
+                    const time = seenAt(r);
+                    return (!from || (time && time >= from)) && (!to || (time && time < to));
+                })
+                .sort((a, b) => (seenAt(b) || '').localeCompare(seenAt(a) || ''));
+            return limit ? records.slice(0, limit) : records;
+        },
+
+        prune({ before, keep = () => false }) {
+            const cutoff = new Date(before).toISOString();
+            const kept = current().announcements.filter(r =>
+                !seenAt(r) || seenAt(r) >= cutoff || pendingDestinations(r).length > 0 || keep(r));
+            const removed = ledger.announcements.length - kept.length;
+            if (removed > 0) {
+                use({ ...ledger, announcements: kept });
+                write();
+            }
+            return removed;
+        },
+
+        getSubscriptions: () => current().subscriptions || null,
+
+        saveSubscriptions(subscriptions) {
+            current().subscriptions = subscriptions;
+            write();
+        },
+
+        close() {}
+    };
+}
+
+module.exports = {
+    type: 'json',
+    create: createJsonStorage
+};
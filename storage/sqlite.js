@@ -0,0 +1,154 @@
+const fs = require('fs');
+const { loadLedger, LEDGER_VERSION, pendingDestinations, seenAt } = require('../ledger');
+const { createLogger } = require('../logger');
+
+// The ledger in SQLite (better-sqlite3, an optional dependency). One row per
+// record, keyed by (source, id), with the record itself as JSON and an index
+// on when it was first seen for date-range queries and pruning. The rest of
+// the ledger (subscriptions) goes in the settings table as JSON. On first use
+// an existing JSON database (importFile) is imported.
+
+const log = createLogger('storage');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS announcements (
+        source TEXT NOT NULL,
+        id TEXT NOT NULL,
+        seen_at TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (source, id)
+    );
+    CREATE INDEX IF NOT EXISTS announcements_seen_at ON announcements (seen_at);
+    CREATE TABLE IF NOT EXISTS settings (
+        name TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+function createSqliteStorage({ file, importFile, defaultSource }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error(`STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+    }
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const statements = {
+        get: db.prepare('SELECT data FROM announcements WHERE source = ? AND id = ?'),
+        all: db.prepare('SELECT data FROM announcements ORDER BY rowid'),
+        keys: db.prepare('SELECT source, id FROM announcements'),
+        count: db.prepare('SELECT COUNT(*) AS count FROM announcements'),
+        put: db.prepare(`
+            INSERT INTO announcements (source, id, seen_at, data) VALUES (@source, @id, @seenAt, @data)
+            ON CONFLICT (source, id) DO UPDATE SET seen_at = excluded.seen_at, data = excluded.data
+        `),
+        remove: db.prepare('DELETE FROM announcements WHERE source = ? AND id = ?'),
+        olderThan: db.prepare('SELECT data FROM announcements WHERE seen_at < ?'),
+        getSetting: db.prepare('SELECT value FROM settings WHERE name = ?'),
+        putSetting: db.prepare(`
+            INSERT INTO settings (name, value) VALUES (?, ?)
+            ON CONFLICT (name) DO UPDATE SET value = excluded.value
+        `)
+    };
+
+    const rows = (list) => list.map(row => JSON.parse(row.data));
+
+    function putRecord(record) {
+        statements.put.run({ source: record.source, id: record.id, seenAt: seenAt(record), data: JSON.stringify(record) });
+    }
+
+    function getSubscriptions() {
+        const row = statements.getSetting.get('subscriptions');
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    function saveSubscriptions(subscriptions) {
+        statements.putSetting.run('subscriptions', JSON.stringify(subscriptions));
+    }
+
+    // Replace the table's contents with a whole ledger, keeping row order
+    const saveAll = db.transaction((ledger) => {
+        const wanted = new Set(ledger.announcements.map(r => `${r.source}\u0000${r.id}`));
+        for (const { source, id } of statements.keys.all()) {
+            if (!wanted.has(`${source}\u0000${id}`)) statements.remove.run(source, id);
+        }
+        for (const record of ledger.announcements) putRecord(record);
+        if (ledger.subscriptions) saveSubscriptions(ledger.subscriptions);
+    });
+
+    if (statements.count.get().count === 0 && importFile && fs.existsSync(importFile)) {
+        const ledger = loadLedger(importFile, defaultSource);
+        saveAll(ledger);
+        log.info(`🔧 Imported ${ledger.announcements.length} records from ${importFile} into ${file}`);
+    }
+
+    return {
+        type: 'sqlite',
+
+        load() {
+            const subscriptions = getSubscriptions();
+            return {
+                version: LEDGER_VERSION,
+                announcements: rows(statements.all.all()),
+                ...(subscriptions ? { subscriptions } : {})
+            };
+        },
+
+        save: saveAll,
+
+        get(source, id) {
+            const row = statements.get.get(source, id);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        put: putRecord,
+
+        query({ source, since, until, limit } = {}) {
+            const conditions = [];
+            const params = [];
+            if (source) {
+                conditions.push('source = ?');
+                params.push(source);
+            }
+            if (since) {
+                conditions.push('seen_at >= ?');
+                params.push(new Date(since).toISOString());
+            }
+            if (until) {
+                conditions.push('seen_at < ?');
+                params.push(new Date(until).toISOString());
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const sql = `SELECT data FROM announcements ${where} ORDER BY seen_at DESC${limit ? ` LIMIT ${parseInt(limit)}` : ''}`;
+            return rows(db.prepare(sql).all(...params));
+        },
+
+        prune: db.transaction(({ before, keep = () => false }) => {
+            let removed = 0;
+            for (const record of rows(statements.olderThan.all(new Date(before).toISOString()))) {
+                // Never drop a record that still has deliveries to make
+                if (pendingDestinations(record).length > 0 || keep(record)) continue;
+                statements.remove.run(record.source, record.id);
+                removed++;
+            }
+            return removed;
+        }),
+
+        getSubscriptions,
+
+        saveSubscriptions,
+
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    type: 'sqlite',
+    create: createSqliteStorage
+};
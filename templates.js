@@ -0,0 +1,432 @@
+const { htmlToText, truncate } = require('./notice-enricher');
+
+// Message templates and localized rendering. Pure functions, no Discord
+// client involved: renderTemplate() returns the message as plain Discord API
+// JSON ({ content, allowed_mentions, embeds }), so it can be checked directly.
+//
+// A Discord destination may set "locale" ("en" or "bn") and a "template":
+//
+//   "template": {
+//     "title": "{{icon}} {{title}}",
+//     "description": "{{summary}}",
+//     "color": "category",                 // or "#336ca6"
+//     "fields": [{ "name": "Published On:", "value": "{{date}}", "inline": false }],
+//     "footer": "{{source}} · {{categories}}",
+//     "author": "ব্র্যাকু নোটিশ",
+//     "mentions": { "roles": ["123456789012345678"] }
+//   }
+//
+// Template mentions ping on every announcement; rule-based mentions come from
+// the webhook's "mentions" list (see mentions.js) and are added to them.
+//
+// Anything left out comes from the locale's default template. Placeholders:
+// {{title}}, {{link}}, {{summary}}, {{date}}, {{source}}, {{category}} (the
+// first category), {{categories}}, {{icon}}, {{urgent}} (🚨 for urgent
+// notices, else empty), {{attachments}} and {{id}}.
+// Dates are always Dhaka time; the bn locale uses Bangla words and numerals.
+
+const TIME_ZONE = 'Asia/Dhaka';
+const DEFAULT_COLOR = 0x336ca6;
+const AUTHOR_ICON_URL = 'https://github.com/zawad1804/miscellaneous/blob/main/image-removebg-preview%20(1).jpg?raw=true';
+
+const CATEGORY_STYLES = {
+    exam: { color: 0xd9534f, icon: '📝' },
+    registration: { color: 0xf0ad4e, icon: '🗂️' },
+    result: { color: 0x5cb85c, icon: '📊' },
+    admission: { color: 0x5bc0de, icon: '🎓' },
+    event: { color: 0x9b59b6, icon: '🎉' },
+    scholarship: { color: 0xf1c40f, icon: '💰' },
+    holiday: { color: 0x1abc9c, icon: '🏖️' }
+};
+const DEFAULT_ICON = '📢';
+
+const LOCALES = {
+    en: {
+        author: 'ব্র্যাকু নোটিশ',
+        publishedOn: 'Published On:',
+        link: 'Announcement Link:',
+        attachments: 'Attachments:',
+        whatChanged: 'What changed:',
+        updated: 'Updated',
+        unknownDate: 'Unknown',
+        dailyDigest: 'Daily digest',
+        weeklyDigest: 'Weekly digest',
+        other: 'Other',
+        count: (n) => `${n} announcement${n === 1 ? '' : 's'}`,
+        categories: {
+            exam: 'Exam',
+            registration: 'Registration',
+            result: 'Result',
+            admission: 'Admission',
+            event: 'Event',
+            scholarship: 'Scholarship',
+            holiday: 'Holiday'
+        }
+    },
+    bn: {
+        author: 'ব্র্যাকু নোটিশ',
+        publishedOn: 'প্রকাশের সময়:',
+        link: 'নোটিশের লিংক:',
+        attachments: 'সংযুক্তি:',
+        whatChanged: 'যা পরিবর্তন হয়েছে:',
+        updated: 'হালনাগাদ',
+        unknownDate: 'অজানা',
+        dailyDigest: 'দৈনিক নোটিশ সংকলন',
+        weeklyDigest: 'সাপ্তাহিক নোটিশ সংকলন',
+        other: 'অন্যান্য',
+        count: (n) => `${toBanglaDigits(n)}টি নোটিশ`,
+        categories: {
+            exam: 'পরীক্ষা',
+            registration: 'নিবন্ধন',
+            result: 'ফলাফল',
+            admission: 'ভর্তি',
+            event: 'অনুষ্ঠান',
+            scholarship: 'বৃত্তি',
+            holiday: 'ছুটি'
+        }
+    }
+};
+
+const LOCALE_NAMES = Object.keys(LOCALES);
+
+const PLACEHOLDERS = ['title', 'link', 'summary', 'date', 'source', 'category', 'categories', 'icon', 'urgent', 'attachments', 'id'];
+const PLACEHOLDER_REGEX = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const BANGLA_DIGITS = '০১২৩৪৫৬৭৮৯';
+const BANGLA_WEEKDAYS = ['রবিবার', 'সোমবার', 'মঙ্গলবার', 'বুধবার', 'বৃহস্পতিবার', 'শুক্রবার', 'শনিবার'];
+const BANGLA_MONTHS = ['জানুয়ারি', 'ফেব্রুয়ারি', 'মার্চ', 'এপ্রিল', 'মে', 'জুন', 'জুলাই', 'আগস্ট', 'সেপ্টেম্বর', 'অক্টোবর', 'নভেম্বর', 'ডিসেম্বর'];
+
+const toBanglaDigits = (text) => String(text).replace(/[0-9]/g, d => BANGLA_DIGITS[d]);
+
+// Bangla names for the part of the day, by hour
+function banglaDayPeriod(hour) {
+    if (hour >= 4 && hour < 6) return 'ভোর';
+    if (hour >= 6 && hour < 12) return 'সকাল';
+    if (hour >= 12 && hour < 15) return 'দুপুর';
+    if (hour >= 15 && hour < 18) return 'বিকাল';
+    if (hour >= 18 && hour < 20) return 'সন্ধ্যা';
+    return 'রাত';
+}
+
+// Calendar fields of a date in Dhaka
+function dhakaParts(date) {
+    const parts = {};
+    for (const { type, value } of new Intl.DateTimeFormat('en-US', {
+        timeZone: TIME_ZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+    }).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month) - 1,
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+// "Sunday, June 8, 2025 at 08:21 PM" / "রবিবার, ৮ জুন ২০২৫, রাত ৮:২১", in Dhaka
+function formatDate(value, locale = 'en') {
+    const date = value instanceof Date ? value : new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+        return value ? String(value) : LOCALES[locale].unknownDate;
+    }
+    if (locale === 'bn') {
+        const p = dhakaParts(date);
+        const hour12 = p.hour % 12 === 0 ? 12 : p.hour % 12;
+        return toBanglaDigits(`${BANGLA_WEEKDAYS[p.weekday]}, ${p.day} ${BANGLA_MONTHS[p.month]} ${p.year}, ` +
+            `${banglaDayPeriod(p.hour)} ${hour12}:${String(p.minute).padStart(2, '0')}`);
+    }
+    return date.toLocaleString('en-US', {
+        timeZone: TIME_ZONE,
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Style of the announcement's first detected category
+function categoryStyle(categories = []) {
+    const category = categories.find(c => CATEGORY_STYLES[c]);
+    return category ? { category, ...CATEGORY_STYLES[category] } : { category: null, color: DEFAULT_COLOR, icon: DEFAULT_ICON };
+}
+
+function defaultTemplate(locale) {
+    const strings = LOCALES[locale];
+    return {
+        locale,
+        author: strings.author,
+        authorIconUrl: AUTHOR_ICON_URL,
+        title: '{{urgent}} {{icon}} {{title}}',
+        description: '{{summary}}',
+        color: 'category',
+        fields: [
+            { name: strings.publishedOn, value: '{{date}}', inline: false },
+            { name: strings.link, value: '{{link}}', inline: false },
+            { name: strings.attachments, value: '{{attachments}}', inline: false }
+        ],
+        footer: '',
+        mentions: { roles: [] }
+    };
+}
+
+function parseColor(value, where) {
+    if (value === 'category') return value;
+    if (Number.isInteger(value) && value >= 0 && value <= 0xffffff) return value;
+    if (typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value)) return parseInt(value.replace('#', ''), 16);
+    throw new Error(`${where}.color must be "category", "#rrggbb" or a number`);
+}
+
+function checkPlaceholders(text, where) {
+    if (typeof text !== 'string') {
+        throw new Error(`${where} must be a string`);
+    }
+    for (const [, name] of text.matchAll(PLACEHOLDER_REGEX)) {
+        if (!PLACEHOLDERS.includes(name)) {
+            throw new Error(`${where}: unknown placeholder {{${name}}} (known: ${PLACEHOLDERS.join(', ')})`);
+        }
+    }
+    return text;
+}
+
+function resolveLocale(locale, where) {
+    if (!locale) return 'en';
+    // Accept tags like "bn-BD" and "en-US"
+    const name = String(locale).toLowerCase().split(/[-_]/)[0];
+    if (!LOCALE_NAMES.includes(name)) {
+        throw new Error(`${where}: unknown locale "${locale}" (known: ${LOCALE_NAMES.join(', ')})`);
+    }
+    return name;
+}
+
+// Validate a destination's template config and fill in the locale defaults
+function resolveTemplate(raw, { locale = 'en', where = 'template' } = {}) {
+    const template = defaultTemplate(locale);
+    if (raw === undefined || raw === null) return template;
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`${where} must be an object`);
+    }
+
+    for (const key of ['title', 'description', 'footer', 'author']) {
+        if (raw[key] !== undefined) template[key] = checkPlaceholders(raw[key], `${where}.${key}`);
+    }
+    if (raw.authorIconUrl !== undefined) template.authorIconUrl = raw.authorIconUrl;
+    if (raw.color !== undefined) template.color = parseColor(raw.color, where);
+    if (raw.fields !== undefined) {
+        if (!Array.isArray(raw.fields)) throw new Error(`${where}.fields must be an array`);
+        template.fields = raw.fields.map((field, i) => {
+            const at = `${where}.fields[${i}]`;
+            if (!field || typeof field !== 'object' || Array.isArray(field)) {
+                throw new Error(`${at} must be an object`);
+            }
+            return {
+                name: checkPlaceholders(field.name, `${at}.name`),
+                value: checkPlaceholders(field.value, `${at}.value`),
+                inline: Boolean(field.inline)
+            };
+        });
+    }
+    if (raw.mentions !== undefined) {
+        const roles = (raw.mentions && raw.mentions.roles) || [];
+        if (!Array.isArray(roles) || roles.some(r => !/^\d+$/.test(String(r)))) {
+            throw new Error(`${where}.mentions.roles must be a list of role IDs`);
+        }
+        template.mentions = { roles: roles.map(String) };
+    }
+    return template;
+}
+
+// Attachment links as Discord markdown, within a field's 1024 characters
+function attachmentList(announcement) {
+    const lines = [];
+    let length = 0;
+    for (const attachment of announcement.attachments || []) {
+        const line = `📎 [${attachment.name.substring(0, 80)}](${attachment.url})`;
+        if (length + line.length + 1 > 1024) break;
+        lines.push(line);
+        length += line.length + 1;
+    }
+    return lines.join('\n');
+}
+
+// Values for the placeholders of one announcement
+function templateValues(announcement, locale) {
+    const strings = LOCALES[locale];
+    const categories = announcement.categories || [];
+    const style = categoryStyle(categories);
+    const summary = announcement.summary ?
+        truncate(announcement.summary, 600) :
+        truncate(htmlToText(announcement.description || ''), 600);
+    return {
+        title: announcement.title || '',
+        link: announcement.link || '',
+        summary,
+        date: formatDate(announcement.pubDate, locale),
+        source: announcement.source || '',
+        category: style.category ? strings.categories[style.category] : '',
+        categories: categories.map(c => strings.categories[c] || c).join(', '),
+        icon: style.icon,
+        urgent: announcement.urgent ? '🚨' : '',
+        attachments: attachmentList(announcement),
+        id: announcement.id || ''
+    };
+}
+
+const fill = (text, values) => text.replace(PLACEHOLDER_REGEX, (match, name) => values[name] !== undefined ? values[name] : '').trim();
+
+const clip = (text, max) => (text.length > max ? text.substring(0, max - 1) + '…' : text);
+
+// The day of a date in Dhaka, e.g. "June 6, 2025" or "৬ জুন ২০২৫"
+function formatDay(value, locale = 'en') {
+    const date = new Date(value);
+    if (locale === 'bn') {
+        const p = dhakaParts(date);
+        return toBanglaDigits(`${p.day} ${BANGLA_MONTHS[p.month]} ${p.year}`);
+    }
+    return date.toLocaleDateString('en-US', { timeZone: TIME_ZONE, year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Discord caps a message at 10 embeds and 6000 characters of embed text
+const DIGEST_DESCRIPTION_LIMIT = 3800;
+const MESSAGE_TEXT_LIMIT = 6000;
+const MESSAGE_EMBED_LIMIT = 10;
+
+// Link text can't contain brackets in Discord markdown
+const linkText = (text) => clip(String(text || '').replace(/[[\]]/g, ''), 200);
+
+// Render a digest (see digest.js) into one or more Discord messages: the
+// announcements listed as links under a heading per category, split across
+// embeds and messages to stay within Discord's limits. Nobody is pinged.
+function renderDigest(digest, { locale = 'en' } = {}) {
+    const strings = LOCALES[locale];
+
+    // Group by each announcement's main category, in CATEGORY_STYLES order
+    const groups = new Map([...Object.keys(CATEGORY_STYLES), null].map(category => [category, []]));
+    for (const item of digest.items) {
+        const { category } = categoryStyle(item.categories);
+        groups.get(category).push(item.link ? `• [${linkText(item.title)}](${item.link})` : `• ${linkText(item.title)}`);
+    }
+    const lines = [];
+    for (const [category, items] of groups) {
+        if (items.length === 0) continue;
+        const heading = category ?
+            `${CATEGORY_STYLES[category].icon} ${strings.categories[category]}` :
+            `${DEFAULT_ICON} ${strings.other}`;
+        if (lines.length > 0) lines.push('');
+        lines.push(`**${heading}**`, ...items);
+    }
+
+    // Fill embed descriptions line by line
+    const descriptions = [''];
+    for (const line of lines) {
+        const current = descriptions[descriptions.length - 1];
+        if (current && current.length + line.length + 1 > DIGEST_DESCRIPTION_LIMIT) {
+            descriptions.push(line);
+        } else {
+            descriptions[descriptions.length - 1] = current ? `${current}\n${line}` : line;
+        }
+    }
+
+    const heading = digest.every === 'week' ? strings.weeklyDigest : strings.dailyDigest;
+    const period = digest.every === 'week' ?
+        `${formatDay(digest.from, locale)} – ${formatDay(digest.to, locale)}` :
+        formatDay(digest.to, locale);
+    const embeds = descriptions.map(description => ({ color: DEFAULT_COLOR, description }));
+    embeds[0].title = clip(`🗞️ ${heading} · ${period}`, 256);
+    embeds[embeds.length - 1].footer = { text: strings.count(digest.items.length) };
+
+    // Pack the embeds into as few messages as the limits allow
+    const size = (embed) => (embed.title || '').length + embed.description.length + (embed.footer ? embed.footer.text.length : 0);
+    const messages = [];
+    let current = null;
+    for (const embed of embeds) {
+        if (!current || current.embeds.length === MESSAGE_EMBED_LIMIT || current.size + size(embed) > MESSAGE_TEXT_LIMIT) {
+            current = { embeds: [], size: 0 };
+            messages.push(current);
+        }
+        current.embeds.push(embed);
+        current.size += size(embed);
+    }
+    return messages.map(({ embeds }) => ({ allowed_mentions: { parse: [] }, embeds }));
+}
+
+// Render an announcement (with .categories and the enrichment fields) into a
+// Discord message. With changes, a "What changed" field is added and
+// updated: true prefixes the title for follow-up posts. mentions
+// ({ roles, users, everyone }, see mentions.js) are pinged along with the
+// template's own roles.
+function renderTemplate(template, announcement, { changes = null, updated = false, mentions = null } = {}) {
+    const strings = LOCALES[template.locale];
+    const values = templateValues(announcement, template.locale);
+    const style = categoryStyle(announcement.categories);
+
+    const embed = {
+        title: clip(`${updated ? `🔄 ${strings.updated}: ` : ''}${fill(template.title, values)}`, 256),
+        color: template.color === 'category' ? style.color : template.color
+    };
+    if (announcement.link) embed.url = announcement.link;
+    if (template.author) {
+        embed.author = { name: clip(fill(template.author, values), 256) };
+        if (template.authorIconUrl) embed.author.icon_url = template.authorIconUrl;
+    }
+
+    const description = fill(template.description, values);
+    if (description) embed.description = clip(description, 4096);
+
+    // Fields whose value renders empty (e.g. no attachments) are left out
+    const fields = template.fields
+        .map(field => ({ name: clip(fill(field.name, values), 256), value: clip(fill(field.value, values), 1024), inline: field.inline }))
+        .filter(field => field.name && field.value);
+    if (changes) {
+        fields.push({ name: strings.whatChanged, value: clip(changes, 1024), inline: false });
+    }
+    if (fields.length > 0) embed.fields = fields.slice(0, 25);
+
+    const footer = fill(template.footer, values);
+    if (footer) embed.footer = { text: clip(footer, 2048) };
+    if (announcement.image) embed.image = { url: announcement.image };
+
+    // Edits, follow-ups and silent re-sends (see cli.js) don't ping anyone.
+    // Only the listed roles and users (and @everyone if asked for) may be pinged.
+    const quiet = Boolean(changes || announcement.silent);
+    const extra = (!quiet && mentions) || { roles: [], users: [], everyone: false };
+    const roles = quiet ? [] : [...new Set([...template.mentions.roles, ...extra.roles])];
+    const users = extra.users;
+    const pings = [
+        ...(extra.everyone ? ['@everyone'] : []),
+        ...roles.map(id => `<@&${id}>`),
+        ...users.map(id => `<@${id}>`)
+    ];
+    return {
+        content: pings.length > 0 ? pings.join(' ') : undefined,
+        allowed_mentions: { parse: extra.everyone ? ['everyone'] : [], roles, users },
+        embeds: [embed]
+    };
+}
+
+module.exports = {
+    TIME_ZONE,
+    LOCALES,
+    CATEGORY_STYLES,
+    PLACEHOLDERS,
+    toBanglaDigits,
+    dhakaParts,
+    formatDate,
+    formatDay,
+    categoryStyle,
+    resolveLocale,
+    resolveTemplate,
+    renderTemplate,
+    renderDigest
+};
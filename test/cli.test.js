@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { createHarness, notice } = require('./harness');
+
+// cli.js run as a separate process against the harness stand-ins, configured
+// through the environment like on Render
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+describe('cli', () => {
+    let h;
+    let cwd;
+    let parseArgs;
+
+    before(async () => {
+        h = await createHarness();
+        // Loads the bot, so only after the harness has set the environment
+        ({ parseArgs } = require('../cli'));
+        // No bot-config.json or .env in the working directory
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'bracu-cli-'));
+    });
+    after(async () => {
+        fs.rmSync(cwd, { recursive: true, force: true });
+        await h.close();
+    });
+    beforeEach(() => h.reset());
+
+    async function cli(...args) {
+        const env = {
+            ...process.env,
+            STORAGE_BACKEND: 'json',
+            DB_FILE: h.files.db,
+            RSS_FEED_URL: h.feed.feedUrl,
+            RSS_JSON_URL: 'off',
+            WEBHOOK_URLS: h.webhook(1).url,
+            WEBHOOK_NAMES: 'Server 1'
+        };
+        delete env.GITHUB_TOKEN;
+        delete env.NODE_TEST_CONTEXT;
+        try {
+            const { stdout } = await promisify(execFile)(process.execPath, [CLI, ...args], { cwd, env, timeout: 30000 });
+            return { code: 0, stdout };
+        } catch (error) {
+            if (error.code === undefined || typeof error.code === 'string') throw error;
+            return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+        }
+    }
+
+    describe('parseArgs', () => {
+        it('separates options, switches and positional arguments', () => {
+            assert.deepEqual(parseArgs(['notice-1', '--source', 'CSE', '--ping', '--to', 'Server 1']), {
+                options: { source: 'CSE', ping: true, to: 'Server 1' },
+                positional: ['notice-1']
+            });
+        });
+
+        it('needs a value for options that take one', () => {
+            assert.throws(() => parseArgs(['--since']), /--since needs a value/);
+            assert.throws(() => parseArgs(['--since', '--ping']), /--since needs a value/);
+        });
+    });
+
+    it('prints the usage for an unknown command and fails', async () => {
+        const { code, stdout } = await cli('post-everything');
+
+        assert.equal(code, 1);
+        assert.match(stdout, /^Usage:\n {2}node cli\.js check/);
+    });
+
+    it('check --dry-run lists what would be posted, posts nothing and writes no ledger', async () => {
+        h.feed.setItems([notice(1), notice(2)]);
+
+        const { code, stdout } = await cli('check', '--dry-run', '--json');
+
+        assert.equal(code, 0);
+        const jobs = JSON.parse(stdout);
+        // The feed lists newest first; the bot goes through it oldest first
+        assert.deepEqual(jobs.map(job => [job.kind, job.destination, job.announcementId]), [
+            ['send', 'Server 1', notice(2).guid],
+            ['send', 'Server 1', notice(1).guid]
+        ]);
+        assert.equal(jobs[0].message.embeds[0].title, '📢 Notice 2');
+        assert.equal(h.discord.requests.length, 0);
+        assert.equal(fs.existsSync(h.files.db), false);
+        assert.equal(fs.existsSync(h.files.queue), false);
+    });
+
+    it('check posts what the dry run listed', async () => {
+        h.feed.setItems([notice(1)]);
+
+        assert.match((await cli('check', '--dry-run')).stdout, /1 message\(s\) would be sent\n📤 Would post "Notice 1" to Server 1/);
+        assert.equal((await cli('check')).code, 0);
+
+        assert.deepEqual(h.discord.titles(1), ['📢 Notice 1']);
+        assert.match((await cli('check', '--dry-run')).stdout, /0 message\(s\) would be sent/);
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveConfig, loadConfig, DEFAULT_SOURCE_NAME } = require('../config');
+
+const webhooks = [
+    { name: 'Main', url: 'https://discord.com/api/webhooks/1/main' },
+    { name: 'CSE', urlEnv: 'CSE_WEBHOOK_URL' }
+];
+const env = { CSE_WEBHOOK_URL: 'https://discord.com/api/webhooks/2/cse' };
+
+describe('resolveConfig', () => {
+    it('routes sources to all webhooks, "*" or the named ones', () => {
+        const config = resolveConfig({
+            webhooks,
+            sources: [
+                { name: 'bracu', url: 'https://www.bracu.ac.bd/rss.xml' },
+                { name: 'library', url: 'https://library.bracu.ac.bd/rss.xml', webhooks: '*', intervalMinutes: 60 },
+                { name: 'cse', url: 'https://cse.sds.bracu.ac.bd/rss.xml', webhooks: ['CSE'], intervalMinutes: 10 }
+            ]
+        }, env);
+
+        assert.deepEqual(config.sources.map(s => [s.name, s.webhooks, s.intervalMs]), [
+            ['bracu', ['Main', 'CSE'], 30 * 60 * 1000],
+            ['library', ['Main', 'CSE'], 60 * 60 * 1000],
+            ['cse', ['CSE'], 10 * 60 * 1000]
+        ]);
+        assert.equal(config.webhooks[1].url, 'https://discord.com/api/webhooks/2/cse');
+        // Checks run as often as the most frequently polled source
+        assert.equal(config.schedule.intervalMs, 10 * 60 * 1000);
+    });
+
+    it('falls back to one BRACU source and the WEBHOOK_URLS webhooks', () => {
+        const config = resolveConfig(null, {
+            WEBHOOK_URLS: 'https://discord.com/api/webhooks/1/a, https://discord.com/api/webhooks/2/b',
+            WEBHOOK_NAMES: 'Main'
+        });
+
+        assert.deepEqual(config.webhooks.map(w => w.name), ['Main', 'Server 2']);
+        assert.equal(config.sources.length, 1);
+        assert.equal(config.sources[0].name, DEFAULT_SOURCE_NAME);
+        assert.deepEqual(config.sources[0].webhooks, ['Main', 'Server 2']);
+    });
+
+    it('rejects bad sources and routing', () => {
+        const check = (sources, message) => assert.throws(() => resolveConfig({ webhooks, sources }, env), { message });
+
+        check([{ url: 'https://example.com/rss.xml' }], 'sources[0] is missing a name');
+        check([{ name: 'bracu' }], 'Source "bracu" is missing a url');
+        check([{ name: 'bracu', url: 'https://example.com/rss.xml', intervalMinutes: 0 }], 'Source "bracu" has an invalid intervalMinutes');
+        check([{ name: 'bracu', url: 'https://example.com/rss.xml', webhooks: 'Main' }], 'Source "bracu" webhooks must be an array of webhook names');
+        check([{ name: 'bracu', url: 'https://example.com/rss.xml', webhooks: ['Main', 'EEE'] }], 'Source "bracu" routes to unknown webhook(s): EEE');
+        check([
+            { name: 'bracu', url: 'https://example.com/a.xml' },
+            { name: 'bracu', url: 'https://example.com/b.xml' }
+        ], 'Duplicate source name: bracu');
+    });
+
+    it('rejects duplicate webhook names', () => {
+        assert.throws(() => resolveConfig({ webhooks: [webhooks[0], webhooks[0]] }, env), { message: 'Duplicate webhook name: Main' });
+    });
+});
+
+describe('loadConfig', () => {
+    const withFile = (name, text, test) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bracu-config-'));
+        try {
+            const file = path.join(dir, name);
+            fs.writeFileSync(file, text);
+            test(file);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+
+    it('reads YAML files', () => {
+        const yaml = [
+            'webhooks:',
+            '  - name: Main',
+            '    url: https://discord.com/api/webhooks/1/main',
+            'sources:',
+            '  - name: registrar',
+            '    url: https://www.bracu.ac.bd/registrar/rss.xml',
+            '    intervalMinutes: 15',
+            '    webhooks: [Main]'
+        ].join('\n');
+        withFile('bot-config.yaml', yaml, (file) => {
+            const config = loadConfig(file);
+
+            assert.deepEqual(config.sources.map(s => [s.name, s.webhooks, s.intervalMs]), [['registrar', ['Main'], 15 * 60 * 1000]]);
+        });
+    });
+
+    it('names the format in parse errors', () => {
+        withFile('bot-config.json', '{ "sources": [', (file) => {
+            assert.throws(() => loadConfig(file), { message: new RegExp(`^Could not parse config file ${file.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&')} as JSON`) });
+        });
+        withFile('bot-config.yml', 'sources: [', (file) => {
+            assert.throws(() => loadConfig(file), { message: /as YAML/ });
+        });
+    });
+});
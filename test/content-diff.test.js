@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { contentHash, contentSnapshot, describeChanges } = require('../content-diff');
+const { createRecord, applyContentUpdate } = require('../ledger');
+
+const notice = (fields = {}) => ({
+    id: 'n1',
+    title: 'Mid-Term Examination Schedule',
+    link: 'https://www.bracu.ac.bd/news/mid-term',
+    description: '<p>Exams start on 10&nbsp;March &amp; end on 20 March.</p>',
+    ...fields
+});
+
+describe('contentHash', () => {
+    it('ignores markup differences between the XML feed and rss2json', () => {
+        const fromXml = notice();
+        const fromRss2Json = notice({ description: '<div>\n  Exams start on 10 March & end on 20 March.\n</div>' });
+
+        assert.equal(contentHash(fromRss2Json), contentHash(fromXml));
+        assert.equal(contentSnapshot(fromXml).text, 'Exams start on 10 March & end on 20 March.');
+    });
+
+    it('changes when the text does', () => {
+        assert.notEqual(contentHash(notice({ description: '<p>Exams are postponed.</p>' })), contentHash(notice()));
+    });
+});
+
+describe('applyContentUpdate', () => {
+    it('reports the previous snapshot for an edited notice', () => {
+        const record = createRecord('bracu', notice(), { targets: ['Main'], skipped: [] });
+        const previous = applyContentUpdate(record, notice({ description: '<p>Exams are postponed.</p>' }));
+
+        assert.equal(previous.text, 'Exams start on 10 March & end on 20 March.');
+        assert.match(describeChanges(previous, record.content), /\+ Exams are postponed\./);
+    });
+
+    it('treats a markup-only change as no edit', () => {
+        const record = createRecord('bracu', notice(), { targets: ['Main'], skipped: [] });
+
+        assert.equal(applyContentUpdate(record, notice({ description: 'Exams start on 10 March &amp; end on 20 March.' })), null);
+        assert.equal(record.updatedAt, undefined);
+    });
+
+    it('re-baselines records hashed before the text was normalized', () => {
+        const record = createRecord('bracu', notice(), { targets: ['Main'], skipped: [] });
+        // As stored by earlier versions: tags stripped, entities kept
+        record.content.text = 'Exams start on 10&nbsp;March &amp; end on 20 March.';
+        record.contentHash = 'hash-of-the-raw-text';
+
+        assert.equal(applyContentUpdate(record, notice()), null);
+        assert.equal(record.contentHash, contentHash(notice()));
+        assert.equal(record.content.text, 'Exams start on 10 March & end on 20 March.');
+    });
+});
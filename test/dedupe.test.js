@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, notice } = require('./harness');
+
+// Each notice is posted once per webhook, whichever way the feed was fetched
+
+describe('dedupe', () => {
+    let h;
+
+    before(async () => {
+        h = await createHarness();
+    });
+    after(() => h.close());
+    beforeEach(() => h.reset());
+
+    const posted = (id) => h.discord.titles(id).sort();
+
+    it('posts nothing on a second check of the same feed', async () => {
+        h.feed.setItems([notice(1), notice(2)]);
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+        await bot.check();
+
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2']);
+        // The second fetch sent the ETag and got 304 Not Modified
+        assert.deepEqual(h.feed.requests.map(r => r.status), [200, 304]);
+    });
+
+    it('posts only the new notice when the feed grows', async () => {
+        h.feed.setItems([notice(1)]);
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+        h.feed.addItem(notice(2));
+        await bot.check();
+
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2']);
+    });
+
+    it('edits the message when a notice changes instead of posting it again', async () => {
+        h.feed.setItems([notice(1)]);
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+        h.feed.setItems([notice(1, { description: 'Exam postponed to Sunday.' })]);
+        await bot.check();
+
+        const [message] = h.discord.messages(1);
+        assert.equal(h.discord.messages(1).length, 1);
+        assert.equal(message.edits, 1);
+        assert.equal(message.embeds[0].description, 'Exam postponed to Sunday.');
+    });
+
+    it('retries an edit that failed and records the failure until then', async () => {
+        h.feed.setItems([notice(1)]);
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+
+        // Both the edit and the follow-up post fail once
+        h.discord.script(1, { status: 500 }, { status: 500 });
+        h.feed.setItems([notice(1, { description: 'Exam postponed to Sunday.' })]);
+        const check = bot.check();
+        await new Promise(resolve => setTimeout(resolve, 500));
+        assert.match(h.record(bot, notice(1)).deliveries['Server 1'].lastUpdateError, /500/);
+        await check;
+
+        const [message] = h.discord.messages(1);
+        assert.equal(h.discord.messages(1).length, 1);
+        assert.equal(message.embeds[0].description, 'Exam postponed to Sunday.');
+        assert.equal(h.record(bot, notice(1)).deliveries['Server 1'].lastUpdateError, undefined);
+    });
+
+    it('falls back to rss2json while the feed is down without posting twice', async () => {
+        h.feed.setItems([notice(1)]);
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+
+        h.feed.setStatus({ xml: 503 });
+        h.feed.addItem(notice(2));
+        await bot.check();
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2']);
+        assert.ok(h.feed.requests.some(r => r.path === '/v1/api.json' && r.status === 200));
+
+        h.feed.setStatus();
+        await bot.check();
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2']);
+    });
+
+    it('posts nothing when both the feed and rss2json are down', async () => {
+        h.feed.setItems([notice(1)]);
+        h.feed.setStatus({ xml: 503, json: 500 });
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+
+        assert.deepEqual(posted(1), []);
+        assert.equal(h.record(bot, notice(1)), null);
+    });
+});
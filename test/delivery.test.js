@@ -0,0 +1,123 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, notice } = require('./harness');
+const { sleep } = require('./harness/http');
+
+// Delivery to Discord: rate limits, deleted webhooks and slow responses.
+// Posts time out after half a second here, so a slow answer is a failure.
+
+describe('delivery', () => {
+    let h;
+
+    before(async () => {
+        h = await createHarness({ env: { DISCORD_TIMEOUT_MS: '500' } });
+    });
+    after(() => h.close());
+    beforeEach(() => h.reset());
+
+    const posted = (id) => h.discord.titles(id).sort();
+
+    it('posts every new notice to every webhook', async () => {
+        h.feed.setItems([notice(1), notice(2)]);
+        const bot = h.createBot({ webhooks: [h.webhook(1), h.webhook(2)] });
+        await bot.check();
+
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2']);
+        assert.deepEqual(posted(2), ['📢 Notice 1', '📢 Notice 2']);
+        const { deliveries } = h.record(bot, notice(1));
+        assert.equal(deliveries['Server 1'].status, 'delivered');
+        assert.equal(deliveries['Server 2'].status, 'delivered');
+        assert.equal(h.queue().jobs.length, 0);
+    });
+
+    it('waits out a 429 and then posts once', async () => {
+        h.feed.setItems([notice(1)]);
+        h.discord.script(1, { status: 429, retryAfter: 0.3 });
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+
+        const started = Date.now();
+        await bot.check();
+
+        assert.deepEqual(posted(1), ['📢 Notice 1']);
+        assert.deepEqual(h.discord.requests.map(r => r.status), [429, 200]);
+        assert.ok(Date.now() - started >= 300, 'retried before retry_after was up');
+        // A rate limit isn't a failed attempt
+        assert.equal(h.record(bot, notice(1)).deliveries['Server 1'].attempts, 1);
+    });
+
+    it('leaves a job for the next cycle when the rate limit keeps coming back', async () => {
+        h.feed.setItems([notice(1)]);
+        const rateLimited = { status: 429, retryAfter: 0 };
+        h.discord.script(1, rateLimited, rateLimited, rateLimited, rateLimited);
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+
+        // The first try and three retries, at least a second apart
+        assert.deepEqual(h.discord.requests.map(r => r.status), [429, 429, 429, 429]);
+        assert.equal(h.queue().jobs.length, 1);
+        assert.equal(h.record(bot, notice(1)).deliveries['Server 1'].status, 'queued');
+
+        await sleep(1000);
+        await bot.check();
+        assert.deepEqual(posted(1), ['📢 Notice 1']);
+        assert.equal(h.queue().jobs.length, 0);
+    });
+
+    it('dead-letters posts to a deleted webhook without holding up the others', async () => {
+        h.feed.setItems([notice(1), notice(2)]);
+        h.discord.remove(2);
+        const bot = h.createBot({ webhooks: [h.webhook(1), h.webhook(2)] });
+        await bot.check();
+
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2']);
+        assert.deepEqual(posted(2), []);
+        const { deliveries } = h.record(bot, notice(1));
+        assert.equal(deliveries['Server 1'].status, 'delivered');
+        assert.equal(deliveries['Server 2'].status, 'dead');
+
+        const queue = h.queue();
+        assert.equal(queue.jobs.length, 0);
+        assert.deepEqual(queue.deadLetters.map(j => j.destination), ['Server 2', 'Server 2']);
+    });
+
+    it('retries a post that timed out', async () => {
+        h.feed.setItems([notice(1)]);
+        h.discord.script(1, { delayMs: 1500 });
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+
+        assert.deepEqual(h.discord.requests.map(r => r.status), ['dropped', 200]);
+        assert.deepEqual(posted(1), ['📢 Notice 1']);
+        const delivery = h.record(bot, notice(1)).deliveries['Server 1'];
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.attempts, 2);
+    });
+
+    it('retries server errors and records the failed attempt', async () => {
+        h.feed.setItems([notice(1)]);
+        h.discord.script(1, { status: 502 });
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+
+        assert.deepEqual(h.discord.requests.map(r => r.status), [502, 200]);
+        assert.deepEqual(posted(1), ['📢 Notice 1']);
+        assert.equal(h.record(bot, notice(1)).deliveries['Server 1'].attempts, 2);
+    });
+
+    it('holds DM alerts until a notice is delivered, and sends none for the first import', async () => {
+        h.feed.setItems([notice(1)]);
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+        assert.equal(h.record(bot, notice(1)).alertPending, undefined);
+
+        h.feed.addItem(notice(2));
+        h.discord.script(1, { status: 404 });
+        await bot.check();
+        assert.equal(h.record(bot, notice(2)).deliveries['Server 1'].status, 'dead');
+        assert.equal(h.record(bot, notice(2)).alertPending, true);
+
+        await bot.resend({ id: notice(2).guid });
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2']);
+        assert.equal(h.record(bot, notice(2)).alertPending, undefined);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDigestSchedule, previousRun, nextRun } = require('../schedule');
+const { loadDigestState, saveDigestState, closedWindows, nextDigests } = require('../digest');
+
+// Digest cutoffs are Dhaka times (UTC+6 all year)
+
+const daily = (at) => ({ name: 'Daily', digest: parseDigestSchedule(at ? { every: 'day', at } : 'daily') });
+const weekly = (on, at) => ({ name: 'Weekly', digest: parseDigestSchedule(on ? { every: 'week', on, at } : 'weekly') });
+const utc = (text) => new Date(text);
+
+describe('digest cutoffs', () => {
+    it('closes a daily digest at 20:00 Dhaka time', () => {
+        const { digest } = daily();
+
+        assert.deepEqual(previousRun(digest, utc('2025-03-05T13:59:00Z')), utc('2025-03-04T14:00:00Z'));
+        assert.deepEqual(previousRun(digest, utc('2025-03-05T14:00:00Z')), utc('2025-03-05T14:00:00Z'));
+        assert.deepEqual(nextRun(digest, utc('2025-03-05T13:59:00Z')), utc('2025-03-05T14:00:00Z'));
+    });
+
+    it('counts days in Dhaka, not UTC, around midnight', () => {
+        const { digest } = daily('01:00');
+
+        // 00:30 on 6 March in Dhaka is still 5 March in UTC
+        assert.deepEqual(previousRun(digest, utc('2025-03-05T18:30:00Z')), utc('2025-03-04T19:00:00Z'));
+        assert.deepEqual(previousRun(digest, utc('2025-03-05T19:00:00Z')), utc('2025-03-05T19:00:00Z'));
+    });
+
+    it('closes a weekly digest on Friday at 20:00 Dhaka time', () => {
+        const { digest } = weekly();
+
+        // 7 March 2025 is a Friday
+        assert.deepEqual(previousRun(digest, utc('2025-03-07T13:59:00Z')), utc('2025-02-28T14:00:00Z'));
+        assert.deepEqual(previousRun(digest, utc('2025-03-07T14:00:00Z')), utc('2025-03-07T14:00:00Z'));
+        assert.deepEqual(nextRun(digest, utc('2025-03-07T14:00:00Z')), utc('2025-03-14T14:00:00Z'));
+    });
+
+    it('takes the weekday in Dhaka time', () => {
+        const { digest } = weekly('saturday', '02:00');
+
+        // Saturday 02:00 in Dhaka is Friday 20:00 UTC
+        assert.deepEqual(previousRun(digest, utc('2025-03-07T19:59:00Z')), utc('2025-02-28T20:00:00Z'));
+        assert.deepEqual(previousRun(digest, utc('2025-03-07T20:00:00Z')), utc('2025-03-07T20:00:00Z'));
+    });
+});
+
+describe('closedWindows', () => {
+    it('starts a new destination with the open window', () => {
+        const state = { destinations: {} };
+
+        assert.deepEqual(closedWindows([daily()], state, utc('2025-03-05T15:00:00Z')), []);
+        assert.deepEqual(state.destinations, { Daily: { lastDigestAt: '2025-03-05T14:00:00.000Z' } });
+    });
+
+    it('returns each window once, after its cutoff', () => {
+        const destination = daily();
+        const state = { destinations: { Daily: { lastDigestAt: '2025-03-04T14:00:00.000Z' } } };
+
+        assert.deepEqual(closedWindows([destination], state, utc('2025-03-05T13:59:00Z')), []);
+        assert.deepEqual(closedWindows([destination], state, utc('2025-03-05T14:00:00Z')), [
+            { destination, from: utc('2025-03-04T14:00:00Z'), to: utc('2025-03-05T14:00:00Z') }
+        ]);
+        assert.deepEqual(closedWindows([destination], state, utc('2025-03-05T14:05:00Z')), []);
+    });
+
+    it('covers the days it missed in one window', () => {
+        const destination = daily();
+        const state = { destinations: { Daily: { lastDigestAt: '2025-03-01T14:00:00.000Z' } } };
+
+        const [window] = closedWindows([destination], state, utc('2025-03-05T15:00:00Z'));
+
+        assert.deepEqual([window.from, window.to], [utc('2025-03-01T14:00:00Z'), utc('2025-03-05T14:00:00Z')]);
+    });
+
+    it('ignores destinations without a digest', () => {
+        const state = { destinations: {} };
+
+        assert.deepEqual(closedWindows([{ name: 'Main', digest: null }], state), []);
+        assert.deepEqual(nextDigests([{ name: 'Main', digest: null }, weekly()], utc('2025-03-05T15:00:00Z')), [
+            { name: 'Weekly', at: utc('2025-03-07T14:00:00Z') }
+        ]);
+    });
+});
+
+describe('digest state file', () => {
+    it('survives a restart and starts over when unreadable', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-test-'));
+        const file = path.join(dir, 'digest-state.json');
+
+        assert.deepEqual(loadDigestState(file), { destinations: {} });
+        saveDigestState({ destinations: { Daily: { lastDigestAt: '2025-03-05T14:00:00.000Z' } } }, file);
+        assert.deepEqual(loadDigestState(file), { destinations: { Daily: { lastDigestAt: '2025-03-05T14:00:00.000Z' } } });
+
+        fs.writeFileSync(file, '{ "destinations":');
+        assert.deepEqual(loadDigestState(file), { destinations: {} });
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
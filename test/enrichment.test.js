@@ -0,0 +1,42 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, notice } = require('./harness');
+const { listen } = require('./harness/http');
+
+// Enrichment end to end: the bot against a stand-in for the notice pages
+
+describe('enrichment', () => {
+    let h;
+    let pages;
+    const body = new Map();
+
+    before(async () => {
+        h = await createHarness({ env: { ENRICH_NOTICES: 'true' } });
+        pages = await listen((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<html><body><div class="field--name-body"><p>${body.get(req.url)}</p></div></body></html>`);
+        });
+    });
+    after(async () => {
+        await pages.close();
+        await h.close();
+    });
+    beforeEach(() => h.reset());
+
+    it('updates an edited notice with the page as it is after the edit', async () => {
+        const link = `${pages.url}/news/notice-1`;
+        body.set('/news/notice-1', 'Mid-term exams start on Sunday.');
+        h.feed.setItems([notice(1, { guid: link, link })]);
+        const bot = h.createBot({ webhooks: [h.webhook(1)] });
+        await bot.check();
+
+        body.set('/news/notice-1', 'Mid-term exams are postponed to next week.');
+        h.feed.setItems([notice(1, { guid: link, link, description: 'Postponed.' })]);
+        await bot.check();
+
+        const [message] = h.discord.messages(1);
+        assert.equal(message.edits, 1);
+        assert.match(message.embeds[0].description, /postponed to next week/);
+        assert.match(h.record(bot, { guid: link }).details.summary, /postponed to next week/);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { listen, sendJson } = require('./harness/http');
+const { fetchFeed, feedCache } = require('../feed-fetcher');
+
+// Conditional requests and the rss2json fallback, against a local server
+// serving the saved feeds
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', name), 'utf8');
+
+describe('fetchFeed', () => {
+    let server;
+    let body = fixture('bracu-rss.xml');
+    let down = false;
+    const requests = [];
+
+    before(async () => {
+        server = await listen((req, res) => {
+            const etag = `"${body.length}"`;
+            const lastModified = 'Sun, 02 Mar 2025 04:30:00 GMT';
+            requests.push({ path: req.url, ifNoneMatch: req.headers['if-none-match'], ifModifiedSince: req.headers['if-modified-since'] });
+            if (req.url.startsWith('/api.json')) {
+                return sendJson(res, 200, { status: 'ok', items: [{ guid: 'g1', title: 'From rss2json', link: 'https://www.bracu.ac.bd/news/g1' }] });
+            }
+            if (down) {
+                res.writeHead(503);
+                return res.end();
+            }
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304, { ETag: etag });
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: etag, 'Last-Modified': lastModified });
+            res.end(body);
+        });
+    });
+    after(() => server.close());
+
+    it('sends ETag and Last-Modified back and reuses the items on 304', async () => {
+        const url = `${server.url}/rss.xml`;
+        const first = await fetchFeed(url, { fallbackUrl: null });
+        const second = await fetchFeed(url, { fallbackUrl: null });
+
+        assert.equal(first.length, 3);
+        assert.deepEqual(second, first);
+        assert.equal(requests[1].ifNoneMatch, `"${body.length}"`);
+        assert.equal(requests[1].ifModifiedSince, 'Sun, 02 Mar 2025 04:30:00 GMT');
+
+        // A changed feed is parsed again
+        body = fixture('bracu-atom.xml');
+        const third = await fetchFeed(url, { fallbackUrl: null });
+        assert.equal(third[0].title, 'Course Advising & Registration, Summer 2025');
+        feedCache.clear();
+    });
+
+    it('falls back to rss2json when the feed is down', async () => {
+        down = true;
+        const items = await fetchFeed(`${server.url}/rss.xml`, { fallbackUrl: `${server.url}/api.json` });
+        down = false;
+
+        assert.deepEqual(items.map(i => [i.id, i.title]), [['g1', 'From rss2json']]);
+    });
+
+    it('fails without a fallback', async () => {
+        down = true;
+        await assert.rejects(fetchFeed(`${server.url}/rss.xml`, { fallbackUrl: null }), /RSS feed error: 503/);
+        down = false;
+    });
+});
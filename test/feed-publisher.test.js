@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calendarEvents, renderCalendar, extractEventDates, selectEntries } = require('../feed-publisher');
+
+const entry = (fields = {}) => ({
+    id: 'n1',
+    source: 'bracu',
+    title: 'Mid-Term Examination Schedule',
+    link: 'https://www.bracu.ac.bd/news/mid-term',
+    published: new Date('2025-03-02T04:30:00Z'),
+    updated: new Date('2025-03-02T04:30:00Z'),
+    summary: 'Exams are held in UB2.',
+    categories: ['exam'],
+    ...fields
+});
+
+describe('extractEventDates', () => {
+    it('reads day-first dates and ranges, taking a missing year from the notice', () => {
+        assert.deepEqual(extractEventDates('Mid-term exams 10-20 March', new Date('2025-03-02T04:30:00Z')), [
+            { start: '2025-03-10', end: '2025-03-20' }
+        ]);
+        assert.deepEqual(extractEventDates('Advising on May 4, 2025 and 12/05/2025'), [
+            { start: '2025-05-04', end: '2025-05-04' },
+            { start: '2025-05-12', end: '2025-05-12' }
+        ]);
+    });
+});
+
+describe('calendarEvents', () => {
+    it('makes an all-day event per date range in the title', () => {
+        const [event] = calendarEvents([entry({ title: 'Final Exam schedule, 12-20 May 2025 (Spring 2025)' })]);
+
+        assert.equal(event.start, '2025-05-12');
+        assert.equal(event.end, '2025-05-20');
+        assert.equal(event.description, 'Term: Spring 2025\n\nExams are held in UB2.\n\nhttps://www.bracu.ac.bd/news/mid-term');
+    });
+
+    it('puts notices without a date in the title on the day they were published', () => {
+        const entries = [entry({ title: 'Final Exam schedule for Spring 2025', published: new Date('2025-03-02T20:00:00Z') })];
+        const [event] = calendarEvents(entries);
+
+        // 2 March 20:00 UTC is 3 March in Dhaka
+        assert.equal(event.start, '2025-03-03');
+        assert.equal(event.end, '2025-03-03');
+        assert.equal(event.dated, false);
+        assert.equal(event.summary, 'Announced: Final Exam schedule for Spring 2025');
+        assert.match(event.description, /^The notice gives no date; this is the day it was published\.\n\nTerm: Spring 2025\n\n/);
+        assert.match(renderCalendar(entries), /DTSTART;VALUE=DATE:20250303\r\nDTEND;VALUE=DATE:20250304\r\nSUMMARY:Announced: Final Exam/);
+    });
+
+    it('leaves out categories that are not on the calendar', () => {
+        assert.deepEqual(calendarEvents([entry({ title: 'Convocation on 12 June 2025', categories: ['event'] })]), []);
+    });
+});
+
+describe('selectEntries', () => {
+    const record = (n, categories) => ({
+        id: `notice-${n}`,
+        source: 'bracu',
+        title: `Notice ${n}`,
+        pubDate: new Date(Date.UTC(2025, 2, n)).toUTCString(),
+        details: { summary: '', attachments: [], image: null, categories },
+        deliveries: {}
+    });
+
+    it('applies the limit to calendar notices only for the calendar', () => {
+        const ledger = {
+            version: 2,
+            announcements: [record(1, ['exam']), record(2, ['registration']), record(3, ['result']), record(4, ['event'])]
+        };
+
+        assert.deepEqual(selectEntries(ledger, { limit: 2 }).map(e => e.id), ['notice-4', 'notice-3']);
+        assert.deepEqual(selectEntries(ledger, { limit: 2, calendar: true }).map(e => e.id), ['notice-2', 'notice-1']);
+        assert.deepEqual(selectEntries(ledger, { limit: 2, calendar: true, categories: ['exam', 'result'] }).map(e => e.id), ['notice-1']);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectCategories, compileFilter, passesFilter, compileUrgency, isUrgent } = require('../filters');
+
+const notice = (title, description = '') => ({ title, description });
+
+describe('detectCategories', () => {
+    it('finds every category in the title and text', () => {
+        assert.deepEqual(detectCategories(notice('Mid-Term Exam Schedule', '<p>Results of the quiz are out.</p>')), ['exam', 'result']);
+        assert.deepEqual(detectCategories(notice('Library opening hours')), []);
+    });
+});
+
+describe('passesFilter', () => {
+    it('accepts everything without a filter', () => {
+        assert.equal(compileFilter(undefined), null);
+        assert.equal(passesFilter(null, notice('Anything')), true);
+    });
+
+    it('needs an include match and no exclude match', () => {
+        const filter = compileFilter({
+            include: { keywords: ['CSE'], categories: ['exam'] },
+            exclude: { regex: ['\\bLLB\\b'] }
+        });
+
+        assert.equal(passesFilter(filter, notice('CSE department seminar')), true);
+        assert.equal(passesFilter(filter, notice('Final exam routine')), true);
+        assert.equal(passesFilter(filter, notice('Final exam routine for LLB')), false);
+        assert.equal(passesFilter(filter, notice('Convocation 2025')), false);
+    });
+
+    it('matches regex entries against the field they name', () => {
+        const filter = compileFilter({ include: { regex: [{ pattern: 'postponed', field: 'description' }] } });
+
+        assert.equal(passesFilter(filter, notice('Exam update', '<p>The exam is postponed.</p>')), true);
+        assert.equal(passesFilter(filter, notice('Exam postponed', '<p>See the new date.</p>')), false);
+    });
+
+    it('gives the same answer every time for global and sticky flags', () => {
+        const filter = compileFilter({ include: { regex: [{ pattern: 'cse', flags: 'gigy' }] } });
+        const cse = notice('CSE seminar');
+
+        assert.deepEqual([1, 2, 3].map(() => passesFilter(filter, cse)), [true, true, true]);
+    });
+});
+
+describe('compileFilter', () => {
+    it('rejects rule lists that are not lists', () => {
+        assert.throws(() => compileFilter({ include: { keywords: 'CSE' } }, 'Webhook "CSE" filter'),
+            { message: 'Webhook "CSE" filter.include.keywords must be a list' });
+        assert.throws(() => compileFilter({ exclude: { categories: 'exam' } }, 'Webhook "CSE" filter'),
+            { message: 'Webhook "CSE" filter.exclude.categories must be a list' });
+        assert.throws(() => compileFilter({ include: { regex: '\\bCSE\\b' } }), { message: 'filter.include.regex must be a list' });
+    });
+
+    it('rejects unknown categories, fields and bad patterns', () => {
+        assert.throws(() => compileFilter({ include: { categories: ['sports'] } }), { message: /unknown category sports/ });
+        assert.throws(() => compileFilter({ include: { regex: [{ pattern: 'x', field: 'body' }] } }), { message: /regex field must be/ });
+        assert.throws(() => compileFilter({ include: { regex: ['('] } }), { message: /invalid regex \/\(\// });
+        assert.throws(() => compileFilter({ include: { regex: [{ pattern: 'x', flags: 1 }] } }), { message: /regex flags must be a string/ });
+    });
+});
+
+describe('isUrgent', () => {
+    it('uses the default rules on titles only', () => {
+        const urgency = compileUrgency(undefined, []);
+
+        assert.equal(isUrgent(urgency, notice('Classes suspended tomorrow')), true);
+        assert.equal(isUrgent(urgency, notice('Course advising', 'Deadline is Friday.')), false);
+    });
+});
@@ -0,0 +1,227 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGitHubSync, mergeLedgers } = require('../github-sync');
+const { createRecord } = require('../ledger');
+const jsonStorage = require('../storage/json');
+
+// The sync against a mocked Octokit: just the three calls github-sync.js makes
+
+const record = (n, deliveries = { Main: { status: 'delivered', attempts: 1 } }) => ({
+    ...createRecord('bracu', { id: `notice-${n}`, title: `Notice ${n}`, link: `https://www.bracu.ac.bd/news/notice-${n}` }, { targets: [], skipped: [] }),
+    firstSeenAt: '2025-03-01T00:00:00.000Z',
+    deliveries
+});
+const ledger = (...announcements) => ({ version: 2, announcements });
+const ids = (l) => l.announcements.map(r => r.id);
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// A repository holding one file. failNext(status) fails the next call;
+// racePut(data) commits data just before the next push, like another instance.
+function mockOctokit(initial = null) {
+    let version = 0;
+    let file = null;
+    let failure = null;
+    let race = null;
+    const calls = [];
+    const commit = (data) => {
+        file = { sha: `sha-${++version}`, text: JSON.stringify(data) };
+        return file.sha;
+    };
+    if (initial) commit(initial);
+
+    const call = (name) => {
+        calls.push(name);
+        if (failure) {
+            const error = failure;
+            failure = null;
+            throw error;
+        }
+    };
+
+    return {
+        calls,
+        remote: () => (file ? JSON.parse(file.text) : null),
+        commit,
+        failNext: (status) => { failure = httpError(status, `Mock failure ${status}`); },
+        racePut: (data) => { race = data; },
+        repos: {
+            async getContent() {
+                call('getContent');
+                if (!file) throw httpError(404, 'Not Found');
+                return { data: { sha: file.sha, encoding: 'base64', content: Buffer.from(file.text).toString('base64') } };
+            },
+            async createOrUpdateFileContents({ content, sha }) {
+                call('createOrUpdateFileContents');
+                if (race) {
+                    commit(race);
+                    race = null;
+                }
+                if (file && sha !== file.sha) throw httpError(409, 'does not match');
+                const newSha = commit(JSON.parse(Buffer.from(content, 'base64').toString('utf8')));
+                return { data: { content: { sha: newSha }, commit: { sha: `commit-${newSha}` } } };
+            }
+        },
+        git: {
+            async getBlob() {
+                throw new Error('not used');
+            }
+        }
+    };
+}
+
+// A sync over an in-memory local database
+function setup(octokit, local = ledger()) {
+    const db = { ledger: local };
+    const sync = createGitHubSync({
+        octokit,
+        owner: 'bracu',
+        repo: 'announcement-bot',
+        path: 'bracu-announcements.json',
+        defaultSource: 'bracu',
+        loadPosted: () => db.ledger,
+        savePosted: (l) => { db.ledger = l; }
+    });
+    return { db, sync };
+}
+
+describe('mergeLedgers', () => {
+    it('keeps additions from both sides and drops records pruned on one side', () => {
+        const base = ledger(record(1), record(2));
+        const local = ledger(record(1), record(2), record(3));
+        const remote = ledger(record(2), record(4));
+
+        const { ledger: merged, stats } = mergeLedgers(base, local, remote);
+
+        assert.deepEqual(ids(merged), ['notice-2', 'notice-3', 'notice-4']);
+        assert.deepEqual(stats, { added: 1, updated: 0, removed: 1 });
+    });
+
+    it('resolves a delivery changed on both sides in favour of the further status', () => {
+        const base = ledger(record(1, { Main: { status: 'queued', attempts: 0 } }));
+        const local = ledger(record(1, { Main: { status: 'failed', attempts: 2 } }));
+        const remote = ledger(record(1, { Main: { status: 'delivered', attempts: 1, messageId: 'm1' } }));
+
+        const { ledger: merged } = mergeLedgers(base, local, remote);
+
+        assert.deepEqual(merged.announcements[0].deliveries.Main, { status: 'delivered', attempts: 1, messageId: 'm1' });
+    });
+
+    it('merges /subscribe keywords per user', () => {
+        const base = { ...ledger(), subscriptions: { u1: ['exam'], u2: ['cse'] } };
+        const local = { ...ledger(), subscriptions: { u1: ['exam', 'result'], u2: ['cse'] } };
+        const remote = { ...ledger(), subscriptions: { u1: ['exam'], u3: ['holiday'] } };
+
+        const { ledger: merged } = mergeLedgers(base, local, remote);
+
+        assert.deepEqual(merged.subscriptions, { u1: ['exam', 'result'], u3: ['holiday'] });
+    });
+
+    it('deletes nothing without a base', () => {
+        const { ledger: merged } = mergeLedgers(null, ledger(record(1)), ledger(record(2)));
+
+        assert.deepEqual(ids(merged), ['notice-1', 'notice-2']);
+    });
+});
+
+describe('hydrate', () => {
+    it('restores the GitHub copy into an empty local database', async () => {
+        const octokit = mockOctokit(ledger(record(1), record(2)));
+        const { db, sync } = setup(octokit);
+
+        assert.deepEqual(await sync.hydrate(), { ok: true, restored: true });
+        assert.deepEqual(ids(db.ledger), ['notice-1', 'notice-2']);
+    });
+
+    it('starts fresh when the repository has no copy yet', async () => {
+        const { db, sync } = setup(mockOctokit());
+
+        assert.deepEqual(await sync.hydrate(), { ok: true, restored: false });
+        assert.deepEqual(db.ledger, ledger());
+    });
+
+    it('reports a failure instead of throwing', async () => {
+        const octokit = mockOctokit(ledger(record(1)));
+        octokit.failNext(503);
+        const { db, sync } = setup(octokit);
+
+        const result = await sync.hydrate();
+
+        assert.equal(result.ok, false);
+        assert.equal(result.error.status, 503);
+        assert.deepEqual(db.ledger, ledger());
+    });
+});
+
+describe('sync', () => {
+    it('pushes the local database and then finds it up to date', async () => {
+        const octokit = mockOctokit();
+        const { sync } = setup(octokit, ledger(record(1)));
+
+        assert.deepEqual(await sync.sync(), { ok: true, pushed: true });
+        assert.deepEqual(ids(octokit.remote()), ['notice-1']);
+        assert.deepEqual(await sync.sync(), { ok: true, pushed: false });
+    });
+
+    it('merges a concurrent commit and pushes again after a 409', async () => {
+        const octokit = mockOctokit(ledger(record(1)));
+        const { db, sync } = setup(octokit);
+        await sync.hydrate();
+        db.ledger = ledger(...db.ledger.announcements, record(2));
+
+        octokit.racePut(ledger(record(1), record(3)));
+        assert.deepEqual(await sync.sync(), { ok: true, pushed: true });
+
+        assert.deepEqual(octokit.calls, ['getContent', 'getContent', 'createOrUpdateFileContents', 'getContent', 'createOrUpdateFileContents']);
+        assert.deepEqual(ids(octokit.remote()), ['notice-1', 'notice-2', 'notice-3']);
+        assert.deepEqual(ids(db.ledger), ['notice-1', 'notice-2', 'notice-3']);
+    });
+
+    it('gives up after repeated conflicts', async () => {
+        const octokit = mockOctokit(ledger(record(1)));
+        const { sync } = setup(octokit, ledger(record(1), record(2)));
+        // Every push loses the race
+        octokit.repos.createOrUpdateFileContents = async () => {
+            octokit.calls.push('createOrUpdateFileContents');
+            throw httpError(409, 'does not match');
+        };
+
+        const result = await sync.sync();
+
+        assert.equal(result.ok, false);
+        assert.equal(octokit.calls.filter(c => c === 'createOrUpdateFileContents').length, 3);
+    });
+});
+
+describe('sync with the JSON storage', () => {
+    it('keeps records added after a push when merging a concurrent commit', async (t) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bracu-sync-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const store = jsonStorage.create({ file: path.join(dir, 'db.json'), defaultSource: 'bracu' });
+        store.put(record(1));
+
+        const octokit = mockOctokit();
+        const sync = createGitHubSync({
+            octokit,
+            owner: 'bracu',
+            repo: 'announcement-bot',
+            path: 'bracu-announcements.json',
+            defaultSource: 'bracu',
+            // The store's live ledger, which put() keeps changing
+            loadPosted: store.load,
+            savePosted: store.save
+        });
+        await sync.sync();
+
+        // A new notice here, and another instance's commit on GitHub
+        store.put(record(2));
+        octokit.commit(ledger(record(1), record(3)));
+        assert.deepEqual(await sync.sync(), { ok: true, pushed: true });
+
+        assert.deepEqual(ids(store.load()), ['notice-1', 'notice-2', 'notice-3']);
+        assert.deepEqual(ids(octokit.remote()), ['notice-1', 'notice-2', 'notice-3']);
+    });
+});
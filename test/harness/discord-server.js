@@ -0,0 +1,115 @@
+const { listen, sendJson, sleep } = require('./http');
+
+// Stand-in for Discord's webhook API, at <url>/api (set DISCORD_API_URL to
+// apiUrl):
+//
+//   POST  /api/webhooks/:id/:token?wait=true          post a message
+//   PATCH /api/webhooks/:id/:token/messages/:message  edit one
+//   GET   /api/webhooks/:id/:token                    the webhook itself
+//
+// Every webhook ID works until remove(id), after which it answers 404 like
+// a deleted webhook. script(id, ...responses) queues one-off responses for
+// the next requests to a webhook, used in order:
+//
+//   { status: 429, retryAfter: 0.2 }    rate limited (retry_after in seconds)
+//   { status: 500 }                     any other error status
+//   { delayMs: 1500 }                   answer normally, but late
+//
+// A request whose client gave up before a delayed answer was sent is dropped
+// without posting, like one that never reached Discord.
+
+async function createFakeDiscord() {
+    // webhook ID -> messages posted to it, edits applied in place
+    const messages = new Map();
+    const scripts = new Map();
+    const removed = new Set();
+    // { method, webhookId, path, status }, in order
+    const requests = [];
+    let nextMessageId = 1000;
+
+    const server = await listen(async (req, res, body) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = /^\/api\/webhooks\/(\d+)\/([\w-]+)(\/messages\/(\d+))?$/.exec(url.pathname);
+        if (!match) {
+            return sendJson(res, 404, { message: '404: Not Found', code: 0 });
+        }
+        const [, webhookId, , , messageId] = match;
+        const request = { method: req.method, webhookId, path: url.pathname, status: null };
+        requests.push(request);
+
+        const respond = (status, data, headers) => {
+            request.status = status;
+            sendJson(res, status, data, headers);
+        };
+
+        const scripted = (scripts.get(webhookId) || []).shift() || {};
+        if (scripted.delayMs) {
+            let gone = false;
+            res.on('close', () => gone = !res.writableFinished);
+            await sleep(scripted.delayMs);
+            if (gone) {
+                request.status = 'dropped';
+                return;
+            }
+        }
+        if (removed.has(webhookId)) {
+            return respond(404, { message: 'Unknown Webhook', code: 10015 });
+        }
+        if (scripted.status === 429) {
+            return respond(429, { message: 'You are being rate limited.', retry_after: scripted.retryAfter, global: false },
+                { 'Retry-After': String(Math.ceil(scripted.retryAfter)) });
+        }
+        if (scripted.status) {
+            return respond(scripted.status, { message: scripted.message || `Error ${scripted.status}`, code: 0 });
+        }
+
+        const posted = messages.get(webhookId) || [];
+        messages.set(webhookId, posted);
+
+        if (req.method === 'GET' && !messageId) {
+            return respond(200, { id: webhookId, type: 1, name: `Webhook ${webhookId}`, channel_id: '1' });
+        }
+        if (req.method === 'POST' && !messageId) {
+            const message = { id: String(nextMessageId++), ...JSON.parse(body), edits: 0 };
+            posted.push(message);
+            return respond(200, { ...message, channel_id: '1' });
+        }
+        if (req.method === 'PATCH' && messageId) {
+            const message = posted.find(m => m.id === messageId);
+            if (!message) {
+                return respond(404, { message: 'Unknown Message', code: 10008 });
+            }
+            Object.assign(message, JSON.parse(body), { edits: message.edits + 1 });
+            return respond(200, { ...message, channel_id: '1' });
+        }
+        respond(405, { message: '405: Method Not Allowed', code: 0 });
+    });
+
+    return {
+        apiUrl: `${server.url}/api`,
+        requests,
+        // A webhook URL for the config; only the ID and token are used
+        webhookUrl: (id) => `${server.url}/api/webhooks/${id}/token-${id}`,
+        // Messages currently in the webhook's channel
+        messages: (id) => messages.get(String(id)) || [],
+        // Embed titles of those messages, handy for assertions
+        titles: (id) => (messages.get(String(id)) || []).map(m => m.embeds && m.embeds[0] && m.embeds[0].title),
+        script(id, ...responses) {
+            scripts.set(String(id), [...(scripts.get(String(id)) || []), ...responses]);
+        },
+        remove(id) {
+            removed.add(String(id));
+        },
+        reset() {
+            messages.clear();
+            scripts.clear();
+            removed.clear();
+            requests.length = 0;
+        },
+        close: server.close
+    };
+}
+
+module.exports = {
+    createFakeDiscord
+};
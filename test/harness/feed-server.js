@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { listen, sendJson } = require('./http');
+
+// Stand-in for the BRACU RSS feed and the rss2json proxy:
+//
+//   GET /rss.xml                     the notices as RSS, with an ETag
+//   GET /v1/api.json?rss_url=...     the same notices the way rss2json returns them
+//
+// Point a source's url at feedUrl and RSS2JSON_API_URL at rss2jsonUrl.
+// setStatus({ xml: 503 }) makes an endpoint answer with an error status.
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// A notice as it appears in the feed; fields can be overridden
+function notice(n, fields = {}) {
+    const link = `https://www.bracu.ac.bd/news/notice-${n}`;
+    return {
+        guid: link,
+        title: `Notice ${n}`,
+        link,
+        pubDate: new Date(Date.UTC(2025, 0, 1, 10, n)).toUTCString(),
+        description: `Details of notice ${n}.`,
+        ...fields
+    };
+}
+
+function renderRss(items) {
+    const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid>${escapeXml(item.guid)}</guid>
+      <pubDate>${escapeXml(item.pubDate)}</pubDate>
+      <description>${escapeXml(item.description)}</description>
+    </item>`);
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>BRAC University</title>
+    <link>https://www.bracu.ac.bd/</link>
+${entries.join('\n')}
+  </channel>
+</rss>`;
+}
+
+async function createFakeFeed({ items = [] } = {}) {
+    let notices = [...items];
+    let status = { xml: 200, json: 200 };
+    // { method, path, status }, in order
+    const requests = [];
+
+    const server = await listen((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const request = { method: req.method, path: url.pathname, status: null };
+        requests.push(request);
+
+        if (url.pathname === '/rss.xml') {
+            if (status.xml !== 200) {
+                request.status = status.xml;
+                res.writeHead(status.xml);
+                return res.end('Service Unavailable');
+            }
+            const body = renderRss(notices);
+            const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+            request.status = req.headers['if-none-match'] === etag ? 304 : 200;
+            if (request.status === 304) {
+                res.writeHead(304, { ETag: etag });
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: etag });
+            return res.end(body);
+        }
+
+        if (url.pathname === '/v1/api.json') {
+            request.status = status.json;
+            if (status.json !== 200) {
+                return sendJson(res, status.json, { status: 'error', message: 'Unavailable' });
+            }
+            return sendJson(res, 200, {
+                status: 'ok',
+                feed: { url: url.searchParams.get('rss_url'), title: 'BRAC University' },
+                items: notices.map(item => ({ ...item, content: item.description }))
+            });
+        }
+
+        sendJson(res, 404, { message: 'Not Found' });
+    });
+
+    return {
+        feedUrl: `${server.url}/rss.xml`,
+        rss2jsonUrl: `${server.url}/v1/api.json`,
+        requests,
+        setItems(items) {
+            notices = [...items];
+        },
+        addItem(item) {
+            notices.unshift(item);
+        },
+        // Statuses for the endpoints, e.g. { xml: 503 }; left out means 200
+        setStatus({ xml = 200, json = 200 } = {}) {
+            status = { xml, json };
+        },
+        reset() {
+            notices = [];
+            status = { xml: 200, json: 200 };
+            requests.length = 0;
+        },
+        close: server.close
+    };
+}
+
+module.exports = {
+    notice,
+    createFakeFeed
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { listen, sendJson } = require('./http');
+
+// Stand-in for the parts of the GitHub contents API that github-sync.js
+// uses (set GITHUB_API_URL to url):
+//
+//   GET /repos/:owner/:repo/contents/:path    the file, base64 encoded, with its SHA
+//   PUT /repos/:owner/:repo/contents/:path    create or update it
+//
+// Like GitHub, a PUT must carry the SHA of the file it replaces: a stale one
+// gets 409 and a missing one (for an existing file) 422. Any owner, repo or
+// branch is accepted. raceNextPut() commits a file just before the next PUT
+// to it, as if another instance had pushed in between; failNext() makes the
+// next requests fail, as during a GitHub outage.
+
+const blobSha = (text) => crypto.createHash('sha1').update(`blob ${Buffer.byteLength(text)}\0${text}`).digest('hex');
+
+async function createFakeGitHub() {
+    // path -> { sha, text }
+    const files = new Map();
+    // { path, message, sha }, oldest first
+    const commits = [];
+    // { method, path, status }, in order
+    const requests = [];
+    // path -> data committed before the next PUT to it
+    const races = new Map();
+    // Requests still to fail, and how
+    let failures = { count: 0, status: 503 };
+
+    function write(path, text, message) {
+        const sha = blobSha(text);
+        files.set(path, { sha, text });
+        commits.push({ path, message, sha });
+        return sha;
+    }
+
+    const server = await listen((req, res, body) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = /^\/repos\/[^/]+\/[^/]+\/contents\/(.+)$/.exec(url.pathname);
+        const request = { method: req.method, path: url.pathname, status: null };
+        requests.push(request);
+        const respond = (status, data) => {
+            request.status = status;
+            sendJson(res, status, data);
+        };
+        if (failures.count > 0) {
+            failures.count--;
+            return respond(failures.status, { message: 'Service Unavailable' });
+        }
+        if (!match) {
+            return respond(404, { message: 'Not Found' });
+        }
+        const path = decodeURIComponent(match[1]);
+
+        if (req.method === 'GET') {
+            const file = files.get(path);
+            if (!file) {
+                return respond(404, { message: 'Not Found' });
+            }
+            return respond(200, {
+                type: 'file',
+                name: path.split('/').pop(),
+                path,
+                sha: file.sha,
+                encoding: 'base64',
+                content: Buffer.from(file.text).toString('base64')
+            });
+        }
+
+        if (req.method === 'PUT' && races.has(path)) {
+            write(path, JSON.stringify(races.get(path), null, 2), 'Update from another instance');
+            races.delete(path);
+        }
+
+        if (req.method === 'PUT') {
+            const file = files.get(path);
+            const { message, content, sha } = JSON.parse(body);
+            if (file && !sha) {
+                return respond(422, { message: 'Invalid request.\n\n"sha" wasn\'t supplied.' });
+            }
+            if (sha && (!file || file.sha !== sha)) {
+                return respond(409, { message: `${path} does not match ${sha}` });
+            }
+            const newSha = write(path, Buffer.from(content, 'base64').toString('utf8'), message);
+            return respond(file ? 200 : 201, {
+                content: { name: path.split('/').pop(), path, sha: newSha },
+                commit: { sha: crypto.randomBytes(20).toString('hex'), message }
+            });
+        }
+
+        respond(405, { message: 'Method Not Allowed' });
+    });
+
+    return {
+        url: server.url,
+        commits,
+        requests,
+        // The file's content parsed as JSON, or null
+        file(path) {
+            const file = files.get(path);
+            return file ? JSON.parse(file.text) : null;
+        },
+        // Commit a file from outside the bot, e.g. another instance
+        setFile(path, data, message = 'Update from elsewhere') {
+            write(path, JSON.stringify(data, null, 2), message);
+        },
+        raceNextPut(path, data) {
+            races.set(path, data);
+        },
+        failNext(count, status = 503) {
+            failures = { count, status };
+        },
+        reset() {
+            files.clear();
+            races.clear();
+            failures = { count: 0, status: 503 };
+            commits.length = 0;
+            requests.length = 0;
+        },
+        close: server.close
+    };
+}
+
+module.exports = {
+    createFakeGitHub
+};
@@ -0,0 +1,45 @@
+const http = require('http');
+
+// Small helpers shared by the stand-in servers
+
+// An HTTP server on a free local port. handler(req, res, body) gets the
+// request body as text. Resolves to { url, close() }.
+function listen(handler) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            Promise.resolve(handler(req, res, body)).catch(error => {
+                if (!res.headersSent) sendJson(res, 500, { message: error.message });
+            });
+        });
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                close() {
+                    // Keep-alive connections would hold close() open
+                    server.closeAllConnections();
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+    listen,
+    sendJson,
+    sleep
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { notice, createFakeFeed } = require('./feed-server');
+const { createFakeDiscord } = require('./discord-server');
+const { createFakeGitHub } = require('./github-server');
+
+// End-to-end harness: the bot against local stand-ins for the BRACU feed,
+// rss2json, Discord's webhook API and the GitHub contents API, with its files
+// in a temporary directory. Nothing goes over the network.
+//
+//   const h = await createHarness();
+//   h.feed.setItems([notice(1), notice(2)]);
+//   const bot = h.createBot({ webhooks: [h.webhook(1)] });
+//   await bot.check();
+//   h.discord.titles(1)      // what was posted
+//
+// The bot's modules read base URLs (DISCORD_API_URL, RSS2JSON_API_URL) and
+// file names (QUEUE_FILE, DIGEST_STATE_FILE) from the environment when they
+// are loaded, so createHarness() sets them and has to run before anything
+// requires notice-embed.js. node --test runs each test file in its own
+// process, so each file gets one harness; reset() clears the stand-ins and
+// the files between tests. Each createBot() is a fresh start of the service
+// on the same disk, so calling it again simulates a restart.
+//
+// npm test runs every test/*.test.js file.
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Path of the database in the stand-in GitHub repository
+const REMOTE_PATH = 'bracu-announcements.json';
+
+async function createHarness({ env = {} } = {}) {
+    const loaded = ['logger.js', 'notice-embed.js', 'delivery-queue.js', 'feed-fetcher.js']
+        .filter(file => require.cache[path.join(ROOT, file)]);
+    if (loaded.length > 0) {
+        throw new Error(`createHarness() must run before the bot is loaded (already loaded: ${loaded.join(', ')})`);
+    }
+
+    const [feed, discord, github] = await Promise.all([createFakeFeed(), createFakeDiscord(), createFakeGitHub()]);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bracu-bot-'));
+    const files = {
+        db: path.join(dir, 'bracu-announcements.json'),
+        sqlite: path.join(dir, 'bracu-announcements.db'),
+        syncBase: path.join(dir, 'bracu-announcements.json.sync-base.json'),
+        queue: path.join(dir, 'delivery-queue.json'),
+        digestState: path.join(dir, 'digest-state.json')
+    };
+
+    Object.assign(process.env, {
+        DISCORD_API_URL: discord.apiUrl,
+        RSS2JSON_API_URL: feed.rss2jsonUrl,
+        QUEUE_FILE: files.queue,
+        DIGEST_STATE_FILE: files.digestState,
+        ENRICH_NOTICES: 'false',
+        // Failures are the point of most scenarios; LOG_LEVEL=debug shows everything
+        LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+        ...env
+    });
+
+    const { createAnnouncementBot } = require('../../notice-embed');
+    const { resolveConfig, DEFAULT_SOURCE_NAME } = require('../../config');
+    const { storageOptionsFromEnv, createStorage } = require('../../storage');
+    const { loadQueue } = require('../../delivery-queue');
+    const { feedCache } = require('../../feed-fetcher');
+
+    // A config webhook posting to the stand-in Discord
+    const webhook = (id, fields = {}) => ({ name: `Server ${id}`, url: discord.webhookUrl(id), ...fields });
+
+    // A bot with the given config (as in bot-config.json) and storage backend:
+    // json, sqlite or github (the JSON file plus the stand-in repository).
+    // The default source is the stand-in feed, polled on every check.
+    function createBot({ storage = 'json', ...raw } = {}) {
+        const config = resolveConfig({
+            sources: [{ name: DEFAULT_SOURCE_NAME, url: feed.feedUrl, intervalMinutes: 0.01 }],
+            ...raw
+        }, {});
+        const storageEnv = {
+            STORAGE_BACKEND: storage,
+            DB_FILE: files.db,
+            SQLITE_FILE: files.sqlite,
+            SYNC_BASE_FILE: files.syncBase,
+            GITHUB_TOKEN: storage === 'github' ? 'test-token' : undefined,
+            GITHUB_API_URL: github.url,
+            GITHUB_REPO_OWNER: 'bracu',
+            GITHUB_REPO_NAME: 'announcement-bot',
+            GITHUB_FILE_PATH: REMOTE_PATH
+        };
+        return createAnnouncementBot({
+            config,
+            storage: createStorage({ ...storageOptionsFromEnv(storageEnv), defaultSource: DEFAULT_SOURCE_NAME })
+        });
+    }
+
+    // A notice's record in the bot's storage, or null
+    const record = (bot, item, source = DEFAULT_SOURCE_NAME) => bot.storage.get(source, item.guid);
+
+    // Delete everything the bot keeps on disk, like a redeploy on Render
+    function wipeDisk() {
+        for (const file of Object.values(files)) {
+            fs.rmSync(file, { force: true });
+        }
+    }
+
+    return {
+        feed,
+        discord,
+        github,
+        files,
+        webhook,
+        createBot,
+        record,
+        queue: () => loadQueue(files.queue),
+        remotePath: REMOTE_PATH,
+        remoteLedger: () => github.file(REMOTE_PATH),
+        wipeDisk,
+        reset() {
+            feed.reset();
+            discord.reset();
+            github.reset();
+            feedCache.clear();
+            wipeDisk();
+        },
+        async close() {
+            await Promise.all([feed.close(), discord.close(), github.close()]);
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = {
+    notice,
+    createHarness
+};
@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { listen } = require('./harness/http');
+const { fetchWithTimeout, parseRetryAfter } = require('../http-fetch');
+
+describe('fetchWithTimeout', () => {
+    let server;
+    const stalled = [];
+
+    before(async () => {
+        server = await listen((req, res) => {
+            if (req.url === '/stall') {
+                // Headers and part of the body, then nothing
+                res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+                res.write('<rss><channel>');
+                stalled.push(res);
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{"status":"ok"}');
+        });
+    });
+    after(() => {
+        for (const res of stalled) res.destroy();
+        return server.close();
+    });
+
+    it('returns the status, headers and body', async () => {
+        const response = await fetchWithTimeout(`${server.url}/ok`, {}, 1000);
+
+        assert.equal(response.ok, true);
+        assert.equal(response.headers.get('content-type'), 'application/json');
+        assert.deepEqual(await response.json(), { status: 'ok' });
+    });
+
+    it('times out a body that stalls after the headers', async () => {
+        await assert.rejects(fetchWithTimeout(`${server.url}/stall`, {}, 200), /timed out after 0.2 seconds/);
+    });
+});
+
+describe('parseRetryAfter', () => {
+    it('reads seconds and HTTP dates', () => {
+        assert.equal(parseRetryAfter('1.5'), 1500);
+        assert.equal(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+        assert.equal(parseRetryAfter('soon'), null);
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LEDGER_VERSION, migrateLedger, loadLedger, pendingDestinations } = require('../ledger');
+
+const legacy = [
+    { id: 'notice-1', title: 'Notice 1', postedAt: '2025-01-10T04:00:00.000Z' },
+    { id: 'notice-2', source: 'CSE', title: 'Notice 2', postedAt: '2025-01-11T04:00:00.000Z' }
+];
+
+describe('migrateLedger', () => {
+    it('turns a flat array into legacy records', () => {
+        const ledger = migrateLedger(legacy, 'BRACU');
+
+        assert.equal(ledger.version, LEDGER_VERSION);
+        assert.deepEqual(ledger.announcements, [
+            { id: 'notice-1', source: 'BRACU', title: 'Notice 1', firstSeenAt: '2025-01-10T04:00:00.000Z', postedAt: '2025-01-10T04:00:00.000Z', legacy: true, deliveries: {} },
+            { id: 'notice-2', source: 'CSE', title: 'Notice 2', firstSeenAt: '2025-01-11T04:00:00.000Z', postedAt: '2025-01-11T04:00:00.000Z', legacy: true, deliveries: {} }
+        ]);
+    });
+
+    it('never redelivers legacy records', () => {
+        const [record] = migrateLedger(legacy, 'BRACU').announcements;
+        assert.deepEqual(pendingDestinations(record), []);
+    });
+
+    it('passes a current ledger through untouched', () => {
+        const current = { version: LEDGER_VERSION, announcements: [{ id: 'notice-3', source: 'BRACU', deliveries: {} }] };
+        assert.equal(migrateLedger(current, 'BRACU'), current);
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => migrateLedger({ version: 99, announcements: [] }, 'BRACU'), /Unsupported database format \(version 99\)/);
+        assert.throws(() => migrateLedger(null, 'BRACU'), /Unsupported database format/);
+    });
+});
+
+describe('loadLedger', () => {
+    it('rewrites an old database file in the new format', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+        const file = path.join(dir, 'db.json');
+        fs.writeFileSync(file, JSON.stringify(legacy));
+
+        const ledger = loadLedger(file, 'BRACU');
+
+        assert.equal(ledger.announcements.length, 2);
+        assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), ledger);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
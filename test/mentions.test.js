@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileMentionRules, mentionsFor } = require('../mentions');
+const { buildMessage } = require('../notifiers/discord');
+
+// Who a Discord message pings, and that nothing else in a notice can
+
+const EXAMS_ROLE = '111111111111111111';
+const URGENT_ROLE = '222222222222222222';
+
+const announcement = (fields = {}) => ({
+    title: 'Mid-Term Exam Schedule',
+    link: 'https://www.bracu.ac.bd/news/mid-term',
+    pubDate: 'Wed, 01 Jan 2025 10:00:00 GMT',
+    description: 'Exams start on Sunday. @everyone <@&333333333333333333>',
+    categories: ['exam'],
+    urgent: false,
+    ...fields
+});
+
+const destination = (mentions) => ({ name: 'Main', type: 'discord', mentions: compileMentionRules(mentions) });
+
+describe('mentionsFor', () => {
+    it('combines the mentions of every matching rule', () => {
+        const rules = compileMentionRules([
+            { when: { categories: ['exam'] }, roles: [EXAMS_ROLE] },
+            { when: { urgent: true }, roles: [URGENT_ROLE] },
+            { users: ['444444444444444444'] }
+        ]);
+
+        assert.deepEqual(mentionsFor(rules, announcement()), { roles: [EXAMS_ROLE], users: ['444444444444444444'], everyone: false });
+        assert.deepEqual(mentionsFor(rules, announcement({ urgent: true })).roles, [EXAMS_ROLE, URGENT_ROLE]);
+    });
+
+    it('rejects rules that mention nobody or names instead of IDs', () => {
+        assert.throws(() => compileMentionRules([{ when: { urgent: true } }]), /mentions\[0\] mentions nobody/);
+        assert.throws(() => compileMentionRules([{ roles: ['@exams'] }]), /mentions\[0\]\.roles must be a list of Discord IDs/);
+    });
+});
+
+describe('buildMessage mentions', () => {
+    it('pings only the configured role for an urgent notice', () => {
+        const message = buildMessage(destination([{ when: { urgent: true }, roles: [URGENT_ROLE] }]), announcement({ urgent: true }));
+
+        assert.equal(message.content, `<@&${URGENT_ROLE}>`);
+        assert.deepEqual(message.allowed_mentions, { parse: [], roles: [URGENT_ROLE], users: [] });
+    });
+
+    it('pings nobody for a notice no rule matches, whatever its text says', () => {
+        const message = buildMessage(destination([{ when: { urgent: true }, roles: [URGENT_ROLE] }]), announcement());
+
+        assert.equal(message.content, undefined);
+        assert.deepEqual(message.allowed_mentions, { parse: [], roles: [], users: [] });
+    });
+
+    it('allows @everyone only when a rule asks for it', () => {
+        const without = buildMessage(destination([{ roles: [EXAMS_ROLE] }]), announcement({ urgent: true }));
+        assert.ok(!without.allowed_mentions.parse.includes('everyone'));
+
+        const rules = [{ when: { urgent: true, categories: ['exam'] }, everyone: true }];
+        const urgent = buildMessage(destination(rules), announcement({ urgent: true }));
+        assert.equal(urgent.content, '@everyone');
+        assert.deepEqual(urgent.allowed_mentions.parse, ['everyone']);
+
+        const routine = buildMessage(destination(rules), announcement());
+        assert.deepEqual(routine.allowed_mentions.parse, []);
+    });
+
+    it('pings nobody when a notice is edited', () => {
+        const message = buildMessage(destination([{ roles: [EXAMS_ROLE] }]), announcement({ urgent: true }), { changes: '**Postponed**' });
+
+        assert.equal(message.content, undefined);
+        assert.deepEqual(message.allowed_mentions, { parse: [], roles: [], users: [] });
+    });
+});
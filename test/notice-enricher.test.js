@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { listen } = require('./harness/http');
+const { enrichAnnouncement, extractNoticeDetails, truncate, enrichCache } = require('../notice-enricher');
+
+// Saved notice pages in test/fixtures/pages
+
+const page = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', name), 'utf8');
+const BASE_URL = 'https://www.bracu.ac.bd/news/mid-term-examination-schedule-spring-2025';
+
+describe('extractNoticeDetails', () => {
+    it('takes the summary from the body field', () => {
+        const { summary } = extractNoticeDetails(page('drupal-notice.html'), BASE_URL);
+
+        assert.equal(summary, [
+            'The mid-term examinations for Spring 2025 will be held from 10 March to 20 March.',
+            '',
+            'Students must bring their ID cards. See the',
+            'exam guidelines.',
+            '',
+            '• Theory exams: UB2 and UB3',
+            '',
+            '• Lab exams: in the respective labs'
+        ].join('\n'));
+    });
+
+    it('takes attachments from the body and the file field, not the menus, sidebar or footer', () => {
+        const { attachments } = extractNoticeDetails(page('drupal-notice.html'), BASE_URL);
+
+        assert.deepEqual(attachments, [
+            { name: 'exam guidelines', url: 'https://www.bracu.ac.bd/sites/default/files/notice/exam-guidelines.pdf', type: 'pdf' },
+            { name: 'Mid-Term Routine', url: 'https://www.bracu.ac.bd/sites/default/files/notice/Mid-Term%20Routine.pdf', type: 'pdf' },
+            { name: 'seat-plan.xlsx', url: 'https://www.bracu.ac.bd/sites/default/files/notice/seat-plan.xlsx', type: 'xlsx' }
+        ]);
+    });
+
+    it('takes the first body image, skipping icons and inline data', () => {
+        const { image } = extractNoticeDetails(page('drupal-notice.html'), BASE_URL);
+
+        assert.equal(image, 'https://www.bracu.ac.bd/sites/default/files/notice/seat-plan.jpg');
+    });
+
+    it('falls back to <article> and og:image', () => {
+        const details = extractNoticeDetails(page('article-notice.html'), 'https://www.bracu.ac.bd/news/eid-holidays');
+
+        assert.deepEqual(details, {
+            summary: 'Eid-ul-Fitr Holidays\n\nThe University will remain closed from 29 March to 5 April 2025 & reopen on 6 April.\n\nOffices\nreopen on 6 April.',
+            attachments: [],
+            image: 'https://www.bracu.ac.bd/sites/default/files/eid-banner.png'
+        });
+    });
+
+    it('finds nothing on a page without a notice body', () => {
+        const html = '<html><body><nav><a href="/files/calendar.pdf">Calendar</a></nav><p>Not found</p></body></html>';
+
+        assert.deepEqual(extractNoticeDetails(html, BASE_URL), { summary: '', attachments: [], image: null });
+    });
+});
+
+describe('truncate', () => {
+    it('cuts at a word boundary', () => {
+        assert.equal(truncate('Mid-term exams start on 10 March', 20), 'Mid-term exams…');
+        assert.equal(truncate('short', 20), 'short');
+    });
+});
+
+describe('enrichAnnouncement', () => {
+    let server;
+    let requests = 0;
+
+    before(async () => {
+        server = await listen((req, res) => {
+            requests++;
+            if (req.url === '/news/missing') {
+                res.writeHead(404);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(page('drupal-notice.html'));
+        });
+    });
+    after(() => {
+        enrichCache.clear();
+        return server.close();
+    });
+
+    it('adds the page details, resolving links against the page and caching them', async () => {
+        const announcement = { title: 'Mid-Term Examination Schedule', link: `${server.url}/news/mid-term`, description: '<p>Short</p>' };
+        const enriched = await enrichAnnouncement(announcement);
+        await enrichAnnouncement(announcement);
+
+        assert.equal(enriched.description, '<p>Short</p>');
+        assert.match(enriched.summary, /^The mid-term examinations for Spring 2025/);
+        assert.equal(enriched.attachments[0].url, `${server.url}/sites/default/files/notice/exam-guidelines.pdf`);
+        assert.equal(enriched.image, `${server.url}/sites/default/files/notice/seat-plan.jpg`);
+        assert.equal(requests, 1);
+    });
+
+    it('fetches the page again when asked for fresh details', async () => {
+        const announcement = { title: 'Mid-Term Examination Schedule', link: `${server.url}/news/mid-term-edited` };
+        await enrichAnnouncement(announcement);
+        const before = requests;
+        await enrichAnnouncement(announcement, { fresh: true });
+        await enrichAnnouncement(announcement);
+
+        assert.equal(requests, before + 1);
+    });
+
+    it('returns the announcement as it was when the page fails', async () => {
+        const announcement = { title: 'Gone', link: `${server.url}/news/missing` };
+
+        assert.equal(await enrichAnnouncement(announcement), announcement);
+    });
+});
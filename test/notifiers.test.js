@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const slack = require('../notifiers/slack');
+const telegram = require('../notifiers/telegram');
+const email = require('../notifiers/email');
+
+// What the non-Discord notifiers send, with notice text that looks like markup
+
+const announcement = (fields = {}) => ({
+    title: 'Results <CSE & EEE>',
+    link: 'https://www.bracu.ac.bd/news/results?dept=cse&term=spring',
+    pubDate: 'Wed, 01 Jan 2025 10:00:00 GMT',
+    summary: 'Grades for <b>all</b> courses & <!channel> labs.',
+    attachments: [{ name: 'Grades <final>', url: 'https://www.bracu.ac.bd/files/grades.pdf?a=1&b=<2>', type: 'pdf' }],
+    ...fields
+});
+
+const CHANGES = '```diff\n- Room <UB2>\n+ Room UB3 & UB4\n```';
+
+describe('slack formatBlocks', () => {
+    it('escapes &, < and > in link URLs, titles and text', () => {
+        const { text, blocks } = slack.formatBlocks(announcement(), null, 'en');
+
+        assert.equal(text, 'Results &lt;CSE &amp; EEE&gt;');
+        assert.equal(blocks[0].text.text, '📢 *<https://www.bracu.ac.bd/news/results?dept=cse&amp;term=spring|Results &lt;CSE &amp; EEE&gt;>*');
+        assert.equal(blocks[2].text.text, 'Grades for &lt;b&gt;all&lt;/b&gt; courses &amp; &lt;!channel&gt; labs.');
+        assert.equal(blocks[3].text.text, '📎 <https://www.bracu.ac.bd/files/grades.pdf?a=1&amp;b=&lt;2&gt;|Grades &lt;final&gt;>');
+    });
+
+    it('escapes the changes of an edited notice', () => {
+        const { text, blocks } = slack.formatBlocks(announcement(), CHANGES, 'en');
+
+        assert.equal(text, 'Updated: Results &lt;CSE &amp; EEE&gt;');
+        assert.equal(blocks.at(-1).text.text, '*What changed:*\n```\n- Room &lt;UB2&gt;\n+ Room UB3 &amp; UB4\n```');
+    });
+});
+
+describe('telegram formatMessage', () => {
+    // Sent with parse_mode HTML, so markup in the notice has to be escaped
+    it('escapes the title, summary and link attributes as HTML', () => {
+        const lines = telegram.formatMessage(announcement(), null, 'en').split('\n');
+
+        assert.equal(lines[0], '📢 <b>Results &lt;CSE &amp; EEE&gt;</b>');
+        assert.equal(lines[3], 'Grades for &lt;b&gt;all&lt;/b&gt; courses &amp; &lt;!channel&gt; labs.');
+        assert.equal(lines[5], '📎 <a href="https://www.bracu.ac.bd/files/grades.pdf?a=1&amp;b=&lt;2&gt;">Grades &lt;final&gt;</a>');
+        assert.equal(lines.at(-1), '🔗 <a href="https://www.bracu.ac.bd/news/results?dept=cse&amp;term=spring">Read the full notice</a>');
+    });
+
+    it('shows the changes as plain preformatted text', () => {
+        const text = telegram.formatMessage(announcement(), CHANGES, 'en');
+
+        assert.match(text, /<b>What changed:<\/b>\n<pre>- Room &lt;UB2&gt;\n\+ Room UB3 &amp; UB4\n<\/pre>/);
+    });
+
+    it('falls back to the title and link when the message is too long', () => {
+        const text = telegram.formatMessage(announcement({ attachments: Array(40).fill(announcement().attachments[0]) }), null, 'en');
+
+        assert.equal(text, '📢 <b>Results &lt;CSE &amp; EEE&gt;</b>\n\n🔗 <a href="https://www.bracu.ac.bd/news/results?dept=cse&amp;term=spring">Read the full notice</a>');
+    });
+});
+
+describe('email formatEmail', () => {
+    it('keeps the text part plain and escapes the HTML part', () => {
+        const { subject, text, html } = email.formatEmail(announcement(), null, 'en');
+
+        assert.equal(subject, 'Results <CSE & EEE>');
+        assert.match(text, /^Results <CSE & EEE>\n/);
+        assert.match(text, /\n- Grades <final>: https:\/\/www\.bracu\.ac\.bd\/files\/grades\.pdf\?a=1&b=<2>\n/);
+        assert.match(html, /^<h2><a href="https:\/\/www\.bracu\.ac\.bd\/news\/results\?dept=cse&amp;term=spring">Results &lt;CSE &amp; EEE&gt;<\/a><\/h2>/);
+        assert.match(html, /<p>Grades for &lt;b&gt;all&lt;\/b&gt; courses &amp; &lt;!channel&gt; labs\.<\/p>/);
+        assert.doesNotMatch(html, /<b>all<\/b>/);
+    });
+
+    it('marks updates in the subject and lists the changes', () => {
+        const { subject, text } = email.formatEmail(announcement(), CHANGES, 'en');
+
+        assert.equal(subject, '[Updated] Results <CSE & EEE>');
+        assert.match(text, /What changed:\n- Room <UB2>\n\+ Room UB3 & UB4\n/);
+    });
+});
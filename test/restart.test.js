@@ -0,0 +1,164 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createHarness, notice } = require('./harness');
+const { sleep } = require('./harness/http');
+
+// What survives a restart: queued deliveries on disk and the ledger in GitHub
+
+describe('restart', () => {
+    let h;
+
+    before(async () => {
+        // Retry a failed restore at startup after 100ms, 200ms, ...
+        h = await createHarness({ env: { HYDRATE_RETRY_MS: '100' } });
+    });
+    after(() => h.close());
+    beforeEach(() => h.reset());
+
+    const posted = (id) => h.discord.titles(id).sort();
+
+    async function waitFor(condition, timeoutMs = 5000) {
+        const deadline = Date.now() + timeoutMs;
+        while (!condition()) {
+            if (Date.now() > deadline) throw new Error('Timed out waiting for the service');
+            await sleep(20);
+        }
+    }
+
+    // Quiet hours from the start of the current hour for two hours (Dhaka is
+    // UTC+6 all year)
+    function quietHoursNow() {
+        const hour = (new Date().getUTCHours() + 6) % 24;
+        const pad = (h) => `${String(h).padStart(2, '0')}:00`;
+        return { from: pad(hour), to: pad((hour + 2) % 24) };
+    }
+
+    it('sends deliveries queued before a restart exactly once', async () => {
+        h.feed.setItems([notice(1), notice(2)]);
+        const webhooks = [h.webhook(1), h.webhook(2)];
+
+        // Held through the quiet hours, then the service restarts
+        const before = h.createBot({ webhooks, schedule: { quietHours: quietHoursNow() } });
+        await before.check();
+        assert.deepEqual(posted(1), []);
+        assert.equal(h.queue().jobs.length, 4);
+        assert.equal(h.record(before, notice(1)).deliveries['Server 1'].status, 'queued');
+
+        const after = h.createBot({ webhooks });
+        await after.check();
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2']);
+        assert.deepEqual(posted(2), ['📢 Notice 1', '📢 Notice 2']);
+        assert.equal(h.queue().jobs.length, 0);
+        assert.equal(h.record(after, notice(1)).deliveries['Server 1'].status, 'delivered');
+
+        await after.check();
+        assert.equal(h.discord.messages(1).length, 2);
+    });
+
+    it('reads the digest state after a restart and sends a digest that closed meanwhile once', async () => {
+        h.feed.setItems([notice(1)]);
+        const webhooks = [h.webhook(1, { digest: 'daily' })];
+
+        const before = h.createBot({ webhooks });
+        await before.check();
+        assert.equal(h.discord.messages(1).length, 0);
+        assert.equal(h.record(before, notice(1)).deliveries['Server 1'].status, 'digest');
+
+        // The service is down while the window closes: move the last digest a
+        // day back, as if it had been written the day before
+        const state = JSON.parse(fs.readFileSync(h.files.digestState, 'utf8'));
+        const closedAt = Date.parse(state.destinations['Server 1'].lastDigestAt);
+        state.destinations['Server 1'].lastDigestAt = new Date(closedAt - 24 * 60 * 60 * 1000).toISOString();
+        fs.writeFileSync(h.files.digestState, JSON.stringify(state));
+
+        const after = h.createBot({ webhooks });
+        await after.check();
+        await after.check();
+
+        const messages = h.discord.messages(1);
+        assert.equal(messages.length, 1);
+        assert.match(messages[0].embeds[0].title, /digest/i);
+        assert.equal(h.record(after, notice(1)).deliveries['Server 1'].status, 'delivered');
+        assert.equal(JSON.parse(fs.readFileSync(h.files.digestState, 'utf8')).destinations['Server 1'].lastDigestAt, new Date(closedAt).toISOString());
+    });
+
+    it('restores the ledger from GitHub after a redeploy and posts nothing again', async () => {
+        h.feed.setItems([notice(1), notice(2)]);
+        const webhooks = [h.webhook(1)];
+
+        const before = h.createBot({ webhooks, storage: 'github' });
+        await before.hydrate();
+        await before.check();
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2']);
+        assert.equal(h.remoteLedger().announcements.length, 2);
+
+        // A new deploy starts with an empty disk
+        h.wipeDisk();
+        h.feed.addItem(notice(3));
+        const after = h.createBot({ webhooks, storage: 'github' });
+        await after.hydrate();
+        await after.check();
+
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2', '📢 Notice 3']);
+        assert.equal(h.remoteLedger().announcements.length, 3);
+    });
+
+    it('restores /subscribe keywords from GitHub after a redeploy', async () => {
+        const before = h.createBot({ webhooks: [h.webhook(1)], storage: 'github' });
+        await before.hydrate();
+        before.storage.saveSubscriptions({ 'user-1': ['exam'] });
+        await before.storage.sync();
+
+        h.wipeDisk();
+        const after = h.createBot({ webhooks: [h.webhook(1)], storage: 'github' });
+        await after.hydrate();
+
+        assert.deepEqual(after.storage.getSubscriptions(), { 'user-1': ['exam'] });
+    });
+
+    it('merges a commit pushed by another instance during a sync', async () => {
+        h.feed.setItems([notice(1)]);
+        const bot = h.createBot({ webhooks: [h.webhook(1)], storage: 'github' });
+        await bot.hydrate();
+        await bot.check();
+
+        // Another instance records a notice the moment this one pushes
+        const remote = h.remoteLedger();
+        const elsewhere = { ...remote.announcements[0], id: 'https://www.bracu.ac.bd/news/elsewhere', title: 'Elsewhere' };
+        h.github.raceNextPut(h.remotePath, { ...remote, announcements: [...remote.announcements, elsewhere] });
+        h.feed.addItem(notice(2));
+        await bot.check();
+
+        assert.ok(h.github.requests.some(r => r.method === 'PUT' && r.status === 409));
+        const ids = (ledger) => ledger.announcements.map(r => r.id).sort();
+        assert.deepEqual(ids(h.remoteLedger()), [notice(1).guid, notice(2).guid, elsewhere.id].sort());
+        assert.ok(h.record(bot, { guid: elsewhere.id }));
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2']);
+    });
+
+    it('holds checks after a redeploy until the ledger can be restored from GitHub', async () => {
+        h.feed.setItems([notice(1), notice(2)]);
+        const webhooks = [h.webhook(1)];
+        const before = h.createBot({ webhooks, storage: 'github' });
+        await before.hydrate();
+        await before.check();
+
+        // Redeployed while GitHub is down
+        h.wipeDisk();
+        h.feed.addItem(notice(3));
+        h.github.failNext(2);
+        const feedRequests = h.feed.requests.length;
+        const server = h.createBot({ webhooks, storage: 'github' }).start({ port: 0 });
+        try {
+            await waitFor(() => h.remoteLedger().announcements.length === 3);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+
+        // Both failed restores were retried before the first check
+        assert.equal(h.github.requests.filter(r => r.status === 503).length, 2);
+        assert.ok(h.feed.requests.length > feedRequests);
+        assert.deepEqual(posted(1), ['📢 Notice 1', '📢 Notice 2', '📢 Notice 3']);
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed, decodeEntities } = require('../rss-parser');
+
+// Saved feeds in test/fixtures/feeds
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', name), 'utf8');
+
+describe('parseFeed', () => {
+    it('parses RSS items and skips commented-out ones', () => {
+        const items = parseFeed(fixture('bracu-rss.xml'));
+
+        assert.equal(items.length, 3);
+        assert.deepEqual(items[0], {
+            id: '12345 at https://www.bracu.ac.bd',
+            title: 'Mid-Term Examination Schedule & Guidelines, Spring 2025',
+            pubDate: 'Sun, 02 Mar 2025 04:30:00 +0000',
+            link: 'https://www.bracu.ac.bd/news/mid-term-examination-schedule-spring-2025',
+            description: '<p>The mid-term examinations will be held from 10 March 2025.</p>'
+        });
+    });
+
+    it('takes CDATA sections as they are', () => {
+        const [, eid] = parseFeed(fixture('bracu-rss.xml'));
+
+        assert.equal(eid.title, 'Eid-ul-Fitr Holidays <2025>');
+        assert.equal(eid.description, '<p>The University will remain closed from 29 March to 5 April 2025 &amp; reopen on 6 April.</p>');
+    });
+
+    it('falls back to the link, content:encoded and dc:date', () => {
+        const [, , cafe] = parseFeed(fixture('bracu-rss.xml'));
+
+        assert.equal(cafe.id, 'https://www.bracu.ac.bd/news/cafe-ramadan-hours');
+        assert.equal(cafe.description, '<p>Open 4&nbsp;pm to 8&nbsp;pm.</p>');
+        assert.equal(cafe.pubDate, '2025-03-01T10:00:00+06:00');
+    });
+
+    it('decodes numeric entities and keeps out-of-range ones', () => {
+        const [, , cafe] = parseFeed(fixture('bracu-rss.xml'));
+
+        assert.equal(cafe.title, 'Café – Ramadan hours 🌙 &#x110000; &#99999999;');
+    });
+
+    it('parses Atom entries, preferring the alternate link', () => {
+        const entries = parseFeed(fixture('bracu-atom.xml'));
+
+        assert.deepEqual(entries, [
+            {
+                id: 'tag:www.bracu.ac.bd,2025:12400',
+                title: 'Course Advising & Registration, Summer 2025',
+                pubDate: '2025-04-20T03:00:00Z',
+                link: 'https://www.bracu.ac.bd/news/course-advising-summer-2025',
+                description: '<p>Advising starts on 4 May 2025.</p>'
+            },
+            {
+                id: 'https://www.bracu.ac.bd/news/convocation-2025',
+                title: 'Convocation 2025',
+                pubDate: '2025-04-18T03:00:00Z',
+                link: 'https://www.bracu.ac.bd/news/convocation-2025',
+                description: '<p>The 17th convocation will be held in June.</p>'
+            }
+        ]);
+    });
+
+    it('rejects empty and unknown documents', () => {
+        assert.throws(() => parseFeed(''), /Empty feed document/);
+        assert.throws(() => parseFeed('<html><body>Maintenance</body></html>'), /Unrecognized feed format/);
+    });
+});
+
+describe('decodeEntities', () => {
+    it('decodes named, decimal and hex entities', () => {
+        assert.equal(decodeEntities('&lt;b&gt; &quot;A&quot; &#39;B&#x27; &nbsp;'), '<b> "A" \'B\'  ');
+    });
+
+    it('leaves unknown and malformed entities alone', () => {
+        assert.equal(decodeEntities('&copy2; &foo; &#x110000; &#99999999;'), '&copy2; &foo; &#x110000; &#99999999;');
+    });
+});
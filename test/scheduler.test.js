@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../scheduler');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createScheduler', () => {
+    it('runs right away and then when planned', async () => {
+        let runs = 0;
+        const planned = [];
+        const scheduler = createScheduler({
+            run: async () => { runs++; },
+            plan: () => ({ at: new Date(Date.now() + 20), mode: 'normal', reason: 'test' }),
+            onPlanned: (next) => planned.push(next.reason)
+        });
+        scheduler.start();
+        await sleep(110);
+        scheduler.stop();
+
+        assert.ok(runs >= 3, `ran ${runs} times`);
+        assert.equal(planned[0], 'test');
+    });
+
+    it('keeps polling after the run or the planning fails', async () => {
+        let runs = 0;
+        let plans = 0;
+        const planned = [];
+        const scheduler = createScheduler({
+            run: async () => {
+                runs++;
+                throw new Error('feed down');
+            },
+            plan: () => {
+                plans++;
+                // e.g. a digest wake-up that can't be computed
+                if (plans === 1) throw new Error('bad digest time');
+                if (plans === 2) return { at: new Date(NaN), mode: 'normal', reason: 'invalid' };
+                return { at: new Date(Date.now() + 20), mode: 'normal', reason: 'test' };
+            },
+            onPlanned: (next) => planned.push(next),
+            fallbackMs: 20
+        });
+        const before = Date.now();
+        scheduler.start();
+        await sleep(150);
+        scheduler.stop();
+
+        assert.ok(runs >= 3, `ran ${runs} times`);
+        assert.ok(plans >= 3);
+        // The fallback plans are reported too, e.g. for the status page
+        assert.deepEqual(planned.slice(0, 3).map(next => next.reason), ['planning failed', 'planning failed', 'test']);
+        assert.ok(planned[0].at.getTime() >= before + 20);
+    });
+
+    it('keeps the plan when reporting it fails', async () => {
+        let runs = 0;
+        const scheduler = createScheduler({
+            run: async () => { runs++; },
+            plan: () => ({ at: new Date(Date.now() + 20), mode: 'normal', reason: 'test' }),
+            onPlanned: () => { throw new Error('status page down'); },
+            fallbackMs: 60 * 1000
+        });
+        scheduler.start();
+        await sleep(110);
+        scheduler.stop();
+
+        assert.ok(runs >= 3, `ran ${runs} times`);
+    });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const status = require('../status');
+
+const MINUTE = 60 * 1000;
+
+describe('health', () => {
+    it('gives every source a grace period after startup', () => {
+        const health = status.health({ BRACU: 30 * MINUTE, CSE: 120 * MINUTE });
+
+        assert.equal(health.ok, true);
+        assert.equal(health.reason, 'starting');
+    });
+
+    it('judges each source against its own limit', () => {
+        status.fetchSucceeded('BRACU', 10);
+        status.fetchSucceeded('CSE', 5);
+        const limits = { BRACU: 30 * MINUTE, CSE: 120 * MINUTE };
+
+        assert.equal(status.health(limits).reason, 'ok');
+
+        // An hour later only BRACU is overdue, however recent CSE's fetch is
+        status.fetchFailed('BRACU', new Error('RSS feed error: 503'));
+        const health = status.health(limits, Date.now() + 60 * MINUTE);
+        assert.equal(health.ok, false);
+        assert.equal(health.reason, 'BRACU: last successful fetch was 60 minutes ago');
+        assert.equal(health.sources.BRACU.ok, false);
+        assert.equal(health.sources.CSE.ok, true);
+        assert.match(status.metrics(limits), /^bracu_bot_source_up\{source="CSE"\} 1$/m);
+    });
+
+    it('reports a configured source that never fetched successfully', () => {
+        const health = status.health({ BRACU: 30 * MINUTE, Careers: 30 * MINUTE }, Date.now() + 45 * MINUTE);
+
+        assert.equal(health.ok, false);
+        assert.match(health.reason, /^BRACU: last successful fetch was 4\d minutes ago; Careers: no successful fetch since startup 45 minutes ago$/);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toBanglaDigits, formatDate, formatDay, resolveTemplate, renderTemplate } = require('../templates');
+
+// 8 June 2025, 20:21 in Dhaka (UTC+6)
+const PUBLISHED = '2025-06-08T14:21:00Z';
+
+const announcement = (fields = {}) => ({
+    id: 'n1',
+    title: 'Mid-Term Examination Schedule',
+    link: 'https://www.bracu.ac.bd/news/mid-term',
+    pubDate: PUBLISHED,
+    description: '<p>Exams start on 10 March.</p>',
+    categories: ['exam'],
+    ...fields
+});
+
+describe('toBanglaDigits', () => {
+    it('replaces every ASCII digit', () => {
+        assert.equal(toBanglaDigits('2025-06-08 10:45'), '২০২৫-০৬-০৮ ১০:৪৫');
+        assert.equal(toBanglaDigits(7), '৭');
+    });
+});
+
+describe('formatDate', () => {
+    it('formats in Dhaka time whatever the process time zone', () => {
+        assert.equal(formatDate(PUBLISHED), 'Sunday, June 8, 2025 at 08:21 PM');
+        // Just past midnight in Dhaka is still the previous day in UTC
+        assert.equal(formatDate('2025-06-08T18:05:00Z'), 'Monday, June 9, 2025 at 12:05 AM');
+    });
+
+    it('uses Bangla words, numerals and the part of the day for bn', () => {
+        assert.equal(formatDate(PUBLISHED, 'bn'), 'রবিবার, ৮ জুন ২০২৫, রাত ৮:২১');
+        assert.equal(formatDate('2025-06-08T03:30:00Z', 'bn'), 'রবিবার, ৮ জুন ২০২৫, সকাল ৯:৩০');
+    });
+
+    it('falls back for missing and unparseable dates', () => {
+        assert.equal(formatDate(undefined), 'Unknown');
+        assert.equal(formatDate(undefined, 'bn'), 'অজানা');
+        assert.equal(formatDate('sometime soon'), 'sometime soon');
+    });
+
+    it('formats a day alone for digests', () => {
+        assert.equal(formatDay(PUBLISHED), 'June 8, 2025');
+        assert.equal(formatDay(PUBLISHED, 'bn'), '৮ জুন ২০২৫');
+    });
+});
+
+describe('resolveTemplate', () => {
+    const where = 'webhooks[0].template';
+
+    it('fills in the locale defaults', () => {
+        const template = resolveTemplate({ title: '{{title}}' }, { locale: 'bn', where });
+
+        assert.equal(template.title, '{{title}}');
+        assert.equal(template.fields[0].name, 'প্রকাশের সময়:');
+    });
+
+    it('rejects unknown placeholders and non-string texts', () => {
+        assert.throws(() => resolveTemplate({ title: '{{ titel }}' }, { where }),
+            { message: /^webhooks\[0\]\.template\.title: unknown placeholder \{\{titel\}\}/ });
+        assert.throws(() => resolveTemplate({ footer: 42 }, { where }), { message: 'webhooks[0].template.footer must be a string' });
+    });
+
+    it('rejects fields that are not objects with a config error', () => {
+        assert.throws(() => resolveTemplate({ fields: [null] }, { where }), { message: 'webhooks[0].template.fields[0] must be an object' });
+        assert.throws(() => resolveTemplate({ fields: [{ name: 'Date', value: '{{date}}' }, 'Link'] }, { where }),
+            { message: 'webhooks[0].template.fields[1] must be an object' });
+        assert.throws(() => resolveTemplate({ fields: [{ name: 'Date' }] }, { where }),
+            { message: 'webhooks[0].template.fields[0].value must be a string' });
+    });
+
+    it('rejects bad colors and role IDs', () => {
+        assert.throws(() => resolveTemplate({ color: 'blue' }, { where }), { message: /^webhooks\[0\]\.template\.color must be/ });
+        assert.throws(() => resolveTemplate({ mentions: { roles: ['@admins'] } }, { where }), { message: /mentions\.roles must be a list of role IDs/ });
+    });
+});
+
+describe('renderTemplate', () => {
+    it('renders the placeholders in Bangla', () => {
+        const template = resolveTemplate({ title: '{{icon}} {{title}}', footer: '{{category}} · {{date}}' }, { locale: 'bn' });
+        const [embed] = renderTemplate(template, announcement()).embeds;
+
+        assert.equal(embed.title, '📝 Mid-Term Examination Schedule');
+        assert.equal(embed.footer.text, 'পরীক্ষা · রবিবার, ৮ জুন ২০২৫, রাত ৮:২১');
+        assert.equal(embed.description, 'Exams start on 10 March.');
+    });
+
+    it('keeps texts within Discord\'s limits and leaves out empty fields', () => {
+        const fields = Array.from({ length: 30 }, (_, i) => ({ name: `Field ${i}`, value: '{{summary}}' }));
+        const template = resolveTemplate({ fields: [{ name: 'Files', value: '{{attachments}}' }, ...fields] });
+        const [embed] = renderTemplate(template, announcement({ title: 'T'.repeat(300), summary: 'S'.repeat(700) })).embeds;
+
+        assert.equal(embed.title.length, 256);
+        assert.ok(embed.title.endsWith('…'));
+        assert.equal(embed.fields.length, 25);
+        assert.equal(embed.fields[0].name, 'Field 0');
+        // Summaries are cut at 600 characters
+        assert.equal(embed.fields[0].value.length, 600);
+    });
+
+    it('pings the template roles, but not for edits', () => {
+        const template = resolveTemplate({ mentions: { roles: ['123456789012345678'] } });
+
+        assert.equal(renderTemplate(template, announcement()).content, '<@&123456789012345678>');
+        const edit = renderTemplate(template, announcement(), { changes: '+ Postponed' });
+        assert.equal(edit.content, undefined);
+        assert.deepEqual(edit.allowed_mentions, { parse: [], roles: [], users: [] });
+    });
+});